@@ -1,10 +1,9 @@
 //Wrapper function with one parameter
 module.exports = function(grunt) {
-  var filename = 'distribution/<%= pkg.name %>-<%= manifest.version %>',
+  var filename = 'distribution/privacy_badger-chrome-<%= manifest.version %>',
     zipName = filename + '.zip', crxName = filename + '.crx';
 
   grunt.initConfig({
-    pkg: grunt.file.readJSON('package.json'),
     manifest: grunt.file.readJSON('manifest.json'),
     compress: {
       main: {
@@ -26,18 +26,1032 @@
 })();
 
 /**
- * Clobber local storage, using a function closure to keep the dummy private
+ * Clobber localStorage and sessionStorage with in-memory stand-ins, using a
+ * function closure to keep them private. They work for the life of the page,
+ * so the frame keeps working, but nothing in them outlives it.
  */
-/*(function() {
-  var dummyLocalStorage = { };
-  Object.defineProperty(window, "localStorage", {
-    __proto__: null,
-    configurable: false,
-    get: function () {
-      return dummyLocalStorage;
-    },
-    set: function (newValue) {
-      // Do nothing
-    }
+(function() {
+  function createMemoryStorage() {
+    var items = Object.create(null);
+    var storage = {
+      key: function(index) {
+        var keys = Object.keys(items);
+        return (index >= 0 && index < keys.length) ? keys[index] : null;
+      },
+      getItem: function(key) {
+        key = String(key);
+        return (key in items) ? items[key] : null;
+      },
+      setItem: function(key, value) {
+        items[String(key)] = String(value);
+      },
+      removeItem: function(key) {
+        delete items[String(key)];
+      },
+      clear: function() {
+        items = Object.create(null);
+      }
+    };
+    Object.defineProperty(storage, "length", {
+      get: function() { return Object.keys(items).length; }
+    });
+
+    if (typeof Proxy !== "function") { return storage; }
+
+    // Real Storage objects also take storage.foo and storage.foo = "bar"
+    return new Proxy(storage, {
+      get: function(target, name) {
+        return (name in target) ? target[name] : target.getItem(name);
+      },
+      set: function(target, name, value) {
+        if (!(name in target)) { target.setItem(name, value); }
+        return true;
+      },
+      deleteProperty: function(target, name) {
+        target.removeItem(name);
+        return true;
+      },
+      has: function(target, name) {
+        return (name in target) || target.getItem(name) !== null;
+      }
+    });
+  }
+
+  ["localStorage", "sessionStorage"].forEach(function(name) {
+    var dummyStorage = createMemoryStorage();
+    Object.defineProperty(window, name, {
+      __proto__: null,
+      configurable: false,
+      get: function () {
+        return dummyStorage;
+      },
+      set: function (newValue) {
+        // Do nothing
+      }
+    });
   });
-})(); */
+})();
+
+/**
+ * Replace IndexedDB with an in-memory stand-in as well. Databases work for
+ * the life of the page, like web storage above, and are gone with it. The
+ * factory methods are replaced as well as window.indexedDB, so getting hold
+ * of a factory some other way doesn't help. Workers have an indexedDB of
+ * their own, so every worker the frame starts runs this first. Same-origin
+ * child frames (about:blank...) get this whole script from main.js.
+ *
+ * Values are copied with structuredClone where there is one, and kept as
+ * they are otherwise.
+ */
+(function() {
+  function isolateIndexedDB(global, base) {
+    // name -> { name, version, stores: { name -> store }, connections }
+    var databases = Object.create(null);
+    var listenerMap = new WeakMap();
+    // Transaction and connection internals the page doesn't get to see
+    var internals = new WeakMap();
+
+    function resolve(url) {
+      return new URL(url, base || global.document.baseURI).href;
+    }
+    function later(fn) {
+      global.setTimeout(fn, 0);
+    }
+    function domError(name, message) {
+      return new DOMException(message, name);
+    }
+    function clone(value) {
+      return typeof global.structuredClone === "function" ?
+        global.structuredClone(value) : value;
+    }
+
+    // Keys: numbers < dates < strings < arrays, see indexedDB.cmp
+    function keyType(key) {
+      if (typeof key === "number") { return isNaN(key) ? null : 1; }
+      if (key instanceof Date) { return isNaN(key.getTime()) ? null : 2; }
+      if (typeof key === "string") { return 3; }
+      if (Array.isArray(key)) { return 4; }
+      return null;
+    }
+    function isValidKey(key) {
+      var type = keyType(key);
+      return type === 4 ? key.every(isValidKey) : type !== null;
+    }
+    function dataError() {
+      return domError("DataError", "Data provided to an operation does " +
+                      "not meet requirements.");
+    }
+    function checkKey(key) {
+      if (!isValidKey(key)) { throw dataError(); }
+      return key;
+    }
+    function compareKeys(a, b) {
+      var typeA = keyType(a), typeB = keyType(b);
+      if (typeA !== typeB) { return typeA < typeB ? -1 : 1; }
+      if (typeA === 4) {
+        for (var i = 0; i < a.length && i < b.length; i++) {
+          var order = compareKeys(a[i], b[i]);
+          if (order !== 0) { return order; }
+        }
+        return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+      }
+      if (typeA === 2) {
+        a = a.getTime();
+        b = b.getTime();
+      }
+      return a === b ? 0 : (a < b ? -1 : 1);
+    }
+    function copyKey(key) {
+      if (Array.isArray(key)) { return key.map(copyKey); }
+      return key instanceof Date ? new Date(key.getTime()) : key;
+    }
+
+    function evaluateKeyPath(value, keyPath) {
+      if (Array.isArray(keyPath)) {
+        var keys = keyPath.map(function(path) {
+          return evaluateKeyPath(value, path);
+        });
+        return keys.every(isValidKey) ? keys : undefined;
+      }
+      if (keyPath === "") { return value; }
+      var parts = keyPath.split(".");
+      for (var i = 0; i < parts.length; i++) {
+        if (value === null || typeof value !== "object" ||
+            !(parts[i] in value)) {
+          return undefined;
+        }
+        value = value[parts[i]];
+      }
+      return value;
+    }
+    function injectKey(value, keyPath, key) {
+      var parts = keyPath.split(".");
+      for (var i = 0; i < parts.length - 1; i++) {
+        if (!(parts[i] in value)) { value[parts[i]] = {}; }
+        value = value[parts[i]];
+      }
+      value[parts[parts.length - 1]] = key;
+    }
+
+    // A key or a key range (IDBKeyRange or anything shaped like one)
+    function toRange(query) {
+      if (query === undefined || query === null) { return null; }
+      if (typeof query === "object" && !Array.isArray(query) &&
+          !(query instanceof Date) && ("lower" in query || "upper" in query)) {
+        return query;
+      }
+      checkKey(query);
+      return { lower: query, upper: query, lowerOpen: false, upperOpen: false };
+    }
+    function inRange(range, key) {
+      if (!range) { return true; }
+      if (range.lower !== undefined) {
+        var lower = compareKeys(key, range.lower);
+        if (lower < 0 || (lower === 0 && range.lowerOpen)) { return false; }
+      }
+      if (range.upper !== undefined) {
+        var upper = compareKeys(key, range.upper);
+        if (upper > 0 || (upper === 0 && range.upperOpen)) { return false; }
+      }
+      return true;
+    }
+
+    // Sorted DOMStringList stand-in
+    function stringList(names) {
+      var list = names.slice().sort();
+      list.contains = function(name) { return list.indexOf(name) !== -1; };
+      list.item = function(index) {
+        return index < list.length ? list[index] : null;
+      };
+      return list;
+    }
+
+    function eventTarget(target) {
+      listenerMap.set(target, Object.create(null));
+      target.addEventListener = function(type, listener) {
+        var listeners = listenerMap.get(target);
+        (listeners[type] = listeners[type] || []).push(listener);
+      };
+      target.removeEventListener = function(type, listener) {
+        var list = listenerMap.get(target)[type] || [];
+        if (list.indexOf(listener) !== -1) {
+          list.splice(list.indexOf(listener), 1);
+        }
+      };
+      return target;
+    }
+
+    /**
+     * Fire an event at targets in turn, the way errors bubble from a request
+     * to its transaction and database.
+     * @return {Object} the event, threw says whether a listener threw
+     */
+    function fire(targets, type, props) {
+      var event = {
+        type: type,
+        target: targets[0],
+        bubbles: targets.length > 1,
+        defaultPrevented: false,
+        threw: false,
+        stopped: false,
+        preventDefault: function() { event.defaultPrevented = true; },
+        stopPropagation: function() { event.stopped = true; }
+      };
+      for (var prop in props || {}) { event[prop] = props[prop]; }
+      targets.forEach(function(target) {
+        if (event.stopped || !target) { return; }
+        event.currentTarget = target;
+        var listeners = (listenerMap.get(target)[type] || []).slice();
+        if (typeof target["on" + type] === "function") {
+          listeners.unshift(target["on" + type]);
+        }
+        listeners.forEach(function(listener) {
+          try {
+            if (typeof listener === "function") {
+              listener.call(target, event);
+            } else {
+              listener.handleEvent(event);
+            }
+          } catch (e) {
+            event.threw = true;
+            later(function() { throw e; });
+          }
+        });
+      });
+      return event;
+    }
+
+    function createRequest(source, transaction) {
+      return eventTarget({
+        source: source,
+        transaction: transaction,
+        readyState: "pending",
+        result: undefined,
+        error: null,
+        onsuccess: null,
+        onerror: null
+      });
+    }
+
+    // Entries of an object store or index, in key order:
+    // [ { key, primaryKey, value } ]
+    function storeEntries(store) {
+      return store.records.map(function(record) {
+        return { key: record.key, primaryKey: record.key, value: record.value };
+      });
+    }
+    function indexKeys(index, value) {
+      var key = evaluateKeyPath(value, index.keyPath);
+      if (index.multiEntry && Array.isArray(key)) {
+        return key.filter(function(entry, i) {
+          return isValidKey(entry) && key.slice(0, i).every(function(other) {
+            return !isValidKey(other) || compareKeys(entry, other) !== 0;
+          });
+        });
+      }
+      return isValidKey(key) ? [ key ] : [];
+    }
+    function indexEntries(store, index) {
+      var entries = [];
+      store.records.forEach(function(record) {
+        indexKeys(index, record.value).forEach(function(key) {
+          entries.push({ key: key, primaryKey: record.key,
+                         value: record.value });
+        });
+      });
+      return entries.sort(compareEntries);
+    }
+    function compareEntries(a, b) {
+      return compareKeys(a.key, b.key) ||
+        compareKeys(a.primaryKey, b.primaryKey);
+    }
+
+    // Position of key in the sorted records of a store
+    function findRecord(records, key) {
+      var low = 0, high = records.length;
+      while (low < high) {
+        var middle = (low + high) >> 1;
+        var order = compareKeys(records[middle].key, key);
+        if (order === 0) { return { index: middle, found: true }; }
+        if (order < 0) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      return { index: low, found: false };
+    }
+
+    /**
+     * Store a record, the part of put and add that runs in the transaction.
+     * @return the key
+     */
+    function storeRecord(store, value, key, noOverwrite) {
+      if (key === undefined) {
+        key = store.nextKey++;
+        if (store.keyPath !== null) { injectKey(value, store.keyPath, key); }
+      } else if (store.autoIncrement && typeof key === "number" &&
+                 key >= store.nextKey) {
+        store.nextKey = Math.floor(key) + 1;
+      }
+      var position = findRecord(store.records, key);
+      if (position.found && noOverwrite) {
+        throw domError("ConstraintError", "Key already exists in the " +
+                       "object store.");
+      }
+      Object.keys(store.indexes).forEach(function(name) {
+        var index = store.indexes[name];
+        if (!index.unique) { return; }
+        indexKeys(index, value).forEach(function(indexKey) {
+          store.records.forEach(function(record) {
+            if (compareKeys(record.key, key) === 0) { return; }
+            indexKeys(index, record.value).forEach(function(other) {
+              if (compareKeys(indexKey, other) === 0) {
+                throw domError("ConstraintError", "Index key is not " +
+                               "unique.");
+              }
+            });
+          });
+        });
+      });
+      store.records.splice(position.index, position.found ? 1 : 0,
+                           { key: copyKey(key), value: value });
+      return copyKey(key);
+    }
+
+    /**
+     * The next entry after position, going in direction.
+     * @param {Array} entries sorted, see storeEntries
+     * @param {Object} position current entry, or null to start
+     * @param {String} direction "next", "nextunique", "prev" or "prevunique"
+     */
+    function nextEntry(entries, position, direction) {
+      var i;
+      var unique = /unique$/.test(direction);
+      if (direction.indexOf("next") === 0) {
+        for (i = 0; i < entries.length; i++) {
+          if (!position || (unique ?
+              compareKeys(entries[i].key, position.key) > 0 :
+              compareEntries(entries[i], position) > 0)) {
+            return entries[i];
+          }
+        }
+        return null;
+      }
+      for (i = entries.length - 1; i >= 0; i--) {
+        if (!position || (unique ?
+            compareKeys(entries[i].key, position.key) < 0 :
+            compareEntries(entries[i], position) < 0)) {
+          break;
+        }
+      }
+      if (i < 0) { return null; }
+      // prevunique stops at the first record with the key
+      while (unique && i > 0 &&
+             compareKeys(entries[i - 1].key, entries[i].key) === 0) {
+        i--;
+      }
+      return entries[i];
+    }
+
+    /**
+     * Transactions run their requests one at a time, each a little later,
+     * and commit once none are left.
+     * @param {Object} db the connection
+     * @param {Object} data the database, see databases
+     * @param {Array} names of the object stores in scope
+     * @param {String} mode
+     * @param {Object} hooks (optional) { complete: Function, abort: Function }
+     */
+    function createTransaction(db, data, names, mode, hooks) {
+      var queue = [];
+      var scheduled = false;
+      var finished = false;
+      var handles = Object.create(null);
+      // What to go back to if the transaction aborts
+      var snapshot = {};
+      (mode === "versionchange" ? Object.keys(data.stores) : names).
+        forEach(function(name) {
+          var store = data.stores[name];
+          snapshot[name] = { store: store, records: store.records.slice(),
+                             nextKey: store.nextKey,
+                             indexes: Object.assign({}, store.indexes) };
+        });
+
+      var tx = eventTarget({
+        db: db,
+        mode: mode,
+        error: null,
+        oncomplete: null,
+        onerror: null,
+        onabort: null
+      });
+      Object.defineProperty(tx, "objectStoreNames", {
+        get: function() {
+          return stringList(mode === "versionchange" ?
+                            Object.keys(data.stores) : names);
+        }
+      });
+
+      function checkActive() {
+        if (finished) {
+          throw domError("TransactionInactiveError", "A request was placed " +
+                         "against a transaction which is currently not " +
+                         "active, or which is finished.");
+        }
+      }
+      function checkWritable() {
+        checkActive();
+        if (mode === "readonly") {
+          throw domError("ReadOnlyError", "A mutation operation was " +
+                         "attempted in a READ_ONLY transaction.");
+        }
+      }
+      function schedule() {
+        if (!scheduled && !finished) {
+          scheduled = true;
+          later(step);
+        }
+      }
+      function enqueue(request, operation) {
+        checkActive();
+        request.readyState = "pending";
+        queue.push({ request: request, operation: operation });
+        schedule();
+        return request;
+      }
+      function step() {
+        scheduled = false;
+        if (finished) { return; }
+        if (queue.length === 0) {
+          finished = true;
+          fire([tx], "complete");
+          if (hooks) { hooks.complete(); }
+          return;
+        }
+        var item = queue.shift();
+        var request = item.request;
+        var result;
+        try {
+          result = item.operation();
+        } catch (e) {
+          request.readyState = "done";
+          request.result = undefined;
+          request.error = e;
+          var errorEvent = fire([request, tx, db], "error");
+          if (!errorEvent.defaultPrevented || errorEvent.threw) {
+            abort(e);
+            return;
+          }
+          schedule();
+          return;
+        }
+        request.readyState = "done";
+        request.error = null;
+        request.result = result;
+        if (fire([request], "success").threw) {
+          abort(domError("AbortError", "The transaction was aborted."));
+          return;
+        }
+        schedule();
+      }
+      function abort(error) {
+        if (finished) { return; }
+        finished = true;
+        Object.keys(data.stores).forEach(function(name) {
+          if (!snapshot.hasOwnProperty(name)) { delete data.stores[name]; }
+        });
+        Object.keys(snapshot).forEach(function(name) {
+          var saved = snapshot[name];
+          saved.store.records = saved.records;
+          saved.store.nextKey = saved.nextKey;
+          saved.store.indexes = saved.indexes;
+          data.stores[name] = saved.store;
+        });
+        queue.splice(0).forEach(function(item) {
+          item.request.readyState = "done";
+          item.request.result = undefined;
+          item.request.error = domError("AbortError",
+                                        "The transaction was aborted.");
+          fire([item.request, tx, db], "error");
+        });
+        tx.error = error || null;
+        fire([tx, db], "abort");
+        if (hooks) { hooks.abort(); }
+      }
+
+      tx.abort = function() {
+        if (finished) {
+          throw domError("InvalidStateError", "The transaction is finished.");
+        }
+        abort(null);
+      };
+      tx.commit = function() {
+        checkActive();
+        schedule();
+      };
+      tx.objectStore = function(name) {
+        checkActive();
+        if ((mode !== "versionchange" && names.indexOf(name) === -1) ||
+            !data.stores[name]) {
+          throw domError("NotFoundError", "The operation failed because " +
+                         "the requested database object could not be found.");
+        }
+        if (!handles[name]) {
+          handles[name] = objectStoreHandle(data.stores[name]);
+        }
+        return handles[name];
+      };
+      internals.set(tx, {
+        createStore: function(name) {
+          handles[name] = objectStoreHandle(data.stores[name]);
+          return handles[name];
+        },
+        isActive: function() { return !finished; }
+      });
+
+      // Reads shared by object stores and indexes. entries() lists what to
+      // read from, in key order.
+      function addReads(handle, entries) {
+        function read(query, required, collect) {
+          checkActive();
+          var range = toRange(query);
+          if (required && !range) { checkKey(query); }
+          return enqueue(createRequest(handle, tx), function() {
+            return collect(entries().filter(function(entry) {
+              return inRange(range, entry.key);
+            }));
+          });
+        }
+        function limit(found, count) {
+          return count > 0 ? found.slice(0, count) : found;
+        }
+        handle.get = function(query) {
+          return read(query, true, function(found) {
+            return found.length ? clone(found[0].value) : undefined;
+          });
+        };
+        handle.getKey = function(query) {
+          return read(query, true, function(found) {
+            return found.length ? copyKey(found[0].primaryKey) : undefined;
+          });
+        };
+        handle.getAll = function(query, count) {
+          return read(query, false, function(found) {
+            return limit(found, count).map(function(entry) {
+              return clone(entry.value);
+            });
+          });
+        };
+        handle.getAllKeys = function(query, count) {
+          return read(query, false, function(found) {
+            return limit(found, count).map(function(entry) {
+              return copyKey(entry.primaryKey);
+            });
+          });
+        };
+        handle.count = function(query) {
+          return read(query, false, function(found) { return found.length; });
+        };
+        handle.openCursor = function(query, direction) {
+          return openCursor(handle, entries, query, direction, false);
+        };
+        handle.openKeyCursor = function(query, direction) {
+          return openCursor(handle, entries, query, direction, true);
+        };
+        return handle;
+      }
+
+      function openCursor(source, entries, query, direction, keyOnly) {
+        checkActive();
+        direction = direction || "next";
+        if ([ "next", "nextunique", "prev", "prevunique" ].
+            indexOf(direction) === -1) {
+          throw new TypeError("Invalid cursor direction: " + direction);
+        }
+        var range = toRange(query);
+        var request = createRequest(source, tx);
+        var position = null;
+        var moving = true;
+        var store = source.objectStore || source;
+
+        var cursor = {
+          source: source,
+          direction: direction,
+          request: request,
+          key: undefined,
+          primaryKey: undefined
+        };
+        function move(count, target) {
+          if (moving) {
+            throw domError("InvalidStateError", "The cursor is being " +
+                           "iterated or has iterated past its end.");
+          }
+          moving = true;
+          enqueue(request, seek(count, target));
+        }
+        function seek(count, target) {
+          return function() {
+            var inScope = entries().filter(function(entry) {
+              return inRange(range, entry.key);
+            });
+            var forward = direction.indexOf("next") === 0;
+            for (var i = 0; i < count && position !== undefined; i++) {
+              position = nextEntry(inScope, position, direction) || undefined;
+            }
+            while (position && target !== undefined &&
+                   compareKeys(position.key, target) * (forward ? 1 : -1) < 0) {
+              position = nextEntry(inScope, position, direction) || undefined;
+            }
+            if (!position) { return null; }
+            moving = false;
+            cursor.key = copyKey(position.key);
+            cursor.primaryKey = copyKey(position.primaryKey);
+            if (!keyOnly) { cursor.value = clone(position.value); }
+            return cursor;
+          };
+        }
+        cursor.advance = function(count) {
+          if (!(count > 0)) {
+            throw new TypeError("advance() needs a count above 0");
+          }
+          move(count);
+        };
+        cursor["continue"] = function(key) {
+          if (key !== undefined) { checkKey(key); }
+          move(1, key);
+        };
+        cursor.update = function(value) {
+          checkWritable();
+          if (keyOnly) {
+            throw domError("InvalidStateError", "Key cursors have no value.");
+          }
+          var key = position.primaryKey;
+          if (store.keyPath === null) { return store.put(value, key); }
+          if (compareKeys(evaluateKeyPath(value, store.keyPath), key) !== 0) {
+            throw dataError();
+          }
+          return store.put(value);
+        };
+        cursor["delete"] = function() {
+          checkWritable();
+          return store["delete"](position.primaryKey);
+        };
+        return enqueue(request, seek(1));
+      }
+
+      function objectStoreHandle(store) {
+        var handle = {
+          name: store.name,
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement,
+          transaction: tx
+        };
+        Object.defineProperty(handle, "indexNames", {
+          get: function() { return stringList(Object.keys(store.indexes)); }
+        });
+        addReads(handle, function() { return storeEntries(store); });
+
+        function write(value, key, noOverwrite) {
+          checkWritable();
+          value = clone(value);
+          if (store.keyPath !== null) {
+            if (key !== undefined) { throw dataError(); }
+            key = evaluateKeyPath(value, store.keyPath);
+          }
+          if (key === undefined ? !store.autoIncrement : !isValidKey(key)) {
+            throw dataError();
+          }
+          return enqueue(createRequest(handle, tx), function() {
+            return storeRecord(store, value, key, noOverwrite);
+          });
+        }
+        handle.put = function(value, key) {
+          return write(value, key, false);
+        };
+        handle.add = function(value, key) {
+          return write(value, key, true);
+        };
+        handle["delete"] = function(query) {
+          checkWritable();
+          var range = toRange(query);
+          if (!range) { checkKey(query); }
+          return enqueue(createRequest(handle, tx), function() {
+            store.records = store.records.filter(function(record) {
+              return !inRange(range, record.key);
+            });
+            return undefined;
+          });
+        };
+        handle.clear = function() {
+          checkWritable();
+          return enqueue(createRequest(handle, tx), function() {
+            store.records = [];
+            return undefined;
+          });
+        };
+        handle.createIndex = function(name, keyPath, options) {
+          checkUpgrade();
+          if (store.indexes[name]) {
+            throw domError("ConstraintError", "Index already exists.");
+          }
+          store.indexes[name] = {
+            name: name,
+            keyPath: keyPath,
+            unique: !!(options && options.unique),
+            multiEntry: !!(options && options.multiEntry)
+          };
+          return handle.index(name);
+        };
+        handle.deleteIndex = function(name) {
+          checkUpgrade();
+          handle.index(name);
+          delete store.indexes[name];
+        };
+        handle.index = function(name) {
+          checkActive();
+          var index = store.indexes[name];
+          if (!index) {
+            throw domError("NotFoundError", "The operation failed because " +
+                           "the requested database object could not be " +
+                           "found.");
+          }
+          return addReads({
+            name: index.name,
+            keyPath: index.keyPath,
+            unique: index.unique,
+            multiEntry: index.multiEntry,
+            objectStore: handle
+          }, function() { return indexEntries(store, index); });
+        };
+        return handle;
+      }
+
+      function checkUpgrade() {
+        checkActive();
+        if (mode !== "versionchange") {
+          throw domError("InvalidStateError", "Only allowed while " +
+                         "upgrading the database.");
+        }
+      }
+
+      schedule();
+      return tx;
+    }
+
+    function createConnection(data) {
+      var upgrade = null;
+      var closed = false;
+      var db = eventTarget({
+        name: data.name,
+        version: data.version,
+        onabort: null,
+        onclose: null,
+        onerror: null,
+        onversionchange: null
+      });
+      Object.defineProperty(db, "objectStoreNames", {
+        get: function() { return stringList(Object.keys(data.stores)); }
+      });
+      function checkUpgrade() {
+        if (!upgrade || !internals.get(upgrade).isActive()) {
+          throw domError("InvalidStateError", "Only allowed while " +
+                         "upgrading the database.");
+        }
+      }
+      internals.set(db, { upgrade: function(tx) { upgrade = tx; } });
+      db.createObjectStore = function(name, options) {
+        checkUpgrade();
+        name = String(name);
+        if (data.stores[name]) {
+          throw domError("ConstraintError", "Object store already exists.");
+        }
+        var keyPath = (options && options.keyPath !== undefined) ?
+          options.keyPath : null;
+        var autoIncrement = !!(options && options.autoIncrement);
+        if (autoIncrement && (keyPath === "" || Array.isArray(keyPath))) {
+          throw domError("InvalidAccessError", "autoIncrement needs a " +
+                         "non-empty, non-array key path.");
+        }
+        data.stores[name] = { name: name, keyPath: keyPath,
+                              autoIncrement: autoIncrement, nextKey: 1,
+                              records: [], indexes: {} };
+        return internals.get(upgrade).createStore(name);
+      };
+      db.deleteObjectStore = function(name) {
+        checkUpgrade();
+        if (!data.stores[name]) {
+          throw domError("NotFoundError", "The operation failed because " +
+                         "the requested database object could not be found.");
+        }
+        delete data.stores[name];
+      };
+      db.transaction = function(names, mode) {
+        if (closed) {
+          throw domError("InvalidStateError", "The database connection is " +
+                         "closing.");
+        }
+        names = typeof names === "string" ? [ names ] :
+          Array.prototype.slice.call(names);
+        mode = mode || "readonly";
+        if (mode !== "readonly" && mode !== "readwrite") {
+          throw new TypeError("Invalid transaction mode: " + mode);
+        }
+        if (names.length === 0) {
+          throw domError("InvalidAccessError", "A transaction needs at least " +
+                         "one object store.");
+        }
+        names.forEach(function(name) {
+          if (!data.stores[name]) {
+            throw domError("NotFoundError", "The operation failed because " +
+                           "the requested database object could not be " +
+                           "found.");
+          }
+        });
+        return createTransaction(db, data, names, mode);
+      };
+      db.close = function() {
+        closed = true;
+        var index = data.connections.indexOf(db);
+        if (index !== -1) { data.connections.splice(index, 1); }
+      };
+      data.connections.push(db);
+      return db;
+    }
+
+    var factory = Object.create(global.IDBFactory ?
+                                global.IDBFactory.prototype : Object.prototype);
+    factory.open = function(name, version) {
+      name = String(name);
+      if (version !== undefined) {
+        version = Math.floor(Number(version));
+        if (!(version >= 1)) {
+          throw new TypeError("The database version must be at least 1");
+        }
+      }
+      var request = createRequest(null, null);
+      request.onupgradeneeded = null;
+      request.onblocked = null;
+      later(function() {
+        var isNew = !databases[name];
+        if (isNew) {
+          databases[name] = { name: name, version: 0, stores: {},
+                              connections: [] };
+        }
+        var data = databases[name];
+        var newVersion = version === undefined ? (data.version || 1) : version;
+        request.readyState = "done";
+        if (newVersion < data.version) {
+          request.error = domError("VersionError", "The operation failed " +
+                                   "because the stored database is a higher " +
+                                   "version than the version requested.");
+          fire([request], "error");
+          return;
+        }
+        var oldVersion = data.version;
+        data.connections.forEach(function(other) {
+          if (newVersion > oldVersion) {
+            fire([other], "versionchange",
+                 { oldVersion: oldVersion, newVersion: newVersion });
+          }
+        });
+        data.version = newVersion;
+        var db = createConnection(data);
+        request.result = db;
+        if (newVersion === oldVersion) {
+          fire([request], "success");
+          return;
+        }
+
+        var tx = createTransaction(db, data, [], "versionchange", {
+          complete: function() {
+            request.transaction = null;
+            fire([request], "success");
+          },
+          abort: function() {
+            db.close();
+            data.version = oldVersion;
+            if (isNew) { delete databases[name]; }
+            request.transaction = null;
+            request.result = undefined;
+            request.error = domError("AbortError", "The version change " +
+                                     "transaction was aborted.");
+            fire([request], "error");
+          }
+        });
+        internals.get(db).upgrade(tx);
+        request.transaction = tx;
+        if (fire([request], "upgradeneeded",
+                 { oldVersion: oldVersion, newVersion: newVersion }).threw) {
+          tx.abort();
+        }
+      });
+      return request;
+    };
+    factory.deleteDatabase = function(name) {
+      name = String(name);
+      var request = createRequest(null, null);
+      request.onblocked = null;
+      later(function() {
+        var data = databases[name];
+        var oldVersion = data ? data.version : 0;
+        if (data) {
+          data.connections.slice().forEach(function(db) {
+            fire([db], "versionchange",
+                 { oldVersion: oldVersion, newVersion: null });
+            db.close();
+          });
+          delete databases[name];
+        }
+        request.readyState = "done";
+        fire([request], "success",
+             { oldVersion: oldVersion, newVersion: null });
+      });
+      return request;
+    };
+    factory.databases = function() {
+      return Promise.resolve(Object.keys(databases).map(function(name) {
+        return { name: name, version: databases[name].version };
+      }));
+    };
+    factory.cmp = function(a, b) {
+      return compareKeys(checkKey(a), checkKey(b));
+    };
+
+    if (global.IDBFactory) {
+      Object.keys(factory).forEach(function(name) {
+        if (name in global.IDBFactory.prototype) {
+          global.IDBFactory.prototype[name] = function() {
+            return factory[name].apply(factory, arguments);
+          };
+        }
+      });
+    }
+    try {
+      Object.defineProperty(global, "indexedDB", {
+        __proto__: null,
+        configurable: false,
+        get: function () {
+          return factory;
+        },
+        set: function (newValue) {
+          // Do nothing
+        }
+      });
+    } catch (e) {
+      // Already locked down, the factory methods are covered anyway
+    }
+
+    // One blob: URL per script, so new SharedWorker(url) twice still gets
+    // the same worker
+    var workerUrls = Object.create(null);
+    ["Worker", "SharedWorker"].forEach(function(name) {
+      var OriginalWorker = global[name];
+      if (typeof OriginalWorker !== "function") { return; }
+      var wrapped = function(url, options) {
+        var absolute = resolve(url);
+        var load = (options && options.type === "module") ?
+          "import(" : "importScripts(";
+        var id = load + absolute;
+        if (!workerUrls[id]) {
+          var prelude = "(" + isolateIndexedDB + ")(self, " +
+            JSON.stringify(absolute) + ");\n" +
+            load + JSON.stringify(absolute) + ");";
+          var blob = new Blob([prelude], { type: "text/javascript" });
+          workerUrls[id] = URL.createObjectURL(blob);
+        }
+        return new OriginalWorker(workerUrls[id], options);
+      };
+      wrapped.prototype = OriginalWorker.prototype;
+      global[name] = wrapped;
+    });
+
+    if (!base) { return; }
+
+    // In a worker: relative URLs would now resolve against the blob: URL
+    if (global.importScripts) {
+      var importScripts = global.importScripts;
+      global.importScripts = function() {
+        var urls = Array.prototype.map.call(arguments, resolve);
+        return importScripts.apply(global, urls);
+      };
+    }
+    if (global.fetch) {
+      var fetch = global.fetch;
+      global.fetch = function(input, init) {
+        if (typeof input === "string") { input = resolve(input); }
+        return fetch.call(global, input, init);
+      };
+    }
+    if (global.XMLHttpRequest) {
+      var open = global.XMLHttpRequest.prototype.open;
+      global.XMLHttpRequest.prototype.open = function(method, url) {
+        var args = Array.prototype.slice.call(arguments);
+        args[1] = resolve(url);
+        return open.apply(this, args);
+      };
+    }
+  }
+
+  isolateIndexedDB(window, null);
+})();
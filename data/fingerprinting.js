@@ -27,6 +27,26 @@ function getPageScript() {
 
     var event_id = document.currentScript.getAttribute('data-event-id');
 
+    // how many different properties a script can read before it counts as
+    // enumeration fingerprinting, and how many of those have to be
+    // properties that only fingerprinters care about
+    var enumeration_threshold = parseInt(
+      document.currentScript.getAttribute('data-enumeration-threshold'), 10) || 15,
+      HIGH_SIGNAL_MIN = 2;
+
+    // how many different font families a script can measure text in
+    // before it counts as font fingerprinting
+    var font_threshold = parseInt(
+      document.currentScript.getAttribute('data-font-threshold'), 10) || 20;
+
+    // canvas fingerprinting defense: "off", "noise" or "blank",
+    // and the base domains of the scripts to use it on
+    var canvas_defense =
+        document.currentScript.getAttribute('data-canvas-defense') || 'off',
+      canvas_fingerprinters = (
+        document.currentScript.getAttribute('data-canvas-fingerprinters') || ''
+      ).split(',').filter(Boolean);
+
     // from https://github.com/csnover/TraceKit/blob/b76ad786f84ed0c94701c83d8963458a8da54d57/tracekit.js#L641
     var geckoCallSiteRe = /^\s*(.*?)(?:\((.*?)\))?@?((?:file|https?|chrome):.*?):(\d+)(?::(\d+))?\s*$/i;
 
@@ -113,9 +133,15 @@ function getPageScript() {
     }
 
     function trapInstanceMethod(item) {
+      // not implemented by this browser
+      if (!item.obj || typeof item.obj[item.propName] != 'function') {
+        return;
+      }
+
       var is_canvas_write = (
         item.propName == 'fillText' || item.propName == 'strokeText'
       );
+      var report_once = is_canvas_write || !!item.once;
 
       item.obj[item.propName] = (function (orig) {
 
@@ -130,6 +156,11 @@ function getPageScript() {
             }
           }
 
+          // only some calls are interesting
+          if (item.hasOwnProperty('filter') && !item.filter.apply(this, args)) {
+            return orig.apply(this, args);
+          }
+
           var script_url = getOriginatingScriptUrl(),
             msg = {
               obj: item.objName,
@@ -143,19 +174,66 @@ function getPageScript() {
 
           send(msg);
 
-          if (is_canvas_write) {
+          if (report_once) {
             // optimization: one canvas write is enough,
             // restore original write method
-            // to this CanvasRenderingContext2D object instance
+            // to this CanvasRenderingContext2D (or other) object instance
             this[item.propName] = orig;
           }
 
+          if (item.hasOwnProperty('defend') && isCanvasFingerprinter(script_url)) {
+            return item.defend.call(this, orig, args);
+          }
+
           return orig.apply(this, args);
         };
 
       }(item.obj[item.propName]));
     }
 
+    /**
+     * Is the canvas defense on for this script?
+     * @param script_url the script reading the canvas
+     * @returns {Boolean}
+     */
+    function isCanvasFingerprinter(script_url) {
+      if (canvas_defense == 'off' || !canvas_fingerprinters.length) {
+        return false;
+      }
+
+      var host = script_url.match(/^[a-z][a-z0-9+.\-]*:\/\/([^\/:?#]+)/i);
+      if (!host) {
+        return false;
+      }
+      host = host[1].toLowerCase();
+
+      return canvas_fingerprinters.some(function (origin) {
+        return host == origin ||
+          host.slice(-(origin.length + 1)) == '.' + origin;
+      });
+    }
+
+    // keep the originals around, page scripts get the trapped versions
+    var getImageData = CanvasRenderingContext2D.prototype.getImageData;
+
+    /**
+     * Flip the lowest bit of a color value in about one pixel in ten:
+     * invisible, but enough to change the fingerprint every time
+     * @param image_data ImageData object to modify in place
+     * @returns the same ImageData object
+     */
+    function addNoise(image_data) {
+      var data = image_data.data;
+
+      for (var i = 0; i < data.length; i += 4) {
+        if (Math.random() < 0.1) {
+          data[i + Math.floor(Math.random() * 3)] ^= 1;
+        }
+      }
+
+      return image_data;
+    }
+
     var methods = [];
 
     ['getImageData', 'fillText', 'strokeText'].forEach(function (method) {
@@ -190,6 +268,17 @@ function getPageScript() {
             height: height
           };
         };
+
+        // "this" is a CanvasRenderingContext2D object
+        item.defend = function (orig, args) {
+          if (canvas_defense == 'blank') {
+            return this.createImageData(
+              args[2] === undefined ? this.canvas.width : args[2],
+              args[3] === undefined ? this.canvas.height : args[3]
+            );
+          }
+          return addNoise(orig.apply(this, args));
+        };
       }
 
       methods.push(item);
@@ -206,11 +295,380 @@ function getPageScript() {
           width: this.width,
           height: this.height
         };
+      },
+      // "this" is a canvas element,
+      // serialize a copy of it instead
+      defend: function (orig, args) {
+        var copy = document.createElement('canvas');
+
+        copy.width = this.width;
+        copy.height = this.height;
+
+        if (canvas_defense != 'blank' && copy.width && copy.height) {
+          var ctx = copy.getContext('2d');
+          ctx.drawImage(this, 0, 0);
+          ctx.putImageData(
+            addNoise(getImageData.call(ctx, 0, 0, copy.width, copy.height)),
+            0, 0
+          );
+        }
+
+        return orig.apply(copy, args);
       }
     });
 
+    // WebGL: rendering a scene, or unmasking the graphics card,
+    // followed by reading the result back
+    var webgl_proto = window.WebGLRenderingContext &&
+        WebGLRenderingContext.prototype,
+      UNMASKED_VENDOR_WEBGL = 0x9245,
+      UNMASKED_RENDERER_WEBGL = 0x9246;
+
+    ['drawArrays', 'drawElements'].forEach(function (method) {
+      methods.push({
+        objName: 'WebGLRenderingContext.prototype',
+        propName: method,
+        obj: webgl_proto,
+        once: true,
+        extra: function () {
+          return {
+            webgl: true
+          };
+        }
+      });
+    });
+
+    methods.push({
+      objName: 'WebGLRenderingContext.prototype',
+      propName: 'getExtension',
+      obj: webgl_proto,
+      filter: function (name) {
+        return name == 'WEBGL_debug_renderer_info';
+      },
+      extra: function () {
+        return {
+          webgl: true
+        };
+      }
+    });
+
+    methods.push({
+      objName: 'WebGLRenderingContext.prototype',
+      propName: 'getParameter',
+      obj: webgl_proto,
+      // everything else gets queried all the time by regular WebGL code
+      filter: function (pname) {
+        return (
+          pname == UNMASKED_VENDOR_WEBGL || pname == UNMASKED_RENDERER_WEBGL
+        );
+      },
+      extra: function () {
+        return {
+          webgl: true
+        };
+      }
+    });
+
+    methods.push({
+      objName: 'WebGLRenderingContext.prototype',
+      propName: 'readPixels',
+      obj: webgl_proto,
+      extra: function (x, y, width, height) {
+        return {
+          webgl: true,
+          width: width,
+          height: height
+        };
+      }
+    });
+
+    // Web Audio: generating a signal, rendering it offline
+    // and reading back the samples or their frequency data
+    var audio_context = window.BaseAudioContext || window.AudioContext ||
+        window.webkitAudioContext,
+      offline_audio_context = window.OfflineAudioContext ||
+        window.webkitOfflineAudioContext;
+
+    [{
+      objName: 'AudioContext.prototype',
+      propName: 'createOscillator',
+      obj: audio_context && audio_context.prototype
+    }, {
+      objName: 'OfflineAudioContext.prototype',
+      propName: 'startRendering',
+      obj: offline_audio_context && offline_audio_context.prototype
+    }, {
+      objName: 'AudioBuffer.prototype',
+      propName: 'getChannelData',
+      obj: window.AudioBuffer && AudioBuffer.prototype
+    }, {
+      objName: 'AnalyserNode.prototype',
+      propName: 'getFloatFrequencyData',
+      obj: window.AnalyserNode && AnalyserNode.prototype
+    }, {
+      objName: 'AnalyserNode.prototype',
+      propName: 'getByteFrequencyData',
+      obj: window.AnalyserNode && AnalyserNode.prototype
+    }].forEach(function (item) {
+      // audio code calls these over and over,
+      // once per object instance is enough
+      item.once = true;
+      item.extra = function () {
+        return {
+          audio: true
+        };
+      };
+      methods.push(item);
+    });
+
     methods.forEach(trapInstanceMethod);
 
+    /**
+     * Enumeration fingerprinting: a script that reads a lot of different
+     * browser, plugin and screen properties is most likely building a
+     * fingerprint. Count the distinct properties read by each script and
+     * report it once it crosses the threshold. Analytics read plenty of
+     * properties too (user agent, language, screen size, time zone), so some
+     * of them have to be high signal ones, like the number of CPU cores.
+     */
+    var enumeration_reads = {};
+
+    /**
+     * Scripts read these properties over and over (date formatting, layout
+     * code), so the script URL found with one stack trace is kept until the
+     * running script hands back to the event loop.
+     */
+    var current_script_url = null,
+      resolved = Promise.resolve(),
+      then = Promise.prototype.then;
+
+    function rememberScriptUrl(script_url) {
+      if (current_script_url === null) {
+        then.call(resolved, function () {
+          current_script_url = null;
+        });
+      }
+      current_script_url = script_url;
+      return script_url;
+    }
+
+    function recordPropertyRead(item, script_url) {
+      if (!script_url) {
+        return;
+      }
+
+      if (!enumeration_reads.hasOwnProperty(script_url)) {
+        enumeration_reads[script_url] = {
+          props: {},
+          count: 0,
+          high_signal: 0,
+          reported: false
+        };
+      }
+      var reads = enumeration_reads[script_url],
+        prop = item.objName + '.' + item.propName;
+
+      if (reads.reported || reads.props.hasOwnProperty(prop)) {
+        return;
+      }
+
+      reads.props[prop] = true;
+      reads.count++;
+      if (item.high_signal) {
+        reads.high_signal++;
+      }
+
+      if (reads.count >= enumeration_threshold &&
+          reads.high_signal >= HIGH_SIGNAL_MIN) {
+        // one report per script is enough
+        reads.reported = true;
+
+        send({
+          obj: item.objName,
+          prop: item.propName,
+          scriptUrl: script_url,
+          extra: {
+            enumeration: true,
+            count: reads.count,
+            props: Object.keys(reads.props)
+          }
+        });
+      }
+    }
+
+    /**
+     * Monitor reads of a property defined by a getter on a prototype
+     * @param item special item objects
+     */
+    function trapPropertyGetter(item) {
+      var descriptor = Object.getOwnPropertyDescriptor(item.obj, item.propName);
+
+      // not implemented by this browser
+      if (!descriptor || !descriptor.get || !descriptor.configurable) {
+        return;
+      }
+
+      Object.defineProperty(item.obj, item.propName, {
+        get: (function (orig) {
+          return function () {
+            // only some reads are interesting
+            if (!item.hasOwnProperty('filter') || item.filter.call(this)) {
+              var script_url = current_script_url !== null ?
+                current_script_url : rememberScriptUrl(getOriginatingScriptUrl());
+              (item.record || recordPropertyRead).call(this, item, script_url);
+            }
+            return orig.call(this);
+          };
+        }(descriptor.get)),
+        set: descriptor.set,
+        enumerable: descriptor.enumerable,
+        configurable: true
+      });
+    }
+
+    /**
+     * Monitor calls to a method, without reporting every call
+     * @param item special item objects
+     */
+    function trapEnumerationMethod(item) {
+      if (typeof item.obj[item.propName] != 'function') {
+        return;
+      }
+
+      item.obj[item.propName] = (function (orig) {
+        return function () {
+          var script_url = current_script_url !== null ?
+            current_script_url : rememberScriptUrl(getOriginatingScriptUrl());
+          (item.record || recordPropertyRead).call(
+            this, item, script_url, arguments);
+          return orig.apply(this, arguments);
+        };
+      }(item.obj[item.propName]));
+    }
+
+    var properties = [];
+
+    [
+      'mimeTypes', 'userAgent', 'platform', 'language', 'languages',
+      'doNotTrack', 'cookieEnabled', 'appVersion', 'vendor'
+    ].forEach(function (prop) {
+      properties.push({
+        objName: 'Navigator.prototype',
+        propName: prop,
+        obj: Navigator.prototype
+      });
+    });
+
+    // hardly anything but a fingerprinter needs these
+    [
+      'plugins', 'hardwareConcurrency', 'deviceMemory', 'oscpu', 'buildID'
+    ].forEach(function (prop) {
+      properties.push({
+        objName: 'Navigator.prototype',
+        propName: prop,
+        obj: Navigator.prototype,
+        high_signal: true
+      });
+    });
+
+    [
+      'width', 'height', 'availWidth', 'availHeight', 'colorDepth',
+      'pixelDepth'
+    ].forEach(function (prop) {
+      properties.push({
+        objName: 'Screen.prototype',
+        propName: prop,
+        obj: Screen.prototype
+      });
+    });
+
+    properties.forEach(trapPropertyGetter);
+
+    [{
+      objName: 'Date.prototype',
+      propName: 'getTimezoneOffset',
+      obj: Date.prototype
+    }, {
+      objName: 'Intl.DateTimeFormat.prototype',
+      propName: 'resolvedOptions',
+      obj: window.Intl && Intl.DateTimeFormat.prototype || {}
+    }].forEach(trapEnumerationMethod);
+
+    /**
+     * Font fingerprinting: a script measuring text in lots of different
+     * font families in a short time is checking which fonts are installed.
+     */
+    var font_probes = {},
+      FONT_PROBE_WINDOW = 2000; // ms
+
+    function recordFontProbe(item, script_url, family) {
+      if (!script_url || !family) {
+        return;
+      }
+
+      var now = Date.now(),
+        probes = font_probes[script_url];
+
+      // start over if the script is taking its time
+      if (!probes || (!probes.reported &&
+          now - probes.started > FONT_PROBE_WINDOW)) {
+        probes = font_probes[script_url] = {
+          families: {},
+          count: 0,
+          started: now,
+          reported: false
+        };
+      }
+
+      if (probes.reported || probes.families.hasOwnProperty(family)) {
+        return;
+      }
+
+      probes.families[family] = true;
+      probes.count++;
+
+      if (probes.count >= font_threshold) {
+        // one report per script is enough
+        probes.reported = true;
+
+        send({
+          obj: item.objName,
+          prop: item.propName,
+          scriptUrl: script_url,
+          extra: {
+            fonts: true,
+            count: probes.count
+          }
+        });
+      }
+    }
+
+    // text measured with an inline font-family
+    ['offsetWidth', 'offsetHeight'].forEach(function (prop) {
+      trapPropertyGetter({
+        objName: 'HTMLElement.prototype',
+        propName: prop,
+        obj: HTMLElement.prototype,
+        // layout code reads these all the time, keep it cheap
+        filter: function () {
+          return !!(this.style && this.style.fontFamily);
+        },
+        record: function (item, script_url) {
+          recordFontProbe(item, script_url, this.style.fontFamily);
+        }
+      });
+    });
+
+    // document.fonts.check('12px "Font Name"')
+    trapEnumerationMethod({
+      objName: 'FontFaceSet.prototype',
+      propName: 'check',
+      obj: window.FontFaceSet && FontFaceSet.prototype || {},
+      record: function (item, script_url, args) {
+        recordFontProbe(item, script_url, args[0] && String(args[0]));
+      }
+    });
+
   } + "());";
 
   // code above is not a content script: no Firefox APIs //////////////////////
@@ -241,5 +699,9 @@ document.addEventListener(event_id, function (e) {
 });
 
 insertScript(getPageScript(), {
-  event_id: event_id
+  event_id: event_id,
+  enumeration_threshold: self.options.enumerationThreshold,
+  font_threshold: self.options.fontThreshold,
+  canvas_defense: self.options.canvasDefense,
+  canvas_fingerprinters: self.options.canvasFingerprinters
 });
@@ -4,8 +4,32 @@ var potential = $('#potential').text();
 var trackers = $('#tracking_domains').text();
 var from_these_sites = $('#so_far').text();
 var feed_the_badger_title = $('#feed_the_badger_title').text();
+var evidence_why = $('#evidence_why').text();
+var evidence_seen_on = $('#evidence_seen_on').text();
+var evidence_cookies = $('#evidence_cookies').text();
+var evidence_score = $('#evidence_score').text();
+var evidence_score_threshold = $('#evidence_score_threshold').text();
+var evidence_signals = {
+  cookie: $('#evidence_cookie').text(),
+  supercookie: $('#evidence_supercookie').text(),
+  canvas: $('#evidence_canvas').text(),
+  webgl: $('#evidence_webgl').text(),
+  audio: $('#evidence_audio').text(),
+  cookiesync: $('#evidence_cookiesync').text(),
+  pixel: $('#evidence_pixel').text(),
+  etag: $('#evidence_etag').text(),
+  bounce: $('#evidence_bounce').text(),
+  enumeration: $('#evidence_enumeration').text(),
+  fonts: $('#evidence_fonts').text()
+};
 var delay = 500;
 var originCache = null;
+var evidenceCache = {};
+var scoreCache = {};
+// The settings file being imported, while its changes are previewed
+var importText = null;
+// The file picker steals focus, which would reload the page
+var pickingFile = false;
 
 // Returns a function, that, as long as it continues to be invoked, will not
 // be triggered. The function will be called after it stops being called for
@@ -35,17 +59,32 @@ function loadOptions() {
     $('#blockedResources').css('max-height',$(window).height() - 300);
     $(window).on('focus', debounce(handleVisibilityChange, 1000, true));
     function handleVisibilityChange(){
-      location.reload();
+      if (pickingFile) {
+        pickingFile = false;
+        return;
+      }
+      if (importText === null) {
+        location.reload();
+      }
     }
 
     $("#blockedResourcesContainer").on("change", "input:radio", updateOrigin);
     $('#blockedResourcesContainer').on('click', '.userset .honeybadgerPowered', resetControl);
     $('#blockedResourcesContainer').on('mouseenter', '.tooltip', displayTooltip);
     $('#blockedResourcesContainer').on('mouseleave', '.tooltip', hideTooltip);
+    $('#blockedResourcesContainer').on('click', '.whyBlocked', toggleEvidence);
 
     $('.addButton').click(addDomainException);
     $('.removeButton').click(removeDomainExceptions);
     $('.prefToggle').change(updateUserPref);
+    $('#updateSourcesTable').on('change', '.updateSourceUrl', updateSourceUrl);
+    $('#checkUpdateSources').click(checkUpdateSources);
+    $('#exportSettings').click(exportSettings);
+    $('#importFile').click(function(){ pickingFile = true; });
+    $('#importFile').change(readImportFile);
+    $('input[name="importMode"]').change(previewImport);
+    $('#applyImport').click(applyImport);
+    $('#cancelImport').click(cancelImport);
   });
 
 
@@ -65,6 +104,10 @@ function loadOptions() {
     // prefs: from the simple-prefs sdk
     loadDisabledSites(settings.disabledSites);
     loadPrefs(settings.prefs);
+    loadPolicyRevocations(settings.policyRevocations);
+    loadUpdateSources(settings.updateSources);
+    evidenceCache = settings.evidence || {};
+    scoreCache = settings.scores || {};
     if(!originCache){
       originCache = settings.origins;
       loadOrigins(settings.origins);
@@ -72,6 +115,9 @@ function loadOptions() {
       reloadOrigins(settings.origins);
     }
   });
+  self.port.on('exportedSettings', saveSettingsFile);
+  self.port.on('importPreview', showImportPreview);
+  self.port.on('importDone', importDone);
 }
 $(loadOptions);
 
@@ -88,6 +134,9 @@ function updateOrigin(event){
   $switchContainer.attr('tooltip', _badgerStatusTitle(action, origin));
   $clicker.children('.tooltipContainer').text(_badgerStatusTitle(action, origin));
 }
+function toggleEvidence(event) {
+  $(event.currentTarget).parents('.clicker').first().toggleClass('showEvidence');
+}
 function resetControl(event) {
   // Removes a userset setting
   var $elm = $(event.currentTarget);
@@ -162,6 +211,7 @@ self.port.emit('addToDisabledSites', domain);
 
 function loadPrefs(prefs){
   console.log('prefs', prefs);
+  $('#learningPaused').toggle(!prefs.heuristicEnabled);
   var prefToggles = $('.prefToggle');
   $.each(prefToggles, function(idx, toggle){
     if(!!prefs[toggle.id]){
@@ -170,6 +220,184 @@ function loadPrefs(prefs){
   });
 }
 
+// Lists the sites that lost their DNT policy whitelisting, newest first
+function loadPolicyRevocations(revocations){
+  revocations = revocations || [];
+  var $list = $('#policyRevocationList').empty();
+  $.each(revocations, function(idx, revocation){
+    $('<li></li>')
+      .text(revocation.host + " (" + new Date(revocation.time).toLocaleDateString() + ")")
+      .appendTo($list);
+  });
+  $('#policyRevocations').toggle(revocations.length > 0);
+}
+
+// Shows each remote list's URL and how its last fetch went
+function loadUpdateSources(sources){
+  var $table = $('#updateSourcesTable').empty();
+  $.each(sources || [], function(idx, source){
+    var $row = $('<tr></tr>').appendTo($table);
+    $('<td></td>').text(source.title).appendTo($row);
+    $('<input type="text" class="updateSourceUrl">')
+      .attr('data-source', source.name)
+      .attr('placeholder', source.defaultUrl)
+      .val(source.url === source.defaultUrl ? "" : source.url)
+      .appendTo($('<td></td>').appendTo($row));
+    $('<td class="updateSourceStatus"></td>')
+      .text(_updateSourceStatus(source))
+      .appendTo($row);
+  });
+  $('#checkUpdateSources').prop('disabled', false);
+}
+
+function _updateSourceStatus(source){
+  var text = source.lastSuccess ?
+    "Last updated " + new Date(source.lastSuccess).toLocaleString() :
+    "Never updated";
+  if (source.error && source.lastAttempt) {
+    text += ". Last attempt " + new Date(source.lastAttempt).toLocaleString() +
+      " failed: " + source.error + " (status " + source.status + ")";
+  } else if (source.status !== null) {
+    text += " (status " + source.status + ")";
+  }
+  return text;
+}
+
+function updateSourceUrl(e){
+  var $target = $(e.target);
+  self.port.emit('setUpdateSource', {
+    name: $target.attr('data-source'),
+    url: $target.val()
+  });
+}
+
+function checkUpdateSources(){
+  $('#checkUpdateSources').prop('disabled', true);
+  self.port.emit('checkUpdateSources');
+}
+
+function exportSettings(){
+  self.port.emit('exportSettings', $('#exportLearned').is(':checked'));
+}
+
+function saveSettingsFile(text){
+  var blob = new Blob([text], {type: 'application/json'});
+  var $link = $('<a></a>')
+    .attr('href', URL.createObjectURL(blob))
+    .attr('download', 'privacybadger-settings-' +
+          new Date().toISOString().substr(0, 10) + '.json')
+    .appendTo('body');
+  $link[0].click();
+  $link.remove();
+}
+
+function readImportFile(){
+  var file = $('#importFile')[0].files[0];
+  $('#importDone').hide();
+  if (!file) { return; }
+  var reader = new FileReader();
+  reader.onload = function(){
+    importText = reader.result;
+    previewImport();
+  };
+  reader.onerror = function(){
+    cancelImport();
+    $('#importError').text("Couldn't read " + file.name).show();
+  };
+  reader.readAsText(file);
+}
+
+function _importMode(){
+  return $('input[name="importMode"]:checked').val();
+}
+
+function previewImport(){
+  if (importText === null) { return; }
+  self.port.emit('previewImport', {text: importText, mode: _importMode()});
+}
+
+var importLabels = {
+  userRed: "Blocked by you",
+  userYellow: "Cookies blocked by you",
+  userGreen: "Allowed by you",
+  disabledSites: "Sites Privacy Badger is disabled on",
+  domainExceptions: "Trackers allowed on a site",
+  blockedOrigins: "Learned trackers",
+  originFrequency: "Trackers seen on sites"
+};
+
+// Lists what importing the file would change, see settingsFormat.diff
+function showImportPreview(preview){
+  if (preview.error) {
+    cancelImport();
+    $('#importError').text(preview.error).show();
+    return;
+  }
+  $('#importError').hide();
+  var $list = $('#importChanges').empty();
+  $.each(importLabels, function(name, label){
+    var change = preview[name];
+    if (name === "blockedOrigins" || name === "originFrequency") {
+      // Too many to list
+      if (change.added.length > 0) {
+        $('<li></li>').text(label + ": " + change.added.length + " added")
+          .appendTo($list);
+      }
+      if (change.removed.length > 0) {
+        $('<li></li>').text(label + ": " + change.removed.length + " removed")
+          .appendTo($list);
+      }
+      return;
+    }
+    if (change.added.length > 0) {
+      $('<li></li>').text(label + ", added: " + _shortList(change.added))
+        .appendTo($list);
+    }
+    if (change.removed.length > 0) {
+      $('<li></li>').text(label + ", removed: " + _shortList(change.removed))
+        .appendTo($list);
+    }
+  });
+  $.each(preview.prefs, function(idx, pref){
+    $('<li></li>').text("Setting " + pref.name + ": " + pref.from + " \u2192 " + pref.to)
+      .appendTo($list);
+  });
+  $('#importSummary').text(preview.changes === 0 ?
+    "Importing this file wouldn't change anything." :
+    "Importing this file will make " + preview.changes + " changes:");
+  $('#applyImport').prop('disabled', preview.changes === 0);
+  $('#importPreview').show();
+}
+
+function _shortList(list){
+  var max = 10;
+  if (list.length <= max) {
+    return list.join(", ");
+  }
+  return list.slice(0, max).join(", ") + " and " + (list.length - max) + " more";
+}
+
+function applyImport(){
+  if (importText === null) { return; }
+  $('#applyImport').prop('disabled', true);
+  self.port.emit('importSettings', {text: importText, mode: _importMode()});
+}
+
+function cancelImport(){
+  importText = null;
+  $('#importFile').val('');
+  $('#importPreview').hide();
+}
+
+function importDone(error){
+  cancelImport();
+  if (error) {
+    $('#importError').text(error).show();
+  } else {
+    $('#importDone').show();
+  }
+}
+
 function updateUserPref(e){
   var target = e.target;
   self.port.emit('updateUserPref', {
@@ -263,9 +491,66 @@ function _addOriginHTML(rawOrigin, printable, action) {
   if (action == "block" || action == "cookieblock") {
     classes.push(action);
   }
+  var whyText = "";
+  if (evidenceCache[rawOrigin] || scoreCache[rawOrigin]) {
+    whyText = ' <span class="whyBlocked">' + evidence_why + '</span>';
+  }
   var classText = 'class="' + classes.join(" ") + '"';
 
-  return printable + '<div ' + classText + '" data-origin="' + origin + '" tooltip="' + _badgerStatusTitle(action, origin) + '"><div class="honeybadgerPowered tooltip" tooltip="'+ title + '"></div><div class="origin">' + origin + '</div>' + _addToggleHtml(origin, action) + '<img class="tooltipArrow" src="icons/badger-tb-arrow.png"><div class="tooltipContainer"></div></div>';
+  return printable + '<div ' + classText + '" data-origin="' + origin + '" tooltip="' + _badgerStatusTitle(action, origin) + '"><div class="honeybadgerPowered tooltip" tooltip="'+ title + '"></div><div class="origin">' + origin + whyText + '</div>' + _addToggleHtml(origin, action) + '<img class="tooltipArrow" src="icons/badger-tb-arrow.png"><div class="tooltipContainer"></div>' + _addEvidenceHTML(rawOrigin) + '</div>';
+}
+
+/**
+ * Build the HTML for the "why was this blocked?" view of an origin: where it
+ * was seen tracking, how, and when.
+ * @param String origin
+ * @return String the html string to be printed, empty if there's no evidence
+ */
+function _addEvidenceHTML(origin) {
+  var entries = evidenceCache[origin] || [];
+  var score = scoreCache[origin];
+  if (entries.length === 0 && !score) {
+    return '';
+  }
+  var output = '<ul class="evidence">';
+  if (score) {
+    output += _addScoreHTML(score);
+  }
+  entries.forEach(function(entry) {
+    output += '<li>' + _escapeHTML(evidence_signals[entry.signal] || entry.signal) +
+      ' ' + _escapeHTML(evidence_seen_on) + ' <b>' + _escapeHTML(entry.firstParty) + '</b>, ' +
+      new Date(entry.lastSeen).toLocaleString();
+    if (entry.cookies && entry.cookies.length > 0) {
+      output += ' (' + _escapeHTML(evidence_cookies) + ' ' +
+        _escapeHTML(entry.cookies.join(', ')) + ')';
+    }
+    if (entry.scriptUrl) {
+      output += '<div class="evidenceScript">' + _escapeHTML(entry.scriptUrl) + '</div>';
+    }
+    output += '</li>';
+  });
+  return output + '</ul>';
+}
+/**
+ * Build the HTML for an origin's tracking score and what it's made of.
+ * @param Object score see getTrackingScore in lib/heuristicBlocker.js
+ * @return String the html string to be printed
+ */
+function _addScoreHTML(score) {
+  var parts = Object.keys(score.signals).map(function(signal) {
+    return _escapeHTML(signal) + ' ' + _formatScore(score.signals[signal]);
+  });
+  return '<li class="evidenceScore">' + _escapeHTML(evidence_score) + ' <b>' +
+    _formatScore(score.score) + '</b> (' + _escapeHTML(evidence_score_threshold) +
+    ' ' + _formatScore(score.threshold) + ')' +
+    (parts.length > 0 ? ': ' + parts.join(', ') : '') + '</li>';
+}
+function _formatScore(score) {
+  return String(Math.round(score * 100) / 100);
+}
+function _escapeHTML(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+    replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 function _badgerStatusTitle(action, origin){
   let postfix;
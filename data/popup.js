@@ -20,7 +20,27 @@ var unblock_all = $( "#unblock_all" ).html();
 var disable_on_page = $( "#disable_on_page" ).html();
 var report_bug = $( "#report_bug" ).html();
 var report_field = $( "#report_field" ).html();
+var evidence_why = $( "#evidence_why" ).html();
+var evidence_seen_on = $( "#evidence_seen_on" ).html();
+var evidence_cookies = $( "#evidence_cookies" ).html();
+var evidence_score = $( "#evidence_score" ).html();
+var evidence_score_threshold = $( "#evidence_score_threshold" ).html();
+var evidence_signals = {
+  cookie: $( "#evidence_cookie" ).html(),
+  supercookie: $( "#evidence_supercookie" ).html(),
+  canvas: $( "#evidence_canvas" ).html(),
+  webgl: $( "#evidence_webgl" ).html(),
+  audio: $( "#evidence_audio" ).html(),
+  cookiesync: $( "#evidence_cookiesync" ).html(),
+  pixel: $( "#evidence_pixel" ).html(),
+  etag: $( "#evidence_etag" ).html(),
+  bounce: $( "#evidence_bounce" ).html(),
+  enumeration: $( "#evidence_enumeration" ).html(),
+  fonts: $( "#evidence_fonts" ).html()
+};
 var local_storage;
+var local_evidence = {};
+var local_scores = {};
 var cur_settings;
 // jshint moz:true
 /**
@@ -62,6 +82,7 @@ function init(isActive, settings, seenComic) {
     $('#blockedResourcesContainer').on('click', '.userset .honeybadgerPowered', resetControl);
     $('#blockedResourcesContainer').on('mouseenter', '.tooltip', displayTooltip);
     $('#blockedResourcesContainer').on('mouseleave', '.tooltip', hideTooltip);
+    $('#blockedResourcesContainer').on('click', '.whyBlocked', toggleEvidence);
     $("#error_input").attr("placeholder", report_field );
   });
   registerListeners();
@@ -319,9 +340,67 @@ function _addOriginHTML(rawOrigin, action, flag, multiTLD) {
       "<a target=_blank href='https://www.eff.org/privacybadger#faq--I-am-an-online-advertising-/-tracking-company.--How-do-I-stop-Privacy-Badger-from-blocking-me?'>" +
       "<img src='icons/dnt-16.png' title='This domain promises not to track you.'></a></div>";
   }
+  var whyText = "";
+  if (local_evidence[rawOrigin] || local_scores[rawOrigin]) {
+    whyText = ' <span class="whyBlocked">' + evidence_why + '</span>';
+  }
   var classText = 'class="' + classes.join(" ") + '"';
   //TODO do something with the flag here to show off opt-out sites
-  return '<div ' + classText + '" data-origin="' + origin + '" tooltip="' + _badgerStatusTitle(action, origin) + '"><div class="honeybadgerPowered tooltip" tooltip="'+ title + '"></div> <div class="origin">'+ flagText + _trimDomains(origin + multiText,25) + '</div>' + _addToggleHtml(origin, action) + '<img class="tooltipArrow" src="icons/badger-tb-arrow.png"><div class="tooltipContainer"></div></div>';
+  return '<div ' + classText + '" data-origin="' + origin + '" tooltip="' + _badgerStatusTitle(action, origin) + '"><div class="honeybadgerPowered tooltip" tooltip="'+ title + '"></div> <div class="origin">'+ flagText + _trimDomains(origin + multiText,25) + whyText + '</div>' + _addToggleHtml(origin, action) + '<img class="tooltipArrow" src="icons/badger-tb-arrow.png"><div class="tooltipContainer"></div>' + _addEvidenceHTML(rawOrigin) + '</div>';
+}
+
+/**
+ * Build the HTML for the "why was this blocked?" view of an origin: where it
+ * was seen tracking, how, and when.
+ * @param String origin
+ * @return String the html string to be printed, empty if there's no evidence
+ */
+function _addEvidenceHTML(origin) {
+  var entries = local_evidence[origin] || [];
+  var score = local_scores[origin];
+  if (entries.length === 0 && !score) {
+    return '';
+  }
+  var output = '<ul class="evidence">';
+  if (score) {
+    output += _addScoreHTML(score);
+  }
+  entries.forEach(function(entry) {
+    output += '<li>' + (evidence_signals[entry.signal] || _escapeHTML(entry.signal)) +
+      ' ' + evidence_seen_on + ' <b>' + _escapeHTML(entry.firstParty) + '</b>, ' +
+      new Date(entry.lastSeen).toLocaleDateString();
+    if (entry.cookies && entry.cookies.length > 0) {
+      output += ' (' + evidence_cookies + ' ' +
+        _escapeHTML(entry.cookies.join(', ')) + ')';
+    }
+    if (entry.scriptUrl) {
+      output += '<div class="evidenceScript" title="' + _escapeHTML(entry.scriptUrl) + '">' +
+        _escapeHTML(_trim(entry.scriptUrl, 55)) + '</div>';
+    }
+    output += '</li>';
+  });
+  return output + '</ul>';
+}
+/**
+ * Build the HTML for an origin's tracking score and what it's made of.
+ * @param Object score see getTrackingScore in lib/heuristicBlocker.js
+ * @return String the html string to be printed
+ */
+function _addScoreHTML(score) {
+  var parts = Object.keys(score.signals).map(function(signal) {
+    return _escapeHTML(signal) + ' ' + _formatScore(score.signals[signal]);
+  });
+  return '<li class="evidenceScore">' + evidence_score + ' <b>' +
+    _formatScore(score.score) + '</b> (' + evidence_score_threshold + ' ' +
+    _formatScore(score.threshold) + ')' +
+    (parts.length > 0 ? ': ' + parts.join(', ') : '') + '</li>';
+}
+function _formatScore(score) {
+  return String(Math.round(score * 100) / 100);
+}
+function _escapeHTML(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+    replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 function _trim(str, max) {
   if (str.length >= max) {
@@ -417,6 +496,9 @@ function updateOrigin(event){
   $switchContainer.attr('tooltip', _badgerStatusTitle(action, origin));
   $clicker.children('.tooltipContainer').text(_badgerStatusTitle(action, origin));
 }
+function toggleEvidence(event) {
+  $(event.currentTarget).parents('.clicker').first().toggleClass('showEvidence');
+}
 function resetControl(event) {
   // Removes a userset setting
   var $elm = $(event.currentTarget);
@@ -465,9 +547,12 @@ function updateSettings(elt, status) {
  */
 
 // Called when PB is active
-self.port.on("show-trackers", function(settings, storage, seenComic) {
+self.port.on("show-trackers", function(settings, storage, seenComic, evidence, scores, honorsDnt) {
   init(true, settings, seenComic);
+  $("#honorsDnt").toggle(!!honorsDnt);
   local_storage = storage;
+  local_evidence = evidence || {};
+  local_scores = scores || {};
   refreshPopup(settings);
 });
 
@@ -504,6 +589,7 @@ self.port.on("hide", function(){
   $("#loader").show();
   $("#detected").hide();
   $("#blockedResources").hide();
+  $("#honorsDnt").hide();
   $("#firstRun").off();
 });
 
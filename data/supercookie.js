@@ -91,28 +91,258 @@ function getScScript() {
       return maxBits;  // May return Infinity when the content is too long.
     };
 
-    var hasLocalStorage = function(){
-      var LOCALSTORAGE_ENTROPY_THRESHOLD = 33, // in bits
+    var hasHighEntropyStorage = function(storageName){
+      var STORAGE_ENTROPY_THRESHOLD = 33, // in bits
         estimatedEntropy = 0,
         lsKey = "",
         lsItem = "";
 
-      for (var i = 0; i < localStorage.length; i++) {
-        // send both key and value to entropy estimation
-        lsKey = localStorage.key(i);
-        lsItem = localStorage.getItem(lsKey);
-        estimatedEntropy += estimateMaxEntropy(lsKey + lsItem);
-        if (estimatedEntropy > LOCALSTORAGE_ENTROPY_THRESHOLD){
-          console.log("Found hi-entropy localStorage: ", estimatedEntropy,
-            " bits", document.location.href, lsKey);
-          return true;
+      try {
+        var storage = window[storageName];
+        for (var i = 0; i < storage.length; i++) {
+          // send both key and value to entropy estimation
+          lsKey = storage.key(i);
+          lsItem = storage.getItem(lsKey);
+          estimatedEntropy += estimateMaxEntropy(lsKey + lsItem);
+          if (estimatedEntropy > STORAGE_ENTROPY_THRESHOLD){
+            console.log("Found hi-entropy " + storageName + ": ", estimatedEntropy,
+              " bits", document.location.href, lsKey);
+            return true;
+          }
         }
+      } catch(err){
+        // We get a SecurityError when our injected script runs in a 3rd party frame and
+        // the user has disabled 3rd party cookies and site data.
+        return false;
       }
       return false;
     };
 
-    var hasIndexedDB = function(){
-      return false;
+    var hasLocalStorage = function(){
+      return hasHighEntropyStorage("localStorage");
+    };
+
+    var hasSessionStorage = function(){
+      return hasHighEntropyStorage("sessionStorage");
+    };
+
+    /**
+     * window.name survives navigating to another site. Watch for the frame
+     * stashing something identifying in it.
+     * @param callback called the first time a high-entropy name gets set
+     */
+    var watchWindowName = function (callback) {
+      var WINDOW_NAME_ENTROPY_THRESHOLD = 33, // in bits
+        descriptor = Object.getOwnPropertyDescriptor(window, 'name'),
+        reported = false;
+
+      if (!descriptor || !descriptor.set || !descriptor.configurable) {
+        return;
+      }
+
+      Object.defineProperty(window, 'name', {
+        get: descriptor.get,
+        set: function (value) {
+          descriptor.set.call(this, value);
+          if (!reported && value &&
+              estimateMaxEntropy(String(value)) > WINDOW_NAME_ENTROPY_THRESHOLD) {
+            reported = true;
+            callback(String(value));
+          }
+        },
+        enumerable: descriptor.enumerable,
+        configurable: true
+      });
+    };
+
+
+    // keep the cost of reading IndexedDB down
+    var IDB_MAX_DATABASES = 5,
+      IDB_MAX_STORES = 5, // per database
+      IDB_MAX_RECORDS = 10, // per object store
+      IDB_MAX_LEN = 256,
+      IDB_READ_DELAY = 500; // ms after the page opens a database
+
+    // save locally to keep from getting overwritten by site code
+    var idbOpen = window.IDBFactory && IDBFactory.prototype.open;
+
+    var stringifyIDBValue = function (value) {
+      var str;
+      try {
+        str = (typeof value == 'string' ? value : JSON.stringify(value));
+      } catch (err) {
+        // cyclic or otherwise unserializable
+        return '';
+      }
+      return String(str).substr(0, IDB_MAX_LEN);
+    };
+
+    /**
+     * Get the names of the IndexedDB databases this frame can see, in
+     * browsers that can list them. Firefox can't, see watchIndexedDBOpens.
+     * @param callback called with an array of database names
+     */
+    var listIndexedDBs = function (callback) {
+      try {
+        if (typeof indexedDB.databases == 'function') {
+          indexedDB.databases().then(function (dbs) {
+            callback(dbs.map(function (db) {
+              return db.name;
+            }));
+          }, function () {
+            callback([]);
+          });
+        } else if (typeof indexedDB.webkitGetDatabaseNames == 'function') {
+          var req = indexedDB.webkitGetDatabaseNames();
+          req.onsuccess = function () {
+            callback(Array.prototype.slice.call(req.result));
+          };
+          req.onerror = function () {
+            callback([]);
+          };
+        } else {
+          // no way to list databases in this browser
+          callback([]);
+        }
+      } catch (err) {
+        // We get a SecurityError when our injected script runs in a 3rd party frame and
+        // the user has disabled 3rd party cookies and site data.
+        callback([]);
+      }
+    };
+
+    /**
+     * Watch the page open databases, since Firefox has no way to list them.
+     * A frame that keeps an identifier in IndexedDB opens its database to
+     * read or write it.
+     * @param callback called a little after the page first opens each
+     *   database, with its name
+     */
+    var watchIndexedDBOpens = function (callback) {
+      if (!idbOpen) {
+        return;
+      }
+      var seen = {};
+
+      IDBFactory.prototype.open = function (name) {
+        var req = idbOpen.apply(this, arguments);
+        name = String(name);
+        req.addEventListener('success', function () {
+          if (!seen.hasOwnProperty(name)) {
+            seen[name] = true;
+            // give the page time to write what it came to write
+            setTimeout(function () {
+              callback(name);
+            }, IDB_READ_DELAY);
+          }
+        });
+        return req;
+      };
+    };
+
+    /**
+     * Read the first few records of the first few object stores in a database
+     * @param name database name
+     * @param items key to value map to add the records to
+     * @param done called when finished, whether or not it worked
+     */
+    var readIndexedDB = function (name, items, done) {
+      var req;
+      try {
+        req = idbOpen.call(indexedDB, name);
+      } catch (err) {
+        return done();
+      }
+
+      req.onerror = function () {
+        done();
+      };
+      req.onupgradeneeded = function () {
+        // the database went away since we listed it,
+        // don't leave an empty one behind
+        req.transaction.abort();
+      };
+      req.onsuccess = function () {
+        var db = req.result,
+          stores = Array.prototype.slice.call(
+            db.objectStoreNames, 0, IDB_MAX_STORES),
+          finished = false,
+          tx;
+
+        // don't get in the way of the page upgrading its database
+        db.onversionchange = function () {
+          db.close();
+        };
+
+        var finish = function () {
+          if (!finished) {
+            finished = true;
+            db.close();
+            done();
+          }
+        };
+
+        try {
+          tx = db.transaction(stores, 'readonly');
+        } catch (err) {
+          // no object stores
+          return finish();
+        }
+        tx.oncomplete = tx.onabort = finish;
+
+        stores.forEach(function (store_name) {
+          var count = 0,
+            cursor_req = tx.objectStore(store_name).openCursor();
+
+          cursor_req.onsuccess = function () {
+            var cursor = cursor_req.result;
+            if (!cursor || count++ >= IDB_MAX_RECORDS) {
+              return;
+            }
+            items[stringifyIDBValue(cursor.key)] = stringifyIDBValue(cursor.value);
+            cursor.continue();
+          };
+        });
+      };
+    };
+
+    /**
+     * Read a bounded sample of the records in some IndexedDB databases
+     * @param names database names
+     * @param callback called with a key to value map of records
+     */
+    var getIndexedDBItems = function (names, callback) {
+      var items = {},
+        pending = Math.min(names.length, IDB_MAX_DATABASES);
+      if (!pending || !idbOpen) {
+        return callback(items);
+      }
+
+      names.slice(0, IDB_MAX_DATABASES).forEach(function (name) {
+        readIndexedDB(name, items, function () {
+          if (--pending === 0) {
+            callback(items);
+          }
+        });
+      });
+    };
+
+    var hasIndexedDB = function(names, callback){
+      var IDB_ENTROPY_THRESHOLD = 33; // in bits
+
+      getIndexedDBItems(names, function (items) {
+        var estimatedEntropy = 0;
+        for (var key in items) {
+          // send both key and value to entropy estimation
+          estimatedEntropy += estimateMaxEntropy(key + items[key]);
+          if (estimatedEntropy > IDB_ENTROPY_THRESHOLD){
+            console.log("Found hi-entropy IndexedDB: ", estimatedEntropy,
+              " bits", document.location.href, key);
+            return callback(true);
+          }
+        }
+        callback(false);
+      });
     };
 
     var hasFileSystemAPI = function(){
@@ -121,10 +351,31 @@ function getScScript() {
     };
 
     if (event_id){  // inserted script may run before the event_id is available
-      if (hasLocalStorage() ||  hasIndexedDB() || hasFileSystemAPI()){
+      if (hasLocalStorage() || hasSessionStorage() || hasFileSystemAPI()){
         // send to content script. TODO: Any other detail we need to send?
         send({ scriptUrl: document.location.href});
+      } else {
+        // IndexedDB can only be read asynchronously
+        listIndexedDBs(function (names) {
+          hasIndexedDB(names, function (found) {
+            if (found) {
+              send({ scriptUrl: document.location.href});
+            }
+          });
+        });
       }
+
+      watchIndexedDBOpens(function (name) {
+        hasIndexedDB([name], function (found) {
+          if (found) {
+            send({ scriptUrl: document.location.href});
+          }
+        });
+      });
+
+      watchWindowName(function () {
+        send({ scriptUrl: document.location.href});
+      });
     }
 
   // save locally to keep from getting overwritten by site code
@@ -1,48 +1,400 @@
 /**
 * WorkerQueue.js
-* Class to handle long-running, asynchronous tasks.
-* http://thereisamoduleforthat.com/content/workerqueue-background-tasks-javascript
+* Queue for long-running, asynchronous tasks, mostly network checks. Jobs:
+*  - start at most one every `frequency` ms, and at most `concurrency` run at
+*    once, never two for the same host;
+*  - run in order of priority, then in the order they were pushed;
+*  - are retried when they fail, backing off exponentially from their host;
+*  - survive restarts, since pending jobs are kept in simple-storage.
+*
+* Because jobs are stored, they can't be closures. Each kind of job is a
+* handler registered with setHandler, and a job is the handler's type plus
+* JSON data for it:
+*
+*   let q = new WorkerQueue("policyChecks");
+*   q.setHandler("recheck", function(data, done) {
+*     checkSomething(data.host, function(ok) { done(ok ? null : "failed"); });
+*   });
+*   q.push("recheck", { host: "example.com" }, { host: "example.com" });
 */
 
+"use strict";
+
+const { storage } = require("sdk/simple-storage");
 const {
-  setInterval,
-  clearInterval
+  setTimeout,
+  clearTimeout
 } = require("sdk/timers");
 
-WorkerQueue = function(frequency) {
- 
-  this.queue = [];
-  this.timeout = 0;
-  this.current = null;
-  this.frequency = frequency;
- 
-  this.pop = function() {
-    if (!this.current) {
-      if (!this.queue.length) {
-        clearInterval(this.timeout);
-        this.timeout = 0;
-        return;
-      }
-      this.current = this.queue.shift();
-    }
-    if (this.current()) {
-      this.current = null;
-    }
-  }
- 
-  this.push = function(task) {
-    var self = this;
-    this.queue.push(task);
-    if (!this.timeout) {
-      this.timeout = setInterval(function(){ self.pop(); }, this.frequency);
-    }
-    // Note: this might end up spawning a large number of requests, since every push also pops.
-    // One option is to comment out the pop and let the setInterval take care of it, so we will
-    // at most be spawning a new request every `frequency`.
-    // TODO better rate limiting and batching
-    //this.pop();
+// Job priorities, highest first
+const PRIORITY_USER = 2;        // the user is waiting for this
+const PRIORITY_NORMAL = 1;
+const PRIORITY_BACKGROUND = 0;  // periodic rechecks
+
+const gDefaults = {
+  frequency: 1000,            // ms between job starts
+  concurrency: 2,             // jobs running at once
+  maxAttempts: 3,             // tries per job before it's dropped
+  backoff: 1000 * 60,         // ms to wait after a host's first failure
+  maxBackoff: 1000 * 60 * 60 * 24,
+  timeout: 1000 * 60          // ms before a job that hasn't finished failed
+};
+
+/**
+ * @param {String} name where the pending jobs are kept, see
+ *   storage.workerQueues. There should only be one queue by that name.
+ * @param {Object} options (optional) see gDefaults
+ */
+function WorkerQueue(name, options) {
+  options = options || {};
+  for (let option in gDefaults) {
+    this[option] = options.hasOwnProperty(option) ?
+      options[option] : gDefaults[option];
   }
+  this.name = name;
+  this.handlers = {};
+  // Jobs pushed with persist: false, which aren't written to storage
+  this.transient = [];
+  this.running = {};      // job id -> job
+  this.callbacks = {};    // job id -> [ callback ]
+  this.idleCallbacks = [];
+  this.hosts = {};        // host -> { failures, until }
+  this.timer = null;
+  this.lastStart = 0;
 
+  if (!storage.workerQueues) {
+    storage.workerQueues = {};
+  }
+  if (!storage.workerQueues[name]) {
+    storage.workerQueues[name] = [];
+  }
 }
 
+WorkerQueue.PRIORITY_USER = PRIORITY_USER;
+WorkerQueue.PRIORITY_NORMAL = PRIORITY_NORMAL;
+WorkerQueue.PRIORITY_BACKGROUND = PRIORITY_BACKGROUND;
+
+/**
+ * Say how to run a type of job. Stored jobs of that type start running.
+ * @param {String} type
+ * @param {Function} handler called with the job's data and a done(error,
+ *   result) callback. A truthy error means the job failed.
+ */
+WorkerQueue.prototype.setHandler = function(type, handler) {
+  this.handlers[type] = handler;
+  this._schedule();
+};
+
+/**
+ * The persisted jobs, then the others.
+ * @return {Array}
+ */
+WorkerQueue.prototype._jobs = function() {
+  return storage.workerQueues[this.name].concat(this.transient);
+};
+
+/**
+ * Queue a job. A job with the same type and key as one still pending isn't
+ * queued again, though it gets the higher of the two priorities. The user is
+ * waiting on PRIORITY_USER jobs, so those start right away, whatever earlier
+ * failures of the job or its host.
+ * @param {String} type see setHandler
+ * @param {Object} data passed to the handler, must be JSON-serializable
+ * @param {Object} options (optional) {
+ *   priority: Integer,    // PRIORITY_*, defaults to PRIORITY_NORMAL
+ *   host: String,         // host the job contacts, for rate limiting
+ *   key: String,          // identifies duplicate jobs, defaults to host
+ *   persist: Boolean,     // keep the job across restarts, defaults to true
+ *   maxAttempts: Integer, // overrides the queue's, ex: 1 for a job someone
+ *                         // is waiting on
+ *   callback: Function    // called with (error, result) once the job is
+ *                         // done or has been dropped. Not kept across
+ *                         // restarts.
+ * }
+ * @return {String} the job's id
+ */
+WorkerQueue.prototype.push = function(type, data, options) {
+  options = options || {};
+  let priority = options.hasOwnProperty("priority") ?
+    options.priority : PRIORITY_NORMAL;
+  let key = options.key || options.host || null;
+
+  let job = null;
+  if (key) {
+    job = this._jobs().filter(function(pending) {
+      return pending.type === type && pending.key === key;
+    })[0] || null;
+  }
+  if (job) {
+    job.priority = Math.max(job.priority, priority);
+    if (options.maxAttempts) {
+      job.maxAttempts = Math.min(job.maxAttempts || this.maxAttempts,
+                                 options.maxAttempts);
+    }
+    if (priority === PRIORITY_USER) {
+      job.attempts = 0;
+      job.notBefore = 0;
+      job.skipBackoff = true;
+    }
+  } else {
+    job = {
+      id: this.name + ":" + Date.now() + ":" +
+        Math.random().toString(36).substr(2, 8),
+      type: type,
+      data: data || {},
+      priority: priority,
+      host: options.host || null,
+      key: key,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || null,
+      notBefore: 0,
+      // Run regardless of the host's backoff, until the job next runs
+      skipBackoff: priority === PRIORITY_USER,
+      added: Date.now()
+    };
+    if (options.persist === false) {
+      this.transient.push(job);
+    } else {
+      storage.workerQueues[this.name].push(job);
+    }
+  }
+  if (options.callback) {
+    (this.callbacks[job.id] = this.callbacks[job.id] || []).
+      push(options.callback);
+  }
+  this._schedule();
+  return job.id;
+};
+
+/**
+ * Call back once there's nothing left to run. Jobs of a type nobody has set
+ * a handler for don't count.
+ * @param {Function} callback
+ */
+WorkerQueue.prototype.whenIdle = function(callback) {
+  this.idleCallbacks.push(callback);
+  this._checkIdle();
+};
+
+/**
+ * How many jobs are waiting or running.
+ * @return {Integer}
+ */
+WorkerQueue.prototype.size = function() {
+  return this._jobs().length;
+};
+
+/**
+ * Drop all pending jobs, ex: when clearing data. Running jobs finish, but
+ * their results are ignored.
+ */
+WorkerQueue.prototype.clear = function() {
+  let self = this;
+  this._jobs().forEach(function(job) {
+    self._finish(job, "cleared");
+  });
+  storage.workerQueues[this.name] = [];
+  this.transient = [];
+  this.running = {};
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  this._checkIdle();
+};
+
+/**
+ * Is the job's host being backed off from, or already busy with a job?
+ * @param {Object} job
+ * @param {Integer} now
+ * @return {Boolean}
+ */
+WorkerQueue.prototype._isHostBlocked = function(job, now) {
+  let host = job.host;
+  if (!host) { return false; }
+  let state = this.hosts[host];
+  if (state && state.until > now && !job.skipBackoff) { return true; }
+  for (let id in this.running) {
+    if (this.running[id].host === host) { return true; }
+  }
+  return false;
+};
+
+/**
+ * The next job to run: the highest priority, then the oldest, of those that
+ * can run now.
+ * @param {Integer} now
+ * @return {Object} job, or null
+ */
+WorkerQueue.prototype._next = function(now) {
+  let self = this;
+  let best = null;
+  this._jobs().forEach(function(job) {
+    if (self.running[job.id] || !self.handlers[job.type] ||
+        job.notBefore > now || self._isHostBlocked(job, now)) {
+      return;
+    }
+    if (!best || job.priority > best.priority ||
+        (job.priority === best.priority && job.added < best.added)) {
+      best = job;
+    }
+  });
+  return best;
+};
+
+/**
+ * When the soonest waiting job could run, if there is one.
+ * @param {Integer} now
+ * @return {Integer} timestamp, or 0 if nothing is waiting
+ */
+WorkerQueue.prototype._nextWakeUp = function(now) {
+  let self = this;
+  let wakeUp = 0;
+  if (Object.keys(this.running).length >= this.concurrency) {
+    // Whatever finishes first will reschedule
+    return 0;
+  }
+  let busyHosts = {};
+  for (let id in this.running) {
+    if (this.running[id].host) { busyHosts[this.running[id].host] = true; }
+  }
+  this._jobs().forEach(function(job) {
+    if (self.running[job.id] || !self.handlers[job.type] ||
+        (job.host && busyHosts[job.host])) {
+      return;
+    }
+    let at = job.notBefore;
+    let state = job.host && !job.skipBackoff && self.hosts[job.host];
+    if (state && state.until > at) { at = state.until; }
+    at = Math.max(at, self.lastStart + self.frequency, now);
+    if (!wakeUp || at < wakeUp) { wakeUp = at; }
+  });
+  return wakeUp;
+};
+
+WorkerQueue.prototype._schedule = function() {
+  let self = this;
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  let now = Date.now();
+  let wakeUp = this._nextWakeUp(now);
+  if (!wakeUp) {
+    this._checkIdle();
+    return;
+  }
+  this.timer = setTimeout(function() {
+    self.timer = null;
+    self._pump();
+  }, Math.max(wakeUp - now, 0));
+};
+
+/**
+ * Start the next job, if there's room for it.
+ */
+WorkerQueue.prototype._pump = function() {
+  let now = Date.now();
+  if (Object.keys(this.running).length < this.concurrency &&
+      now - this.lastStart >= this.frequency) {
+    let job = this._next(now);
+    if (job) {
+      this._run(job);
+    }
+  }
+  this._schedule();
+};
+
+WorkerQueue.prototype._run = function(job) {
+  let self = this;
+  let finished = false;
+  this.lastStart = Date.now();
+  this.running[job.id] = job;
+  job.attempts++;
+  job.skipBackoff = false;
+
+  function done(error, result) {
+    if (finished) { return; }
+    finished = true;
+    clearTimeout(timer);
+    if (!self.running[job.id]) {
+      // Cleared while running
+      return;
+    }
+    delete self.running[job.id];
+    self._completed(job, error, result);
+  }
+  let timer = setTimeout(function() {
+    done("timed out");
+  }, this.timeout);
+
+  try {
+    this.handlers[job.type](job.data, done);
+  } catch (e) {
+    console.error("WorkerQueue " + this.name + ": " + job.type + " threw " + e);
+    done(String(e));
+  }
+};
+
+WorkerQueue.prototype._completed = function(job, error, result) {
+  let host = job.host;
+  if (!error) {
+    if (host) { delete this.hosts[host]; }
+    this._finish(job, null, result);
+  } else {
+    let delay = this.backoff;
+    if (host) {
+      let state = this.hosts[host] = this.hosts[host] || { failures: 0 };
+      state.failures++;
+      delay = Math.min(this.backoff * Math.pow(2, state.failures - 1),
+                       this.maxBackoff);
+      state.until = Date.now() + delay;
+    }
+    if (job.attempts >= (job.maxAttempts || this.maxAttempts)) {
+      console.log("WorkerQueue " + this.name + ": giving up on " + job.type +
+                  (host ? " for " + host : "") + ": " + error);
+      this._finish(job, error);
+    } else {
+      job.notBefore = Date.now() + delay;
+    }
+  }
+  this._schedule();
+};
+
+/**
+ * Take a job off the queue and tell whoever is waiting for it.
+ */
+WorkerQueue.prototype._finish = function(job, error, result) {
+  let stored = storage.workerQueues[this.name];
+  let index = stored.indexOf(job);
+  if (index !== -1) {
+    stored.splice(index, 1);
+  } else {
+    index = this.transient.indexOf(job);
+    if (index !== -1) { this.transient.splice(index, 1); }
+  }
+  let callbacks = this.callbacks[job.id] || [];
+  delete this.callbacks[job.id];
+  callbacks.forEach(function(callback) {
+    try {
+      callback(error || null, result);
+    } catch (e) {
+      console.error("WorkerQueue callback threw " + e);
+    }
+  });
+};
+
+WorkerQueue.prototype._checkIdle = function() {
+  let self = this;
+  let pending = this._jobs().some(function(job) {
+    return !!self.handlers[job.type];
+  });
+  if (pending || this.idleCallbacks.length === 0) {
+    return;
+  }
+  let callbacks = this.idleCallbacks;
+  this.idleCallbacks = [];
+  callbacks.forEach(function(callback) { callback(); });
+};
+
 exports.WorkerQueue = WorkerQueue;
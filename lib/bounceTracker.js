@@ -0,0 +1,367 @@
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Detects bounce trackers: click-tracking domains that a top-level navigation
+// passes through on its way somewhere else, ex:
+//   news.com -> click.tracker.com/r?u=... (302, Set-Cookie) -> shop.com
+// Document loads are always first-party (see Policy.isBlockableRequest), so
+// these never show up as third parties.
+//
+// Plenty of legitimate redirects look the same. Single sign-on goes
+//   news.com -> accounts.idp.com (login cookie) -> news.com/callback
+// and payment pages send the user back where they came from, so round trips
+// don't count. Neither do hops the user also lands on: identity providers and
+// shops are sites in their own right, bounce trackers only ever appear as
+// short-lived intermediate hops.
+
+"use strict";
+
+const { Ci } = require("chrome");
+const { storage } = require("sdk/simple-storage");
+const cookieUtils = require("./cookieUtils");
+const heuristicBlocker = require("./heuristicBlocker");
+const heuristicCore = require("./heuristicCore");
+const utils = require("./utils");
+const {
+  doDependingOnIsPrivate,
+  isPrivateContext
+} = require("./privateBrowsing");
+
+/**
+ * redirectChains maps a top-level window to the navigation in progress in it:
+ * {
+ *   source: "news.com",  // base domain of the site the navigation started on
+ *   hops: [ { origin: "tracker.com", host: "click.tracker.com",
+ *             cookies: [ "uid" ] } ],
+ *   started: 1442000000000
+ * }
+ * cookies are the identifying cookies the hop sent or set, if any.
+ */
+let redirectChains = new WeakMap();
+
+/**
+ * bounceHops: base domains seen as intermediate hops using identifying
+ * cookies, whether the user has landed on them since, and when either last
+ * happened, ex:
+ *   { "idp.com": { visited: true, lastSeen: 1442000000000 } }
+ * Only hops are kept, not every site the user visits. They expire along with
+ * originFrequency, see prune.
+ *
+ * bounceHopsPrivate: the same for private windows, cleared along with the
+ * other private stores. Nothing gets kept for private windows when the
+ * privateLearning pref is "off".
+ */
+const stored = [ "bounceHops",
+                 "bounceHopsPrivate" ];
+
+function init() {
+  stored.forEach(function(store) {
+    if (!storage[store]) { storage[store] = {}; }
+  });
+}
+
+/**
+ * Which stores say what's been learned about hops in this window? Private
+ * windows see both. Other windows only see what was learned in private
+ * windows if the privateLearning pref says it's global.
+ * @param {nsIDOMWindow} win
+ * @return {Array} storage keys
+ */
+function getStores(win) {
+  if (isPrivateContext(win) ||
+      heuristicBlocker.getPrivateLearningMode() === "global") {
+    return stored;
+  }
+  return [ "bounceHops" ];
+}
+
+/**
+ * Remember seeing a hop, in the store for the window's session.
+ * @param {String} origin base domain
+ * @param {nsIDOMWindow} win
+ * @param {Boolean} visited whether the user landed on it
+ */
+function recordHop(origin, win, visited) {
+  if (isPrivateContext(win) &&
+      heuristicBlocker.getPrivateLearningMode() === "off") {
+    return;
+  }
+  init();
+  doDependingOnIsPrivate("bounceHops", function(hops) {
+    if (!hops[origin]) {
+      hops[origin] = { visited: false };
+    }
+    hops[origin].visited = hops[origin].visited || visited;
+    hops[origin].lastSeen = Date.now();
+  }, win);
+}
+
+// A chain still going after this long is abandoned, in ms. Bounces are
+// immediate; anything slower is a user navigating.
+const gMaxChainTime = 1000 * 30;
+// Redirect chains longer than this are a redirect loop, not a bounce
+const gMaxHops = 10;
+
+/**
+ * Is this the load of a top-level document (not a frame or subresource)?
+ * @param {nsIHttpChannel} channel
+ * @return {Boolean}
+ */
+function isTopLevelDocument(channel) {
+  try {
+    return channel.loadInfo.contentPolicyType ===
+      Ci.nsIContentPolicy.TYPE_DOCUMENT;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Is this response a redirect somewhere else?
+ * @param {nsIHttpChannel} channel
+ * @return {Boolean}
+ */
+function isRedirect(channel) {
+  try {
+    let status = channel.responseStatus;
+    return status >= 300 && status < 400 && !!channel.getResponseHeader("Location");
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Base domain of the site a navigation was started from, if any.
+ * @param {nsIHttpChannel} channel
+ * @param {nsIDOMWindow} win
+ * @return {String}
+ */
+function getSource(channel, win) {
+  try {
+    if (channel.referrer) {
+      return utils.getBaseDomain(channel.referrer);
+    }
+  } catch (e) {
+    // No usable referrer, fall back to the page we're navigating away from
+  }
+  try {
+    let uri = utils.makeURI(win.document.URL);
+    if (uri && (uri.schemeIs("http") || uri.schemeIs("https"))) {
+      return utils.getBaseDomain(uri);
+    }
+  } catch (e) {
+    // about:blank, about:newtab...
+  }
+  return null;
+}
+
+/**
+ * Has the user been on this site, rather than only passed through it? Sites
+ * we've seen third parties on were visited too.
+ * @param {String} origin base domain
+ * @param {nsIDOMWindow} win
+ * @return {Boolean}
+ */
+function isVisited(origin, win) {
+  init();
+  let visited = getStores(win).some(function(store) {
+    return !!(storage[store][origin] && storage[store][origin].visited);
+  });
+  if (visited) {
+    return true;
+  }
+  let frequency = storage.originFrequency || {};
+  for (let thirdParty in frequency) {
+    if (frequency.hasOwnProperty(thirdParty) &&
+        frequency[thirdParty].hasOwnProperty(origin)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Has this origin been caught bouncing on enough first parties to be
+ * heuristic-blocked?
+ * @param {String} origin base domain
+ * @return {Boolean}
+ */
+function isBounceTracker(origin) {
+  return !!(storage.blockedOrigins && storage.blockedOrigins[origin]);
+}
+
+/**
+ * Is this top-level request a cross-site navigation (a link click or a
+ * redirect from another site) to a known bounce tracker? Those get their
+ * cookies stripped: blocking them would break the navigation.
+ * @param {nsIHttpChannel} channel
+ * @param {nsIDOMWindow} win
+ * @return {Boolean}
+ */
+function shouldStripCookies(channel, win) {
+  if (!isTopLevelDocument(channel)) { return false; }
+  let origin;
+  try {
+    origin = utils.getBaseDomain(channel.URI);
+  } catch (e) {
+    return false;
+  }
+  if (!isBounceTracker(origin)) { return false; }
+  let chain = win && redirectChains.get(win);
+  let source = chain ? chain.source : getSource(channel, win);
+  return !!source && source !== origin;
+}
+
+/**
+ * Update the redirect chain for this window with a top-level response. When
+ * the chain reaches a destination other than where it started, every
+ * intermediate hop that used identifying cookies, belongs to neither the
+ * source nor the destination site and isn't a site the user visits counts as
+ * tracking the user on the source site.
+ * @param {nsIHttpChannel} channel
+ * @param {nsIDOMWindow} win
+ * @param {String} cookieString the response's Set-Cookie header, if any
+ * @return {Array} the bounce tracker origins found, if the chain is complete
+ */
+function onResponse(channel, win, cookieString) {
+  if (!win || !isTopLevelDocument(channel)) { return []; }
+
+  let now = Date.now();
+  let chain = redirectChains.get(win);
+  if (chain && now - chain.started > gMaxChainTime) {
+    chain = null;
+  }
+
+  if (isRedirect(channel)) {
+    if (!chain) {
+      chain = { source: getSource(channel, win), hops: [], started: now };
+      redirectChains.set(win, chain);
+    }
+    if (chain.hops.length < gMaxHops) {
+      let cookies = cookieUtils.getCookiesFromChannel(channel) || {};
+      let setCookies = cookieUtils.parseCookieString(cookieString);
+      for (let name in setCookies) {
+        cookies[name] = setCookies[name];
+      }
+      chain.hops.push({
+        origin: utils.getBaseDomain(channel.URI),
+        host: channel.URI.host,
+        cookies: heuristicCore.hasCookieTracking(cookies) ?
+          heuristicCore.getEvidenceCookies(cookies) : []
+      });
+    }
+    return [];
+  }
+
+  redirectChains.delete(win);
+  let destination = utils.getBaseDomain(channel.URI);
+  init();
+  let isHop = getStores(win).some(function(store) {
+    return storage[store].hasOwnProperty(destination);
+  });
+  if (isHop) {
+    recordHop(destination, win, true);
+  }
+  if (!chain || chain.source === destination) { return []; }
+
+  let parentOrigin = chain.source || destination;
+  let bouncers = [];
+  chain.hops.forEach(function(hop) {
+    if (hop.origin === chain.source || hop.origin === destination ||
+        hop.cookies.length === 0 || bouncers.indexOf(hop.origin) !== -1) {
+      return;
+    }
+    recordHop(hop.origin, win, false);
+    if (isVisited(hop.origin, win)) {
+      return;
+    }
+    console.log("Bounce through " + hop.host + " from " + chain.source +
+                " to " + destination);
+    bouncers.push(hop.origin);
+    heuristicBlocker.recordPrevalence(hop.origin, parentOrigin, hop.host, win, {
+      signal: "bounce",
+      cookies: hop.cookies
+    });
+  });
+  return bouncers;
+}
+
+/**
+ * Forget any navigation in progress in this window, ex: because a new
+ * document got loaded.
+ * @param {nsIDOMWindow} win
+ */
+function clearChain(win) {
+  if (win) { redirectChains.delete(win); }
+}
+
+/**
+ * Forget hops that haven't been seen for a while, along with the expired
+ * observations in originFrequency (see heuristicBlocker.compactPrevalence).
+ * @param {Integer} maxAge in ms, 0 to keep everything
+ */
+function prune(maxAge) {
+  if (!maxAge) { return; }
+  init();
+  let now = Date.now();
+  stored.forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (!storage[store].hasOwnProperty(origin)) { continue; }
+      let hop = storage[store][origin];
+      // Hops from before they had a lastSeen start aging now
+      if (typeof hop.lastSeen !== "number") {
+        hop.lastSeen = now;
+      } else if (now - hop.lastSeen > maxAge) {
+        delete storage[store][origin];
+      }
+    }
+  });
+}
+
+/**
+ * Move every hop forward in time, ex: by how long learning was paused, so
+ * they get pruned that much later.
+ * @param {Number} ms
+ */
+function postpone(ms) {
+  init();
+  stored.forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (storage[store].hasOwnProperty(origin) &&
+          typeof storage[store][origin].lastSeen === "number") {
+        storage[store][origin].lastSeen += ms;
+      }
+    }
+  });
+}
+
+/**
+ * Forget the hops seen, along with the rest of what was learned.
+ */
+function clear() {
+  stored.forEach(function(store) {
+    delete storage[store];
+  });
+}
+
+exports.isTopLevelDocument = isTopLevelDocument;
+exports.shouldStripCookies = shouldStripCookies;
+exports.onResponse = onResponse;
+exports.clearChain = clearChain;
+exports.prune = prune;
+exports.postpone = postpone;
+exports.clear = clear;
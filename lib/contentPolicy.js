@@ -21,6 +21,7 @@ const cookieUtils = require("./cookieUtils");
 const socialWidgetHandler = require("./socialWidgetHandler");
 const userStorage = require("./userStorage");
 const domainExceptions = require("./domainExceptions");
+const policyCheck = require("./policyCheck");
 
 /**
  * ContentPolicy should implement the following policy for now:
@@ -31,6 +32,7 @@ const domainExceptions = require("./domainExceptions");
  *  * For non-first-party requests, do the following in order:
  *    * Reject requests on the userRed list.
  *    * Accept requests on the userYellow/userGreen/preload lists.
+ *    * Accept requests on pages whose first party posts a DNT policy.
  *    * Reject heuristic-blocked requests
  *    * Accept everything else
  */
@@ -274,6 +276,32 @@ var Policy = exports.Policy = {
     return false;
   },
 
+  /**
+   * Is this request on a page whose first party has posted an acceptable DNT
+   * policy? That policy covers every third party embedded on the page.
+   *
+   * @param {nsIURI} location
+   * @param {nsIDOMWindow} window
+   * @return {Boolean}
+   */
+  _isFirstPartyPolicyRequest: function(location, window) {
+    if (!window || !window.top || !window.top.location) {
+      return false;
+    }
+    let topHost;
+    try {
+      topHost = window.top.location.hostname;
+    } catch (e) {
+      return false;
+    }
+    if (policyCheck.hasFirstPartyPolicy(topHost)) {
+      this._emitIfHostHasTracking(settingsMap, "update-settings", "noaction",
+                                  window, location.host);
+      return true;
+    }
+    return false;
+  },
+
   /**
    * Only emit the event if the given location has cookies associated with it.
    * TODO: Put this somewhere else.
@@ -307,12 +335,13 @@ var Policy = exports.Policy = {
     // These conditions override heuristic blocking
     if (self.isUserGreenRequest(location, window) ||
         self.isUserYellowRequest(location, window) ||
-        utils.isPreloadedWhitelistRequest(location)) {
+        utils.isPreloadedWhitelistRequest(location) ||
+        self._isFirstPartyPolicyRequest(location, window)) {
       return false;
     }
 
     // Is the request's base domain on the heuristic blocklist?
-    if (origin in storage.blockedOrigins) {
+    if (userStorage.isBlockedOrigin(origin, window)) {
       emit(settingsMap, "update-settings", "block", window, host);
       return true;
     }
@@ -341,9 +370,9 @@ var Policy = exports.Policy = {
     // Example: if google.com is on the preloaded whitelist and also
     // is blocked by the heuristic, wallet.google.com gets cookieblocked
     if (utils.isPreloadedWhitelistRequest(location)) {
-      if (storage.blockedOrigins &&
-          storage.blockedOrigins.hasOwnProperty(origin) && 
-          !self._isPolicyWhitelistRequest(location, window)) {
+      if (userStorage.isBlockedOrigin(origin, window) &&
+          !self._isPolicyWhitelistRequest(location, window) &&
+          !self._isFirstPartyPolicyRequest(location, window)) {
         emit(settingsMap, "update-settings", "cookieblock", window, host);
         // Block the cookie
         // TODO: this needs to be refactored so that this function doesn't have any side effects
@@ -543,7 +572,7 @@ var Policy = exports.Policy = {
     if (self._isPolicyWhitelistRequest(location, null)) {
       return defaultAction;
     }
-    if (origin in storage.blockedOrigins) {
+    if (userStorage.isBlockedOrigin(origin)) {
       if (utils.isPreloadedWhitelistRequest(location)) {
         return "cookieblock";
       } else {
@@ -0,0 +1,340 @@
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Estimates how many bits of identifying information a set of cookies
+ * carries. Shared between the Firefox addon (loaded as a CommonJS module from
+ * lib/heuristicBlocker.js) and the Chrome extension (loaded as a background
+ * script, available as require("cookieClassifier") from
+ * src/heuristicblocking.js), so it must not depend on any browser APIs.
+ *
+ * Each cookie value is first matched against a list of known formats (UUIDs,
+ * timestamps, hex and base64 blobs, booleans, ...). Values that don't match
+ * are split into tokens and each token is scored by its character classes and
+ * Shannon entropy. The bits of all cookies set by an origin are added up and
+ * compared against a per-origin budget.
+ */
+(function(exports) {
+"use strict";
+
+// Default amount of information, in bits, that we let an origin keep in its
+// cookies before we consider it to be tracking.
+var DEFAULT_BUDGET = 8;
+
+// Don't estimate entropy character by character for huge values, they're
+// well over any budget anyway. Assume one bit per character instead.
+var MAX_LEN_FOR_ENTROPY_EST = 256;
+
+// Characters that separate the tokens of a compound value,
+// ex: "accepted-2015" or "ID=d93d4e842d10e12a:U=3838eaea5cd40d37"
+var TOKEN_SEPARATORS = /[\s\-_.:;,|\/=&+]+/;
+
+// Low-entropy values that show up all the time (map to lower case before use)
+var BOOLEAN_VALUES = [ "", "true", "false", "yes", "no", "on", "off", "null",
+                       "none", "undefined", "nodata", "no_data", "opt-out",
+                       "optout", "opt_out", "opt-in", "optin", "opt_in" ];
+
+var ONE_YEAR_SECONDS = 60 * 60 * 24 * 365;
+
+function log2(x) {
+  return Math.log(x) / Math.LN2;
+}
+
+/**
+ * Character classes, used to guess the alphabet a token was drawn from.
+ * size is the number of symbols in each class.
+ */
+var CHAR_CLASSES = [
+  { re: /[0-9]/, size: 10 },
+  { re: /[a-z]/, size: 26 },
+  { re: /[A-Z]/, size: 26 },
+  { re: /[^0-9a-zA-Z]/, size: 32 }
+];
+
+/**
+ * Number of bits needed to pick one symbol of the alphabet made of all
+ * character classes that appear in str.
+ * @param {String} str
+ * @return {Number}
+ */
+function charClassBits(str) {
+  var poolSize = 0;
+  CHAR_CLASSES.forEach(function(charClass) {
+    if (charClass.re.test(str)) {
+      poolSize += charClass.size;
+    }
+  });
+  return poolSize > 1 ? log2(poolSize) : 0;
+}
+
+/**
+ * Shannon entropy of the character distribution of str, in bits per
+ * character.
+ * @param {String} str
+ * @return {Number}
+ */
+function shannonBitsPerChar(str) {
+  var counts = {};
+  var i;
+  for (i = 0; i < str.length; i++) {
+    counts[str[i]] = (counts[str[i]] || 0) + 1;
+  }
+  var bits = 0;
+  for (var ch in counts) {
+    if (counts.hasOwnProperty(ch)) {
+      var p = counts[ch] / str.length;
+      bits -= p * log2(p);
+    }
+  }
+  return bits;
+}
+
+/**
+ * Known value formats, tried in order against the whole (decoded) value.
+ * test(value) decides whether the format applies, bits(value) says how much
+ * identifying information a value of this format carries.
+ *
+ * Use registerFormat to plug in more.
+ */
+var formats = [
+  {
+    name: "boolean",
+    test: function(value) {
+      return BOOLEAN_VALUES.indexOf(value.toLowerCase()) !== -1;
+    },
+    bits: function() { return 1; }
+  },
+  {
+    name: "uuid",
+    test: function(value) {
+      return (/^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i).test(value);
+    },
+    // 6 of the 128 bits of a v4 UUID are fixed
+    bits: function() { return 122; }
+  },
+  {
+    name: "timestamp",
+    test: function(value) {
+      if (!(/^[0-9]{10}([0-9]{3})?$/).test(value)) { return false; }
+      var seconds = value.length === 13 ? Number(value) / 1000 : Number(value);
+      // Only plausible dates, 2000 to 2100
+      return seconds > 946684800 && seconds < 4102444800;
+    },
+    // A timestamp that is correlated with the time of the request only
+    // reveals when it was set; assume that was within the last year.
+    bits: function(value) {
+      var bits = log2(ONE_YEAR_SECONDS);
+      return value.length === 13 ? bits + log2(1000) : bits;
+    }
+  },
+  {
+    name: "language",
+    test: function(value) {
+      // ISO 639-1 language codes, optionally with a country, ex: "pt-BR"
+      return (/^[a-z]{2}([\-_][a-z]{2})?$/i).test(value);
+    },
+    // A few languages cover most users, so a bare code says less than a
+    // word the site picked ("en" and "dark" together stay under the budget)
+    bits: function(value) { return value.length > 2 ? 5 : 3; }
+  },
+  {
+    name: "hex",
+    test: function(value) {
+      return (/^[0-9a-f]{12,}$/i).test(value) &&
+        (/[0-9]/).test(value) && (/[a-f]/i).test(value);
+    },
+    bits: function(value) { return value.length * 4; }
+  },
+  {
+    name: "base64",
+    test: function(value) {
+      // Long runs of base64 (or base64url) with mixed character classes
+      return (/^[A-Za-z0-9+\/\-_]{16,}={0,2}$/).test(value) &&
+        (/[A-Z]/).test(value) && (/[a-z]/).test(value) &&
+        (/[0-9]/).test(value);
+    },
+    bits: function(value) { return value.replace(/=+$/, "").length * 6; }
+  }
+];
+
+/**
+ * Plug in another known value format. Formats registered later are tried
+ * first so they can override the built-in ones.
+ * @param {Object} format { name: String, test: Function, bits: Function }
+ */
+function registerFormat(format) {
+  formats.unshift(format);
+}
+
+/**
+ * Take out a format plugged in with registerFormat.
+ * @param {Object} format the one that was registered
+ */
+function unregisterFormat(format) {
+  var index = formats.indexOf(format);
+  if (index !== -1) {
+    formats.splice(index, 1);
+  }
+}
+
+/**
+ * Returns the first known format matching value, or null.
+ * @param {String} value
+ * @return {Object}
+ */
+function matchFormat(value) {
+  for (var i = 0; i < formats.length; i++) {
+    if (formats[i].test(value)) {
+      return formats[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Does token look like a word, rather than random letters? Words are short,
+ * and have vowels often enough to be pronounceable, unlike lowercase IDs such
+ * as "hjdkauwqpzme".
+ * @param {String} token
+ * @return {Boolean}
+ */
+function isWordLike(token) {
+  if (!(/^[A-Za-z][a-z]{1,7}$/).test(token) ||
+      (/[^aeiouy]{4}/i).test(token)) {
+    return false;
+  }
+  var vowels = token.replace(/[^aeiouy]/gi, "").length;
+  return vowels * 4 >= token.length;
+}
+
+/**
+ * Scores a single token of a compound value.
+ * @param {String} token
+ * @return {Number} bits
+ */
+function tokenBits(token) {
+  if ((/^[0-9]+$/).test(token)) {
+    var number = Number(token);
+    // A recent year, ex: "consent=accepted-2015"
+    if (token.length === 4 && number >= 1990 && number < 2100) {
+      return 3;
+    }
+    return token.length * log2(10);
+  }
+
+  // Short word-like tokens ("dark", "accepted", "Dark") come from a small
+  // vocabulary of values chosen by the site, not from a random generator.
+  if (isWordLike(token)) {
+    return 4;
+  }
+
+  // Anything else: how many characters, how surprising each of them is, and
+  // never less than picking one symbol from the token's character classes.
+  return Math.max(token.length * shannonBitsPerChar(token),
+                  charClassBits(token));
+}
+
+/**
+ * Estimates the bits of identifying information in a single value.
+ * @param {String} rawValue
+ * @return {Object} { bits: Number, format: String }
+ */
+function scoreValue(rawValue) {
+  var value = String(rawValue).trim();
+  try {
+    value = decodeURIComponent(value);
+  } catch (e) {
+    // Not valid percent-encoding, score it as-is
+  }
+
+  if (value.length > MAX_LEN_FOR_ENTROPY_EST) {
+    return { bits: value.length, format: "blob" };
+  }
+
+  var format = matchFormat(value);
+  if (format) {
+    return { bits: format.bits(value), format: format.name };
+  }
+
+  var bits = 0;
+  value.split(TOKEN_SEPARATORS).forEach(function(token) {
+    if (token) {
+      bits += tokenBits(token);
+    }
+  });
+  return { bits: bits, format: "tokens" };
+}
+
+/**
+ * Cookie names are normally fixed by the site, so they carry no information.
+ * Names that themselves look like identifiers ("uid_8f3a9c2e17b4d0e5") do.
+ * @param {String} name
+ * @return {Number} bits
+ */
+function scoreName(name) {
+  var bits = 0;
+  name.split(TOKEN_SEPARATORS).forEach(function(token) {
+    var format = matchFormat(token);
+    if (format && format.name !== "boolean" && format.name !== "language") {
+      bits += format.bits(token);
+    } else if ((/^[0-9]{6,}$/).test(token)) {
+      bits += tokenBits(token);
+    }
+  });
+  return bits;
+}
+
+/**
+ * Classifies all the cookies an origin sent or set.
+ *
+ * @param {Object} cookies cookie name-value pairs
+ *   (see cookieUtils.parseCookieString)
+ * @param {Number} budget (optional) bits an origin may use before it is
+ *   considered tracking, defaults to DEFAULT_BUDGET
+ * @return {Object} {
+ *   bits: Number,      // total estimated bits for all cookies
+ *   tracking: Boolean, // whether bits reached the budget
+ *   cookies: [ { name: String, bits: Number, format: String } ]
+ * }
+ */
+function classifyCookies(cookies, budget) {
+  if (typeof budget !== "number") {
+    budget = DEFAULT_BUDGET;
+  }
+  var result = { bits: 0, tracking: false, cookies: [] };
+  if (!cookies) { return result; }
+
+  for (var name in cookies) {
+    if (cookies.hasOwnProperty(name)) {
+      var score = scoreValue(cookies[name]);
+      var bits = score.bits + scoreName(name);
+      result.cookies.push({ name: name, bits: bits, format: score.format });
+      result.bits += bits;
+    }
+  }
+  result.tracking = result.cookies.length > 0 && result.bits >= budget;
+  return result;
+}
+
+exports.DEFAULT_BUDGET = DEFAULT_BUDGET;
+exports.registerFormat = registerFormat;
+exports.unregisterFormat = unregisterFormat;
+exports.scoreValue = scoreValue;
+exports.classifyCookies = classifyCookies;
+
+})(typeof exports !== "undefined" ? exports :
+   (require.scopes.cookieClassifier = {}));
@@ -5,6 +5,7 @@
 const { Cc, Ci, Cu } = require("chrome");
 const { storage } = require("sdk/simple-storage");
 const utils = require("./utils");
+const heuristicCore = require("./heuristicCore");
 const prefsService = require("sdk/preferences/service");
 const cookiePermission = Cc["@mozilla.org/cookie/permission;1"]
                          .getService(Ci.nsICookiePermission);
@@ -64,45 +65,11 @@ let getCookiesFromChannel = exports.getCookiesFromChannel = function(channel) {
 };
 
 /**
- * Take a cookie string and turn it into name/value pairs.
- * It seems weird that we have to roll our own cookie parser; is there a way
- * to access FF's internal cookie parser?
- *
- * nsICookieManager gets us access to the nsICookie objects, but then we'd have
- * to iterate over all the stored cookies. :(
- * @param {String} string from set-cookie or cookie headers
- * @return {Object} cookie name-value pairs (ignoring attributes)
+ * Take a cookie string and turn it into name/value pairs, see
+ * heuristicCore.parseCookieString.
  */
-let parseCookieString = exports.parseCookieString = function(string) {
-  if (!string) { return {}; }
-  let cookies = {};
-
-  // Someties Set-Cookie headers use newlines instead of semicolons, although
-  // they're not supposed to - replace them before parsing.
-  string = string.replace(/\n/g, "; ");
-
-  string.split("; ").forEach(function (cookie) {
-    cookie = cookie.trim();
-    let cut = cookie.indexOf("=");
-    // If there's no '=', this is not a valid cookie-pair.
-    if (cut === -1) {
-      console.log("Got invalid cookie: "+cookie);
-      return;
-    }
-    let name = cookie.slice(0, cut);
-    // We're only interested in cookie-pairs, not attributes.
-    // http://tools.ietf.org/html/rfc6265#section-4.1.1
-    let cookieAttrNames = ["expires", "max-age", "domain", "path",
-                           "secure", "httponly"];
-    if (cookieAttrNames.indexOf(name.toLowerCase()) > -1) {
-      return;
-    }
-    let value = cookie.slice(cut+1);
-    cookies[name] = value;
-  });
-
-  return cookies;
-};
+let parseCookieString = exports.parseCookieString =
+  heuristicCore.parseCookieString;
 
 /**
  * Converts nsICookie2 or nsISimpleEnumerator of nsICookie2's to string form,
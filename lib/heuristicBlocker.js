@@ -9,30 +9,67 @@ const { newURI } = require('sdk/url/utils');
 const { storage } = require("sdk/simple-storage");
 const utils = require("./utils");
 const cookieUtils  = require("./cookieUtils");
+const cookieClassifier = require("./cookieClassifier");
+const heuristicCore = require("./heuristicCore");
+const trackerEvidence = require("./trackerEvidence");
 const { emit } = require('sdk/event/core');
+const { setInterval, clearInterval } = require("sdk/timers");
+const { checkBlockedSite } = require("./policyCheck");
 const {
-  checkPrivacyPolicy,
-  whitelistHostFromPrivacyPolicy
-} = require("./policyCheck");
-const { doDependingOnIsPrivate } = require("./privateBrowsing");
+  doDependingOnIsPrivate,
+  isPrivateContext
+} = require("./privateBrowsing");
+const userStorage = require("./userStorage");
 const prefs = require('sdk/simple-prefs').prefs;
 const pbUI = require("./ui");
 /**
- * originFrequency: A map of third party domains to the set of first party
- * domains where they have been observed making requests.
+ * originFrequency: A map of third party domains to the first party domains
+ * where they have been observed making requests, with the time of the first
+ * and the most recent observation and the tracking signals seen there (for
+ * cookies, the most bits seen). ex:
+ *   { "tracker.com": { "example.com": { firstSeen: 1439500000000,
+ *                                       lastSeen: 1442000000000,
+ *                                       signals: { cookie: 40,
+ *                                                  canvas: true } } } }
  *
  * blockedOrigins: The set of domains that are blocked from making third party
  * requests due to the heuristic.
+ *
+ * blockedOriginsPrivate: Domains blocked from what was seen in private
+ * windows, when the privateLearning pref keeps that to the private session.
+ * Only used in private windows, and cleared along with the other private
+ * stores.
  */
 const stored = [ "originFrequency",
                  "originFrequencyPrivate",
-                 "blockedOrigins" ];
+                 "blockedOrigins",
+                 "blockedOriginsPrivate" ];
+
+const gOneDay = 1000 * 60 * 60 * 24;
+
+// Timer for the periodic compaction of originFrequency
+let compactionInterval = null;
 
 // Initialize/cleanup persistent storage
 exports.init = function () {
   stored.forEach(function(store) {
     if (!storage[store]) { storage[store] = {}; }
   });
+  trackerEvidence.init();
+  migratePrevalence();
+  resumeLearning();
+
+  // Compact prevalence records on startup and every 24 hours
+  compactPrevalence();
+  if (compactionInterval) { clearInterval(compactionInterval); }
+  compactionInterval = setInterval(compactPrevalence, gOneDay);
+};
+// Stop compacting while learning is off, and remember since when, so what
+// was learned doesn't decay until learning resumes (see resumeLearning)
+exports.cleanup = function () {
+  if (compactionInterval) { clearInterval(compactionInterval); }
+  compactionInterval = null;
+  storage.learningPausedAt = Date.now();
 };
 exports.clear = function () {
   // reset cookies for all in blockedOrigins because they may have been
@@ -45,6 +82,7 @@ exports.clear = function () {
   stored.forEach(function(store) {
     delete storage[store];
   });
+  trackerEvidence.empty();
 };
 exports.empty = function () {
   for (let host in storage.blockedOrigins) {
@@ -55,229 +93,9 @@ exports.empty = function () {
   stored.forEach(function(store) {
     storage[store] = {};
   });
+  trackerEvidence.empty();
 };
 
-// Threshold of 1st party origins tracked by a 3rd party to trigger blocking
-const gPrevalenceThreshold = 3;
-
- // The maximum amount of information for all cookies for a given domain, in bits
-const gMaxCookieEntropy = 8;
-
-// This maps cookies to a rough estimate of how many bits of 
-// identifying info we might be letting past by allowing them.
-// We need something better than this eventually!
-// map to lower case before using
-const gLowEntropyCookieValues = {
-  "":3,
-  "nodata":3,
-  "no_data":3,
-  "yes":3,
-  "no":3,
-  "true":3,
-  "false":3,
-  "opt-out":3,
-  "optout":3,
-  "opt_out":3,
-  "0":4,
-  "1":4,
-  "2":4,
-  "3":4,
-  "4":4,
-  "5":4,
-  "6":4,
-  "7":4,
-  "8":4,
-  "9":4,
-  // ISO 639-1 language codes
-  "aa":8,
-  "ab":8,
-  "ae":8,
-  "af":8,
-  "ak":8,
-  "am":8,
-  "an":8,
-  "ar":8,
-  "as":8,
-  "av":8,
-  "ay":8,
-  "az":8,
-  "ba":8,
-  "be":8,
-  "bg":8,
-  "bh":8,
-  "bi":8,
-  "bm":8,
-  "bn":8,
-  "bo":8,
-  "br":8,
-  "bs":8,
-  "by":8,
-  "ca":8,
-  "ce":8,
-  "ch":8,
-  "co":8,
-  "cr":8,
-  "cs":8,
-  "cu":8,
-  "cv":8,
-  "cy":8,
-  "da":8,
-  "de":8,
-  "dv":8,
-  "dz":8,
-  "ee":8,
-  "el":8,
-  "en":8,
-  "eo":8,
-  "es":8,
-  "et":8,
-  "eu":8,
-  "fa":8,
-  "ff":8,
-  "fi":8,
-  "fj":8,
-  "fo":8,
-  "fr":8,
-  "fy":8,
-  "ga":8,
-  "gd":8,
-  "gl":8,
-  "gn":8,
-  "gu":8,
-  "gv":8,
-  "ha":8,
-  "he":8,
-  "hi":8,
-  "ho":8,
-  "hr":8,
-  "ht":8,
-  "hu":8,
-  "hy":8,
-  "hz":8,
-  "ia":8,
-  "id":8,
-  "ie":8,
-  "ig":8,
-  "ii":8,
-  "ik":8,
-  "in":8,
-  "io":8,
-  "is":8,
-  "it":8,
-  "iu":8,
-  "ja":8,
-  "jv":8,
-  "ka":8,
-  "kg":8,
-  "ki":8,
-  "kj":8,
-  "kk":8,
-  "kl":8,
-  "km":8,
-  "kn":8,
-  "ko":8,
-  "kr":8,
-  "ks":8,
-  "ku":8,
-  "kv":8,
-  "kw":8,
-  "ky":8,
-  "la":8,
-  "lb":8,
-  "lg":8,
-  "li":8,
-  "ln":8,
-  "lo":8,
-  "lt":8,
-  "lu":8,
-  "lv":8,
-  "mg":8,
-  "mh":8,
-  "mi":8,
-  "mk":8,
-  "ml":8,
-  "mn":8,
-  "mr":8,
-  "ms":8,
-  "mt":8,
-  "my":8,
-  "na":8,
-  "nb":8,
-  "nd":8,
-  "ne":8,
-  "ng":8,
-  "nl":8,
-  "nn":8,
-  "nr":8,
-  "nv":8,
-  "ny":8,
-  "oc":8,
-  "of":8,
-  "oj":8,
-  "om":8,
-  "or":8,
-  "os":8,
-  "pa":8,
-  "pi":8,
-  "pl":8,
-  "ps":8,
-  "pt":8,
-  "qu":8,
-  "rm":8,
-  "rn":8,
-  "ro":8,
-  "ru":8,
-  "rw":8,
-  "sa":8,
-  "sc":8,
-  "sd":8,
-  "se":8,
-  "sg":8,
-  "si":8,
-  "sk":8,
-  "sl":8,
-  "sm":8,
-  "sn":8,
-  "so":8,
-  "sq":8,
-  "sr":8,
-  "ss":8,
-  "st":8,
-  "su":8,
-  "sv":8,
-  "sw":8,
-  "ta":8,
-  "te":8,
-  "tg":8,
-  "th":8,
-  "ti":8,
-  "tk":8,
-  "tl":8,
-  "tn":8,
-  "to":8,
-  "tr":8,
-  "ts":8,
-  "tt":8,
-  "tw":8,
-  "ty":8,
-  "ug":8,
-  "uk":8,
-  "ur":8,
-  "uz":8,
-  "ve":8,
-  "vi":8,
-  "vo":8,
-  "wa":8,
-  "wo":8,
-  "xh":8,
-  "yi":8,
-  "yo":8,
-  "za":8,
-  "zh":8,
-  "zu":8
-};
-
-
 /**
  * Returns useful information about this channel.
  *
@@ -332,9 +150,22 @@ let getChannelInfo = function(channel, win) {
  * @return Boolean Whether this request appears to be tracking the user
  */
 var hasTracking = function(channel, channelInfo, cookies) {
-  return hasCookieTracking(channel, channelInfo, cookies) ||
-    hasSupercookieTracking(channel, channelInfo) ||
-    hasCanvasFingerprinting(channel, channelInfo);
+  return !!getTrackingSignal(channel, channelInfo, cookies);
+};
+
+/**
+ * Which kind of tracking gave this request away, if any.
+ * @return {String} "cookie", "supercookie", "canvas", "webgl", "audio",
+ *   "enumeration", "fonts", "cookiesync", "pixel", "etag" or null
+ */
+var getTrackingSignal = function(channel, channelInfo, cookies) {
+  return heuristicCore.getTrackingSignal(cookies, {
+    supercookie: hasSupercookieTracking(channel, channelInfo),
+    fingerprinting: getFingerprintingSignal(channel, channelInfo),
+    cookiesync: hasCookieSyncTracking(channel, channelInfo),
+    pixel: hasTrackingPixel(channel, channelInfo),
+    etag: hasEtagTracking(channel, channelInfo)
+  });
 };
 
 var hasSupercookieTracking = function(channel, channelInfo){
@@ -342,79 +173,440 @@ var hasSupercookieTracking = function(channel, channelInfo){
     !!pbUI.settingsMap.supercookies[channelInfo.origin];
 };
 
-var hasCanvasFingerprinting = function(channel, channelInfo){
-  return pbUI.settingsMap.canvasTracking && 
-    pbUI.settingsMap.canvasTracking[channelInfo.origin] &&
-    !!pbUI.settingsMap.canvasTracking[channelInfo.origin].fingerprinting;
+/**
+ * Has a script from this origin been caught fingerprinting, and how?
+ * canvasTracking has the write-then-read APIs, keyed by API name.
+ * @return {String} "canvas", "webgl", "audio", "enumeration", "fonts" or null
+ */
+var getFingerprintingSignal = function(channel, channelInfo){
+  let fpData = pbUI.settingsMap.canvasTracking &&
+    pbUI.settingsMap.canvasTracking[channelInfo.origin];
+  for (let api in fpData) {
+    if (fpData[api].fingerprinting) {
+      return api;
+    }
+  }
+  if (pbUI.settingsMap.enumerationTracking &&
+      pbUI.settingsMap.enumerationTracking[channelInfo.origin]) {
+    return "enumeration";
+  }
+  if (pbUI.settingsMap.fontTracking &&
+      pbUI.settingsMap.fontTracking[channelInfo.origin]) {
+    return "fonts";
+  }
+  return null;
 };
 
-var hasCookieTracking = function(channel, channelInfo, cookies){
-  if (!cookies || Object.getOwnPropertyNames(cookies).length < 1) {
+var hasCookieSyncTracking = function(channel, channelInfo){
+  return pbUI.settingsMap.cookieSync &&
+    !!pbUI.settingsMap.cookieSync[channelInfo.origin];
+};
+
+var hasTrackingPixel = function(channel, channelInfo){
+  return pbUI.settingsMap.trackingPixels &&
+    !!pbUI.settingsMap.trackingPixels[channelInfo.origin];
+};
+
+/**
+ * Tracking pixels (web beacons): tiny images, navigator.sendBeacon() calls and
+ * <a ping> requests that carry an identifier in the URL instead of a cookie,
+ * ex: https://tracker.com/p.gif?uid=d93d4e842d10e12a
+ */
+
+// Images up to this size, in bytes, are pixels. A 1x1 GIF is 43 bytes.
+const gPixelMaxBytes = 128;
+// Only URL parameters that look like identifiers give a pixel away. Same
+// bar as cookie syncing.
+const gPixelMinBits = 32;
+// Random cache busters change on every request, they can't identify anyone
+const gCacheBusterParams = [ "_", "r", "rnd", "rand", "random", "cb",
+                             "cachebuster", "cache_buster", "nocache", "z" ];
+
+/**
+ * Was this request sent by navigator.sendBeacon() or an <a ping>?
+ * @param {nsIHttpChannel} channel
+ * @return {Boolean}
+ */
+function isBeaconRequest(channel) {
+  let policyType;
+  try {
+    policyType = channel.loadInfo.contentPolicyType;
+  } catch (e) {
+    return false;
+  }
+  return policyType === Ci.nsIContentPolicy.TYPE_PING ||
+    (Ci.nsIContentPolicy.TYPE_BEACON !== undefined &&
+     policyType === Ci.nsIContentPolicy.TYPE_BEACON);
+}
+
+/**
+ * Is this the response for a tiny image? Only known once the response
+ * headers are in.
+ * @param {nsIHttpChannel} channel
+ * @return {Boolean}
+ */
+function isTinyImage(channel) {
+  let contentType, contentLength;
+  try {
+    contentType = channel.contentType;
+    contentLength = channel.contentLength;
+  } catch (e) {
+    return false;
+  }
+  if (!contentType || contentType.indexOf("image/") !== 0) { return false; }
+  // contentLength is -1 when the server didn't say
+  return contentLength >= 0 && contentLength <= gPixelMaxBytes;
+}
+
+/**
+ * The names of the URL parameters that look like identifiers.
+ * @param {nsIURI} uri
+ * @return {Array}
+ */
+function getIdentifyingParams(uri) {
+  let query = uri.spec.split("#")[0].split("?")[1];
+  if (!query) { return []; }
+  let names = [];
+  query.split("&").forEach(function(param) {
+    let separator = param.indexOf("=");
+    if (separator === -1) { return; }
+    let name = param.substr(0, separator);
+    let value = param.substr(separator + 1);
+    if (!value || gCacheBusterParams.indexOf(name.toLowerCase()) !== -1) {
+      return;
+    }
+    let score = cookieClassifier.scoreValue(value);
+    // A timestamp only says when the request was made
+    if (score.format !== "timestamp" && score.bits >= gPixelMinBits) {
+      names.push(name);
+    }
+  });
+  return names;
+}
+
+/**
+ * Is this request a tracking pixel or beacon: a tiny image or a beacon/ping
+ * request, carrying an identifier in its URL?
+ * @param {nsIHttpChannel} channel
+ * @return {Boolean}
+ */
+function isTrackingPixel(channel) {
+  if (!isBeaconRequest(channel) && !isTinyImage(channel)) { return false; }
+  return getIdentifyingParams(channel.URI).length > 0;
+}
+
+/**
+ * Records that an origin sends tracking pixels, as the tracking reason
+ * "pixel".
+ * @param {String} origin
+ */
+function recordTrackingPixel(origin) {
+  pbUI.settingsMap.trackingPixels = pbUI.settingsMap.trackingPixels || {};
+  pbUI.settingsMap.trackingPixels[origin] = true;
+}
+
+var hasEtagTracking = function(channel, channelInfo){
+  return pbUI.settingsMap.etagTracking &&
+    !!pbUI.settingsMap.etagTracking[channelInfo.origin];
+};
+
+/**
+ * ETag tracking: a third party hands out a unique ETag instead of a cookie,
+ * and the browser sends it back in If-None-Match whenever the resource is
+ * revalidated. A high entropy ETag alone gives nothing away: content hashes
+ * look just the same, and a static file on a shared CDN comes back with the
+ * same one on every site that uses it. What does:
+ *  - the same URL handing different ETags to the private and non-private
+ *    sessions, which don't share a cache. The ETag depends on who's asking,
+ *    not on the content. A URL whose ETag changes within a session (new
+ *    content, or servers that disagree) doesn't count.
+ *  - the same ETag coming back for different resources of an origin, since
+ *    it can't be a hash of both. Resources are compared without their query
+ *    string, so cache busters (jquery.js?ver=2) don't count.
+ *
+ * recentEtagUrls maps a resource URL to { etags: { normal: etag,
+ * private: etag }, unstable: Boolean, seen: timestamp }.
+ * recentEtagValues maps "<origin> <etag>" to { paths: { path: true },
+ * seen: timestamp }.
+ * Both are only kept in memory, and bounded by gEtagMaxValues.
+ *
+ * Last-Modified dates can carry an identifier the same way, but there's no
+ * telling those apart from real dates; cookieblocking strips them regardless
+ * (see lib/main.js).
+ */
+let recentEtagUrls = {};
+let recentEtagValues = {};
+
+// Same bar as cookie syncing for what looks like an identifier
+const gEtagMinBits = 32;
+// An identifier coming back for this many resources is tracking
+const gEtagMinPaths = 2;
+const gEtagMaxValues = 500;
+// How long an ETag counts as recently seen, in ms
+const gEtagTTL = 1000 * 60 * 60 * 24;
+
+/**
+ * The ETag this request sends (If-None-Match) or this response sets (ETag),
+ * without the weak validator prefix and quotes. null if there's none.
+ * @param {nsIHttpChannel} channel
+ * @return {String}
+ */
+function getEtag(channel) {
+  let etag = null;
+  try {
+    etag = channel.getRequestHeader("If-None-Match");
+  } catch (e) {
+    try {
+      etag = channel.getResponseHeader("ETag");
+    } catch (e2) {
+      return null;
+    }
+  }
+  etag = etag.trim().replace(/^W\//, "").replace(/^"|"$/g, "");
+  return etag || null;
+}
+
+/**
+ * Get the record for a key, creating it if needed. Forgets expired records
+ * and, past gEtagMaxValues, the oldest ones.
+ * @param {Object} records recentEtagUrls or recentEtagValues
+ * @param {String} key
+ * @param {Function} create makes a new record
+ * @return {Object}
+ */
+function getEtagRecord(records, key, create) {
+  if (!records.hasOwnProperty(key)) {
+    let now = Date.now();
+    let keys = Object.keys(records).filter(function(other) {
+      if (now - records[other].seen > gEtagTTL) {
+        delete records[other];
+        return false;
+      }
+      return true;
+    });
+    if (keys.length >= gEtagMaxValues) {
+      keys.sort(function(a, b) { return records[a].seen - records[b].seen; });
+      keys.slice(0, keys.length - gEtagMaxValues + 1).forEach(function(old) {
+        delete records[old];
+      });
+    }
+    records[key] = create();
+  }
+  records[key].seen = Date.now();
+  return records[key];
+}
+
+/**
+ * Does this request's ETag look like an identifier, see above?
+ * @param {nsIHttpChannel} channel
+ * @param {Object} channelInfo extracted metadata about the request
+ * @param {Boolean} isPrivate whether the request is from a private window
+ * @return {Boolean}
+ */
+function isEtagTracking(channel, channelInfo, isPrivate) {
+  let etag = getEtag(channel);
+  if (!etag || cookieClassifier.scoreValue(etag).bits < gEtagMinBits) {
     return false;
   }
+  let url = channel.URI.spec.replace(/#.*$/, "");
 
-  let { origin } = channelInfo;
-  let entropyForOrigin = 0;
+  let byUrl = getEtagRecord(recentEtagUrls, url, function() {
+    return { etags: {}, unstable: false };
+  });
+  let session = isPrivate ? "private" : "normal";
+  let otherSession = isPrivate ? "normal" : "private";
+  if (byUrl.etags.hasOwnProperty(session) && byUrl.etags[session] !== etag) {
+    byUrl.unstable = true;
+  }
+  byUrl.etags[session] = etag;
+  let perBrowser = !byUrl.unstable &&
+    byUrl.etags.hasOwnProperty(otherSession) &&
+    byUrl.etags[otherSession] !== etag;
 
+  let byValue = getEtagRecord(recentEtagValues,
+                              channelInfo.origin + " " + etag, function() {
+    return { paths: {} };
+  });
+  byValue.paths[url.replace(/\?.*$/, "")] = true;
+  let acrossResources = Object.keys(byValue.paths).length >= gEtagMinPaths;
+
+  return perBrowser || acrossResources;
+}
+
+/**
+ * Records that an origin tracks users with ETags, as the tracking reason
+ * "etag".
+ * @param {String} origin
+ */
+function recordEtagTracking(origin) {
+  pbUI.settingsMap.etagTracking = pbUI.settingsMap.etagTracking || {};
+  pbUI.settingsMap.etagTracking[origin] = true;
+}
+
+/**
+ * Cookie syncing: third parties passing their cookie IDs to each other in the
+ * URL or body of requests, ex: a pixel at
+ * https://tracker-b.com/sync?partner_uid=<tracker-a.com cookie>.
+ *
+ * recentCookieValues maps the identifier-like pieces of recently seen cookie
+ * values (see gCookieSyncSeparators) to
+ * { origin: base domain that owns the cookie, seen: timestamp }, so a request
+ * can be checked by looking up its own pieces instead of searching it for
+ * every value. Only kept in memory, and bounded by gCookieSyncMaxValues.
+ */
+let recentCookieValues = {};
+let recentCookieValueCount = 0;
+
+// Only values that look like identifiers are worth remembering
+const gCookieSyncMinBits = 32;
+const gCookieSyncMinLength = 8;
+const gCookieSyncMaxValues = 500;
+// How long a cookie value counts as recently seen, in ms
+const gCookieSyncTTL = 1000 * 60 * 30;
+// Don't read more than this much of a request body, in bytes
+const gCookieSyncMaxBody = 1024 * 64;
+// What separates identifiers from each other, in cookie values as well as in
+// URLs and request bodies, ex: "ID=d93d4e842d10e12a:T=1394241144"
+const gCookieSyncSeparators = /[^A-Za-z0-9_\-.~]+/;
+
+/**
+ * Forget expired cookie values. If we're still over gCookieSyncMaxValues,
+ * forget the oldest ones.
+ */
+function pruneCookieValues() {
+  let now = Date.now();
+  let values = Object.keys(recentCookieValues);
+  values.forEach(function(value) {
+    if (now - recentCookieValues[value].seen > gCookieSyncTTL) {
+      delete recentCookieValues[value];
+    }
+  });
+  values = Object.keys(recentCookieValues).sort(function(a, b) {
+    return recentCookieValues[a].seen - recentCookieValues[b].seen;
+  });
+  while (values.length > gCookieSyncMaxValues) {
+    delete recentCookieValues[values.shift()];
+  }
+  recentCookieValueCount = values.length;
+}
+
+/**
+ * Remember the high-entropy cookie values of an origin, so we can tell when
+ * another third party receives them.
+ * @param {String} origin base domain the cookies belong to
+ * @param {Object} cookies cookie name-value pairs
+ */
+function rememberCookieValues(origin, cookies) {
+  if (!origin || !cookies) { return; }
+  let now = Date.now();
   for (let name in cookies) {
-    if (cookies.hasOwnProperty(name)) {
-      let value = cookies[name];
-      if (!(value.toLowerCase() in gLowEntropyCookieValues)) {
-        return true;
-      } else {
-        entropyForOrigin += gLowEntropyCookieValues[value.toLowerCase()];
-        if (entropyForOrigin > gMaxCookieEntropy) {
-          return true;
-        }
+    if (!cookies.hasOwnProperty(name)) { continue; }
+    cookies[name].split(gCookieSyncSeparators).forEach(function(value) {
+      if (value.length < gCookieSyncMinLength ||
+          cookieClassifier.scoreValue(value).bits < gCookieSyncMinBits) {
+        return;
+      }
+      if (!recentCookieValues.hasOwnProperty(value)) {
+        recentCookieValueCount++;
+      }
+      recentCookieValues[value] = { origin: origin, seen: now };
+    });
+  }
+  if (recentCookieValueCount > gCookieSyncMaxValues) {
+    pruneCookieValues();
+  }
+}
+
+/**
+ * Look for another third party's recently seen cookie values in the URL and
+ * body of an outgoing request. The first party handing its own cookies to
+ * its third parties is how embedding them works, not syncing.
+ * @param {nsIHttpChannel} channel
+ * @param {Object} channelInfo extracted metadata about the request
+ * @return {String} the origin whose cookie is leaking to this request, or
+ *   null if there's none
+ */
+function findSyncedCookie(channel, channelInfo) {
+  if (recentCookieValueCount === 0) { return null; }
+
+  let haystacks = [channel.URI.spec];
+  try {
+    haystacks.push(decodeURIComponent(channel.URI.spec));
+  } catch (e) {
+    // Malformed escapes, the raw URL will have to do
+  }
+  let body = utils.getUploadData(channel, gCookieSyncMaxBody);
+  if (body) { haystacks.push(body); }
+
+  let now = Date.now();
+  for (let i = 0; i < haystacks.length; i++) {
+    let values = haystacks[i].split(gCookieSyncSeparators);
+    for (let j = 0; j < values.length; j++) {
+      if (!recentCookieValues.hasOwnProperty(values[j])) { continue; }
+      let { origin, seen } = recentCookieValues[values[j]];
+      if (origin !== channelInfo.origin &&
+          origin !== channelInfo.parentOrigin &&
+          now - seen <= gCookieSyncTTL) {
+        return origin;
       }
     }
   }
+  return null;
+}
 
-  console.log("All cookies for " + origin + " deemed low entropy...");
-  console.log(cookies);
+/**
+ * Check a request that's about to go out for cookie syncing. Both sides of a
+ * cookie sync are tracking: the origin whose cookie leaked and the one
+ * receiving it. The receiving side gets recorded by
+ * updateHeuristicsForChannel, see hasCookieSyncTracking.
+ * @param {nsIHttpChannel} channel
+ * @param {nsIDOMWindow} win window associated with the channel
+ * @return {Boolean} whether a cookie sync was found
+ */
+let updateCookieSyncForChannel = function(channel, win) {
+  let channelInfo = getChannelInfo(channel, win);
+  if (channelInfo === null || !channel.URI || !channel.URI.host ||
+      userStorage.isBlockedOrigin(channelInfo.origin, win)) {
+    return false;
+  }
+  let leakingOrigin = findSyncedCookie(channel, channelInfo);
+  if (!leakingOrigin) { return false; }
 
-  //return hasSneakyTracking(channel);
-  return false;
+  console.log("Cookie sync from " + leakingOrigin + " to " +
+              channelInfo.origin);
+  recordCookieSync(leakingOrigin);
+  recordCookieSync(channelInfo.origin);
+  recordPrevalence(leakingOrigin, channelInfo.parentOrigin, leakingOrigin, win,
+                   { signal: "cookiesync" });
+  return true;
 };
 
 /**
- * Determine if a third-party may be tracking a user by setting and reading
- * its cookies either using javascript or through an unblocked subdomain.
- * Mostly just here as a test harness, may be used in future releases.
- * @param {nsIHttpChannel} channel the request to examine for tracking behavior
- * @return Boolean Whether this request appears to be sneaky-tracking the user
+ * Records that an origin takes part in cookie syncing, as the tracking
+ * reason "cookiesync".
+ * @param {String} origin
  */
-let cookieAccessTimes = {};
-let hasSneakyTracking = function(channel) {
-  let host = channel.URI.host;
-  // getCookiesFromHost returns enumerator of nsICookie2's. ex: for
-  // live.bbc.co.uk, return cookies for live.bbc.co.uk and bbc.co.uk but not
-  // www.bbc.co.uk
-  let cookies = cookieUtils.getCookiesFromHost(host);
-  let cookieTimes = [];
-  while (cookies.hasMoreElements()) {
-    let cookie = cookies.getNext().QueryInterface(Ci.nsICookie2);
-    cookieTimes.push(cookie.lastAccessed);
-  }
-  if (cookieTimes.length === 0) { return false; }
-  // Get most recent cookie access by the host
-  let maxCookieTime = Math.max.apply(Math, cookieTimes);
-  console.log("MAXCOOKIETIME", cookieTimes, host);
-  // Consider the host to be tracking if any of its cookies has been accessed
-  // since the last time we checked
-  let isTracking = cookieAccessTimes[host] ?
-                    (maxCookieTime > cookieAccessTimes[host]) :
-                    false;
-  if (isTracking) {
-    console.log("FOUND sneaky tracker", channel.URI.spec);
-  }
-  cookieAccessTimes[host] = maxCookieTime;
-  return isTracking;
+function recordCookieSync(origin) {
+  pbUI.settingsMap.cookieSync = pbUI.settingsMap.cookieSync || {};
+  pbUI.settingsMap.cookieSync[origin] = true;
+}
+
+var hasCookieTracking = function(channel, channelInfo, cookies){
+  if (heuristicCore.hasCookieTracking(cookies)) {
+    return true;
+  }
+  if (cookies && Object.getOwnPropertyNames(cookies).length > 0) {
+    console.log("All cookies for " + channelInfo.origin + " deemed low " +
+                "entropy (" + cookieClassifier.classifyCookies(cookies).bits.
+                toFixed(1) + " bits)...");
+    console.log(cookies);
+  }
+  return false;
 };
 
 let blockOrigin = function(origin, host) {
   // Block the eTLD+1. If the host is the same as eTLD+1, then this
-  // gets unblocked when checkPrivacyPolicy returns.
+  // gets unblocked once its DNT policy has been checked.
   storage.blockedOrigins[origin] = true;
   // Check if the host associated with the third-party request has posted an
   // approved DNT policy. If so, whitelist the host and remove it from
@@ -424,11 +616,7 @@ let blockOrigin = function(origin, host) {
     console.log("Missing host");
     return;
   }
-  checkPrivacyPolicy(host, function(success) {
-    if (success) {
-      whitelistHostFromPrivacyPolicy(host);
-    }
-  });
+  checkBlockedSite(host);
 };
 
 let unblockOrigin = function(origin) {
@@ -455,11 +643,21 @@ let updateHeuristicsForChannel = function(channel, win, cookieString) {
   let { origin, parentOrigin } = channelInfo;
 
   // Ignore things that have already been heuristic-blocked
-  if (origin in storage.blockedOrigins) { return false; }
+  if (userStorage.isBlockedOrigin(origin, win)) { return false; }
   
   // Ignore things that don't have a URI
   if (!channel.URI || !channel.URI.host) { return false; }
-  
+
+  // Pixels are found on the response path, once we know what came back
+  if (isTrackingPixel(channel)) {
+    console.log("Tracking pixel from " + origin + ": " + channel.URI.spec);
+    recordTrackingPixel(origin);
+  }
+
+  if (isEtagTracking(channel, channelInfo, isPrivateContext(win))) {
+    console.log("ETag tracking by " + origin + " on " + parentOrigin);
+    recordEtagTracking(origin);
+  }
 
   // Ignore things that are already marked as tracking
   let host = channel.URI.host;
@@ -471,12 +669,11 @@ let updateHeuristicsForChannel = function(channel, win, cookieString) {
   // Found a third party tracker; show it in the UI
   let channelCookies;
   if(cookieString){
-    channelCookies = cookieUtils.parseCookieString(cookieString);
+    channelCookies = heuristicCore.parseCookieString(cookieString);
   } else {
     channelCookies = cookieUtils.getCookiesFromChannel(channel);
   }
-
-
+  rememberCookieValues(origin, channelCookies);
 
   let action = getAction(channel, channelInfo, channelCookies);
 
@@ -488,7 +685,14 @@ let updateHeuristicsForChannel = function(channel, win, cookieString) {
   } else {
     // Update page action badge with current count && record prevelance
     if(prefs.displayCounter){ pbUI.updateCountForChannel(channel); }
-    recordPrevalence(origin, parentOrigin, channel.URI.host, win);
+    let signal = getTrackingSignal(channel, channelInfo, channelCookies);
+    recordPrevalence(origin, parentOrigin, channel.URI.host, win, {
+      signal: signal,
+      cookies: signal === "cookie" ?
+        heuristicCore.getEvidenceCookies(channelCookies) : [],
+      bits: signal === "cookie" ?
+        cookieClassifier.classifyCookies(channelCookies).bits : 0
+    });
     return true;
   }
 };
@@ -497,46 +701,44 @@ let updateHeuristicsForChannel = function(channel, win, cookieString) {
  * Get the current action for a domain
  */
 function getAction(channel, channelInfo, channelCookies){
-  let action;
-  
-  if (!(hasTracking(channel, channelInfo, channelCookies)) ) {
-    return "notracking"; 
-  }
-
-  if (utils.isPreloadedWhitelistRequest(channel.URI)) {
-    action = "cookieblock";
-  } else {
-    action = "noaction";
-  }
-
-  return action;
+  let signal = getTrackingSignal(channel, channelInfo, channelCookies);
+  return heuristicCore.getAction(signal,
+    !!signal && utils.isPreloadedWhitelistRequest(channel.URI));
 }
 
-
-
 /**
  * Record that a (third party) origin was seen on a (first party) parentOrigin
  * and block the origin if necessary
+ * @param {String} origin
+ * @param {String} parentOrigin
+ * @param {String} parentFQDN host to check for a DNT policy when blocking
+ * @param {Object} win window or tab the origin was seen in
+ * @param {Object} evidence (optional) what gave the origin away, see
+ *   trackerEvidence.record
  */
-function recordPrevalence(origin, parentOrigin, parentFQDN, win){
+function recordPrevalence(origin, parentOrigin, parentFQDN, win, evidence){
+  // Learning is paused, see userStorage.getBlockedOrigins
+  if (!utils.isHeuristicEnabled()) { return; }
+  let privateMode = isPrivateContext(win) ? getPrivateLearningMode() : null;
+  if (privateMode === "off") { return; }
+  let now = Date.now();
   // Record 3rd party request prevalence separately for private and non-private
   // sessions because first party origins are sensitive.
   doDependingOnIsPrivate("originFrequency", function (store) {
-    if (!(origin in store)) {
-      store[origin] = {};
-    }
-    store[origin][parentOrigin] = true;
+    heuristicCore.recordObservation(store, origin, parentOrigin, evidence, now);
   }, win);
+  trackerEvidence.record(origin, parentOrigin, evidence, win);
 
-  // How many 1st party origins has this 3rd party made requests from?
-  let requestPrevalence = storage.originFrequency[origin] ?
-                          Object.keys(storage.originFrequency[origin]).length :
-                          0;
-  let requestPrevalencePrivate = storage.originFrequencyPrivate[origin] ?
-                                 Object.keys(storage.originFrequencyPrivate[origin]).length :
-                                 0;
+  if (privateMode === "session") {
+    // No DNT policy check here, whitelisting a host would outlive the session
+    if (getTrackingScore(origin, true).score >= getScoreThreshold()) {
+      console.log("adding " + origin + " to private session blocklist.");
+      storage.blockedOriginsPrivate[origin] = true;
+    }
+    return;
+  }
 
-  if ((requestPrevalence + requestPrevalencePrivate) >= gPrevalenceThreshold) {
+  if (getTrackingScore(origin).score >= getScoreThreshold()) {
     console.log("adding " + origin + " to heuristic blocklist.");
     blockOrigin(origin, parentFQDN);
   }
@@ -544,46 +746,346 @@ function recordPrevalence(origin, parentOrigin, parentFQDN, win){
 }
 
 /**
- * Logs when a cookie object is added or modified.
- * May be called in an onCookieChanged listener for debugging.
- * @param {nsICookie2} cookie
- * @param {String} keyword the event keyword (subject.data)
- * @return {Boolean} whether heuristics werer updated
+ * How private windows take part in learning, from the privateLearning pref:
+ *   "global": like any other window, the default
+ *   "session": into blockedOriginsPrivate, which goes away with the private
+ *     session
+ *   "off": not at all
+ * @return {String}
+ */
+function getPrivateLearningMode() {
+  let mode = prefs.privateLearning;
+  return (mode === "session" || mode === "off") ? mode : "global";
+}
+
+/**
+ * How long an observation counts towards the tracking score after it was
+ * last seen, in ms. Returns 0 if observations never expire.
+ * @return {Integer}
  */
-let logCookieChanges = function(cookie, keyword) {
-  if (!(cookie instanceof Ci.nsICookie2)) {
-    console.log("Not an nsICookie2 object");
+function getDecayWindow() {
+  let days = Number(prefs.prevalenceDecayDays);
+  return days > 0 ? days * gOneDay : 0;
+}
+
+/**
+ * Has this observation (an originFrequency[origin][parentOrigin] entry)
+ * stopped counting towards the tracking score?
+ * @param {Object} observation { firstSeen: Integer, lastSeen: Integer }
+ * @param {Integer} now timestamp to compare against
+ * @return {Boolean}
+ */
+function isExpired(observation, now) {
+  return heuristicCore.isExpired(observation, now, getDecayWindow());
+}
+
+/**
+ * Tracking score at which origins get blocked.
+ * @return {Number}
+ */
+function getScoreThreshold() {
+  let threshold = Number(prefs.trackingScoreThreshold);
+  return threshold > 0 ? threshold : heuristicCore.DEFAULT_SCORE_THRESHOLD;
+}
+
+/**
+ * How strongly a third party looks like a tracker, see
+ * heuristicCore.getTrackingScore. What was seen in private windows only
+ * counts towards the global blocklist if private learning is global.
+ * @param {String} origin
+ * @param {Boolean} forPrivateSession (optional) score for the private
+ *   session blocklist instead, which counts everything
+ * @return {Object} { score, threshold, firstParties, signals }
+ */
+function getTrackingScore(origin, forPrivateSession) {
+  let stores = (forPrivateSession || getPrivateLearningMode() === "global") ?
+    heuristicCore.PREVALENCE_STORES : [ "originFrequency" ];
+  return heuristicCore.getTrackingScore(storage, origin, {
+    threshold: getScoreThreshold(),
+    decayWindow: getDecayWindow(),
+    stores: stores
+  });
+}
+
+/**
+ * Older versions stored originFrequency[origin][parentOrigin] = true. Date
+ * those observations from now so they get a full decay window.
+ */
+function migratePrevalence() {
+  let now = Date.now();
+  ["originFrequency", "originFrequencyPrivate"].forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (!storage[store].hasOwnProperty(origin)) { continue; }
+      let parents = storage[store][origin];
+      for (let parentOrigin in parents) {
+        if (parents.hasOwnProperty(parentOrigin) &&
+            typeof parents[parentOrigin] !== "object") {
+          parents[parentOrigin] = { firstSeen: now, lastSeen: now };
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Did the user set this origin, or one of its subdomains, manually?
+ * @param {String} origin
+ * @return {Boolean}
+ */
+function isUserSet(origin) {
+  return ["userRed", "userYellow", "userGreen"].some(function(store) {
+    for (let host in storage[store]) {
+      if (storage[store].hasOwnProperty(host) &&
+          (host === origin || utils.isSubdomain(host, origin))) {
+        return true;
+      }
+    }
     return false;
+  });
+}
+
+/**
+ * Learning is back on after being turned off: move everything seen before
+ * the pause forward by how long it lasted. Otherwise observations that aged
+ * out while nothing could be learned would be pruned right away.
+ */
+function resumeLearning() {
+  let pausedAt = storage.learningPausedAt;
+  delete storage.learningPausedAt;
+  let pause = Date.now() - pausedAt;
+  if (typeof pausedAt !== "number" || !(pause > 0)) { return; }
+
+  ["originFrequency", "originFrequencyPrivate"].forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (!storage[store].hasOwnProperty(origin)) { continue; }
+      let parents = storage[store][origin];
+      for (let parentOrigin in parents) {
+        if (parents.hasOwnProperty(parentOrigin) &&
+            typeof parents[parentOrigin].lastSeen === "number") {
+          parents[parentOrigin].lastSeen += pause;
+        }
+      }
+    }
+  });
+  trackerEvidence.postpone(pause);
+  // Required here to avoid a circular dependency
+  let bounceTracker = require("./bounceTracker");
+  bounceTracker.postpone(pause);
+}
+
+/**
+ * Prune expired observations from originFrequency, originFrequencyPrivate,
+ * the evidence log and the bounce hops, then unblock heuristic-blocked
+ * origins whose tracking score decayed below the threshold, unless the user
+ * set them manually.
+ * @return {Array} the origins that got unblocked
+ */
+function compactPrevalence() {
+  let now = Date.now();
+  ["originFrequency", "originFrequencyPrivate"].forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (!storage[store].hasOwnProperty(origin)) { continue; }
+      let parents = storage[store][origin];
+      for (let parentOrigin in parents) {
+        if (parents.hasOwnProperty(parentOrigin) &&
+            isExpired(parents[parentOrigin], now)) {
+          delete parents[parentOrigin];
+        }
+      }
+      if (Object.keys(parents).length === 0) {
+        delete storage[store][origin];
+      }
+    }
+  });
+  trackerEvidence.prune(getDecayWindow());
+  // Required here to avoid a circular dependency
+  let bounceTracker = require("./bounceTracker");
+  bounceTracker.prune(getDecayWindow());
+
+  let unblocked = [];
+  for (let origin in storage.blockedOrigins) {
+    if (storage.blockedOrigins.hasOwnProperty(origin) &&
+        getTrackingScore(origin).score < getScoreThreshold() &&
+        !isUserSet(origin)) {
+      console.log("removing " + origin + " from heuristic blocklist, " +
+                  "it hasn't been seen recently enough.");
+      unblockOrigin(origin);
+      unblocked.push(origin);
+    }
   }
+  return unblocked;
+}
 
-  // Update the heuristic blocker if third-party
-  if (keyword === "added") {
-    //console.log("Added cookie", cookie.rawHost, cookie.name);
-    return true;
+/**
+ * Cookies set from JavaScript never show up in Set-Cookie headers, so we
+ * watch cookie-changed notifications for them instead. HTTP cookies cause
+ * the same notifications; we tell them apart by remembering the Set-Cookie
+ * headers we just saw.
+ *
+ * recentHttpCookies maps "<base domain> <cookie name>" to when we saw the
+ * header. Only kept in memory.
+ */
+let recentHttpCookies = {};
+
+// The cookie service stores HTTP cookies right after http-on-examine-response
+const gHttpCookieTTL = 1000 * 30;
+
+/**
+ * Base domain for a bare host, or null for hosts we can't make sense of.
+ * @param {String} host
+ * @return {String}
+ */
+function getBaseDomainForHost(host) {
+  try {
+    return utils.getBaseDomain(utils.makeURI("http://" + host + "/"));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remember the cookies in a response's Set-Cookie header, so the
+ * cookie-changed notifications they cause aren't mistaken for script cookies.
+ * @param {nsIHttpChannel} channel
+ * @param {String} cookieString the Set-Cookie header
+ */
+function rememberHttpCookies(channel, cookieString) {
+  if (!cookieString) { return; }
+  let origin = getBaseDomainForHost(channel.URI.host);
+  if (!origin) { return; }
+  let now = Date.now();
+  for (let key in recentHttpCookies) {
+    if (now - recentHttpCookies[key] > gHttpCookieTTL) {
+      delete recentHttpCookies[key];
+    }
+  }
+  let cookies = heuristicCore.parseCookieString(cookieString);
+  for (let name in cookies) {
+    if (cookies.hasOwnProperty(name)) {
+      recentHttpCookies[origin + " " + name] = now;
+    }
   }
+}
 
-  // TODO: Do we need to update accounting if a cookie changes?
-  if (keyword === "changed") {
-    //console.log("Changed cookie", cookie.rawHost, cookie.name);
+/**
+ * Was this cookie just set (or changed) from JavaScript?
+ * @param {nsICookie2} cookie
+ * @param {String} keyword the cookie-changed event data
+ * @return {Boolean}
+ */
+function isScriptCookie(cookie, keyword) {
+  if (keyword !== "added" && keyword !== "changed") { return false; }
+  if (!(cookie instanceof Ci.nsICookie2)) { return false; }
+  // Scripts can't touch HttpOnly cookies
+  if (cookie.isHttpOnly) { return false; }
+
+  let key = getBaseDomainForHost(cookie.rawHost) + " " + cookie.name;
+  let seen = recentHttpCookies[key];
+  if (seen && Date.now() - seen <= gHttpCookieTTL) {
+    delete recentHttpCookies[key];
     return false;
   }
+  return true;
+}
+
+/**
+ * Find the third-party frame a script cookie came from. A document can only
+ * set cookies for its own host and its parent domains, so this is a frame
+ * showing the cookie's host, embedded in a page from another site.
+ * @param {nsICookie2} cookie
+ * @return {nsIDOMWindow} the frame, or null if the cookie is first-party
+ */
+function getFrameForScriptCookie(cookie) {
+  let origin = getBaseDomainForHost(cookie.rawHost);
+  if (!origin) { return null; }
+  let frames = utils.getFramesForHost(cookie.rawHost);
+  for (let i = 0; i < frames.length; i++) {
+    let parentOrigin;
+    try {
+      parentOrigin = utils.getBaseDomain(newURI(frames[i].top.document.URL));
+    } catch (e) {
+      continue;
+    }
+    if (parentOrigin !== origin) {
+      return frames[i];
+    }
+  }
+  return null;
+}
 
-  // On gmail login, PB detects gmail.com setting and deleting a cookie named
-  // jscookietest. Means that we're successfully detecting js cookies events?
-  // TODO: Do we need to update accounting if a cookie is deleted?
-  if (keyword === "deleted") {
-    console.log("Deleted cookie", cookie.rawHost, cookie.name);
+/**
+ * Update internal accounting data structures with a cookie set from
+ * JavaScript by a third-party frame. The origin's cookies are classified the
+ * same way as cookies in HTTP headers.
+ * @param {nsICookie2} cookie
+ * @param {nsIDOMWindow} frame the frame that set the cookie
+ * @param {String} scriptUrl (optional) the script that set the cookie
+ * @return {Boolean} whether the heuristics were updated
+ */
+let updateHeuristicsForScriptCookie = function(cookie, frame, scriptUrl) {
+  let origin = getBaseDomainForHost(cookie.rawHost);
+  let parentOrigin;
+  try {
+    parentOrigin = utils.getBaseDomain(newURI(frame.top.document.URL));
+  } catch (e) {
     return false;
   }
+  if (!origin || origin === parentOrigin) { return false; }
 
-  return false;
+  // Ignore things that have already been heuristic-blocked
+  if (userStorage.isBlockedOrigin(origin, frame)) { return false; }
+
+  // Classify everything the frame's host can read, not just the new cookie
+  let cookies = {};
+  let enumerator = cookieUtils.getCookiesFromHost(frame.document.location.hostname);
+  while (enumerator.hasMoreElements()) {
+    let storedCookie = enumerator.getNext().QueryInterface(Ci.nsICookie2);
+    if (!storedCookie.isHttpOnly) {
+      cookies[storedCookie.name] = storedCookie.value;
+    }
+  }
+  cookies[cookie.name] = cookie.value;
+
+  let channelInfo = { origin: origin, parentOrigin: parentOrigin };
+  if (!hasCookieTracking(null, channelInfo, cookies)) { return false; }
+
+  console.log("Script cookie " + cookie.name + " from " + origin + " on " +
+              parentOrigin + (scriptUrl ? " set by " + scriptUrl : ""));
+
+  let host = frame.document.location.hostname;
+  let sMap = pbUI.settingsMap.get(frame.top) || {};
+  if (!sMap[host] || sMap[host] == "notracking") {
+    let location = newURI(frame.document.URL);
+    let action = utils.isPreloadedWhitelistRequest(location) ?
+                 "cookieblock" : "noaction";
+    emit(pbUI.settingsMap, "update-settings", action, frame, host);
+  }
+
+  recordPrevalence(origin, parentOrigin, host, frame, {
+    signal: "cookie",
+    cookies: heuristicCore.getEvidenceCookies(cookies),
+    bits: cookieClassifier.classifyCookies(cookies).bits,
+    scriptUrl: scriptUrl
+  });
+  return true;
 };
 
 exports.updateHeuristicsForChannel = updateHeuristicsForChannel;
-exports.hasSneakyTracking = hasSneakyTracking;
-exports.logCookieChanges = logCookieChanges;
+exports.rememberHttpCookies = rememberHttpCookies;
+exports.isScriptCookie = isScriptCookie;
+exports.getFrameForScriptCookie = getFrameForScriptCookie;
+exports.updateHeuristicsForScriptCookie = updateHeuristicsForScriptCookie;
 exports.hasTracking = hasTracking;
+exports.getTrackingSignal = getTrackingSignal;
 exports.blockOrigin = blockOrigin;
 exports.unblockOrigin = unblockOrigin;
 exports.recordPrevalence = recordPrevalence;
+exports.getTrackingScore = getTrackingScore;
+exports.getPrivateLearningMode = getPrivateLearningMode;
+exports.compactPrevalence = compactPrevalence;
+exports.rememberCookieValues = rememberCookieValues;
+exports.findSyncedCookie = findSyncedCookie;
+exports.updateCookieSyncForChannel = updateCookieSyncForChannel;
+exports.isTrackingPixel = isTrackingPixel;
+exports.isEtagTracking = isEtagTracking;
 exports.getAction = getAction;
@@ -0,0 +1,303 @@
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The decisions at the heart of the heuristic: which signal gives a request
+ * away as tracking, what to do about it, and how observations add up to a
+ * tracking score. Used by lib/heuristicBlocker.js and by
+ * scripts/replay-heuristics.js, which runs outside the browser, so it must
+ * not depend on sdk/* or chrome modules. Storage and prefs are passed in.
+ */
+
+"use strict";
+
+const cookieClassifier = require("./cookieClassifier");
+
+// How much a first party counts towards the tracking score of a third party
+// seen tracking there, by signal. Each first party counts for the strongest
+// signal seen on it.
+const SIGNAL_WEIGHTS = {
+  cookie: 1,
+  supercookie: 1,
+  canvas: 1.5,
+  webgl: 1.5,
+  audio: 1.5,
+  enumeration: 1,
+  fonts: 1,
+  cookiesync: 1.5,
+  pixel: 1,
+  etag: 1,
+  bounce: 1
+};
+
+// Cookies carrying at least this many bits count a little more
+const HIGH_ENTROPY_COOKIE_BITS = 32;
+const HIGH_ENTROPY_COOKIE_BONUS = 0.25;
+
+// Tracking score that triggers blocking, unless the trackingScoreThreshold
+// pref says otherwise. With cookies alone, that's 3 first parties.
+const DEFAULT_SCORE_THRESHOLD = 3;
+
+// The maximum amount of information for all cookies for a given domain, in
+// bits. See cookieClassifier.js for how cookies are scored.
+const MAX_COOKIE_ENTROPY = cookieClassifier.DEFAULT_BUDGET;
+
+// How many of an origin's cookie names to keep as evidence of tracking
+const MAX_EVIDENCE_COOKIES = 3;
+
+// Where observations are kept, see originFrequency in heuristicBlocker.js
+const PREVALENCE_STORES = [ "originFrequency", "originFrequencyPrivate" ];
+
+/**
+ * Take a cookie string and turn it into name/value pairs.
+ * It seems weird that we have to roll our own cookie parser; is there a way
+ * to access FF's internal cookie parser?
+ *
+ * nsICookieManager gets us access to the nsICookie objects, but then we'd have
+ * to iterate over all the stored cookies. :(
+ * @param {String} string from set-cookie or cookie headers
+ * @return {Object} cookie name-value pairs (ignoring attributes)
+ */
+function parseCookieString(string) {
+  if (!string) { return {}; }
+  let cookies = {};
+
+  // Someties Set-Cookie headers use newlines instead of semicolons, although
+  // they're not supposed to - replace them before parsing.
+  string = string.replace(/\n/g, "; ");
+
+  string.split("; ").forEach(function (cookie) {
+    cookie = cookie.trim();
+    let cut = cookie.indexOf("=");
+    // If there's no '=', this is not a valid cookie-pair.
+    if (cut === -1) {
+      console.log("Got invalid cookie: "+cookie);
+      return;
+    }
+    let name = cookie.slice(0, cut);
+    // We're only interested in cookie-pairs, not attributes.
+    // http://tools.ietf.org/html/rfc6265#section-4.1.1
+    let cookieAttrNames = ["expires", "max-age", "domain", "path",
+                           "secure", "httponly"];
+    if (cookieAttrNames.indexOf(name.toLowerCase()) > -1) {
+      return;
+    }
+    let value = cookie.slice(cut+1);
+    cookies[name] = value;
+  });
+
+  return cookies;
+}
+
+/**
+ * Do these cookies carry enough information to identify the user?
+ * @param {Object} cookies cookie name-value pairs
+ * @return {Boolean}
+ */
+function hasCookieTracking(cookies) {
+  if (!cookies || Object.getOwnPropertyNames(cookies).length < 1) {
+    return false;
+  }
+  return cookieClassifier.classifyCookies(cookies, MAX_COOKIE_ENTROPY).tracking;
+}
+
+/**
+ * The names of the cookies that carry the most information, as examples of
+ * what an origin tracks users with.
+ * @param {Object} cookies cookie name-value pairs
+ * @return {Array} cookie names
+ */
+function getEvidenceCookies(cookies) {
+  return cookieClassifier.classifyCookies(cookies).cookies.
+    sort(function(a, b) { return b.bits - a.bits; }).
+    slice(0, MAX_EVIDENCE_COOKIES).
+    map(function(cookie) { return cookie.name; });
+}
+
+/**
+ * Which kind of tracking gave a request away, if any. Cookies come with the
+ * request; everything else has to be detected beforehand, from content
+ * scripts and earlier responses.
+ * @param {Object} cookies cookie name-value pairs sent or set by the request
+ * @param {Object} detected (optional) what the origin was caught doing {
+ *   supercookie: Boolean,
+ *   fingerprinting: String, // "canvas", "webgl", "audio", "enumeration",
+ *                           // "fonts" or null
+ *   cookiesync: Boolean,
+ *   pixel: Boolean,
+ *   etag: Boolean
+ * }
+ * @return {String} "cookie", "supercookie", "canvas", "webgl", "audio",
+ *   "enumeration", "fonts", "cookiesync", "pixel", "etag" or null
+ */
+function getTrackingSignal(cookies, detected) {
+  detected = detected || {};
+  if (hasCookieTracking(cookies)) {
+    return "cookie";
+  }
+  if (detected.supercookie) {
+    return "supercookie";
+  }
+  if (detected.fingerprinting) {
+    return detected.fingerprinting;
+  }
+  if (detected.cookiesync) {
+    return "cookiesync";
+  }
+  if (detected.pixel) {
+    return "pixel";
+  }
+  if (detected.etag) {
+    return "etag";
+  }
+  return null;
+}
+
+/**
+ * What to do about a request, given how it gave itself away.
+ * @param {String} signal see getTrackingSignal
+ * @param {Boolean} whitelisted is the request on the preloaded whitelist?
+ * @return {String} "notracking", "cookieblock" or "noaction"
+ */
+function getAction(signal, whitelisted) {
+  if (!signal) {
+    return "notracking";
+  }
+  return whitelisted ? "cookieblock" : "noaction";
+}
+
+/**
+ * Has this observation (an originFrequency[origin][parentOrigin] entry)
+ * stopped counting towards the tracking score?
+ * @param {Object} observation { firstSeen: Integer, lastSeen: Integer }
+ * @param {Integer} now timestamp to compare against
+ * @param {Integer} decayWindow in ms, 0 if observations never expire
+ * @return {Boolean}
+ */
+function isExpired(observation, now, decayWindow) {
+  if (!decayWindow) { return false; }
+  return (now - observation.lastSeen) > decayWindow;
+}
+
+/**
+ * Record that a third party origin was seen on a first party, and what gave
+ * it away.
+ * @param {Object} store originFrequency or originFrequencyPrivate
+ * @param {String} origin
+ * @param {String} parentOrigin
+ * @param {Object} evidence (optional) { signal: String, bits: Number }
+ * @param {Integer} now timestamp of the observation
+ */
+function recordObservation(store, origin, parentOrigin, evidence, now) {
+  if (!(origin in store)) {
+    store[origin] = {};
+  }
+  let observation = store[origin][parentOrigin];
+  if (observation && typeof observation === "object") {
+    observation.lastSeen = now;
+  } else {
+    observation = store[origin][parentOrigin] =
+      { firstSeen: now, lastSeen: now };
+  }
+  if (evidence && evidence.signal) {
+    let signals = observation.signals = observation.signals || {};
+    signals[evidence.signal] = evidence.signal === "cookie" ?
+      Math.max(signals.cookie || 0, evidence.bits || 0) : true;
+  }
+}
+
+/**
+ * How much one first party counts towards a third party's tracking score:
+ * the weight of the strongest signal seen there. Observations recorded
+ * without a signal count as cookie tracking.
+ * @param {Object} observation an originFrequency[origin][parentOrigin] entry
+ * @return {Object} { signal: String, score: Number }
+ */
+function getObservationScore(observation) {
+  let best = null;
+  let signals = observation.signals || {};
+  for (let signal in signals) {
+    if (!signals.hasOwnProperty(signal)) { continue; }
+    let score = SIGNAL_WEIGHTS.hasOwnProperty(signal) ?
+      SIGNAL_WEIGHTS[signal] : 1;
+    if (signal === "cookie" && signals.cookie >= HIGH_ENTROPY_COOKIE_BITS) {
+      score += HIGH_ENTROPY_COOKIE_BONUS;
+    }
+    if (!best || score > best.score) {
+      best = { signal: signal, score: score };
+    }
+  }
+  return best || { signal: "cookie", score: SIGNAL_WEIGHTS.cookie };
+}
+
+/**
+ * Add up how strongly a third party looks like a tracker, from what it was
+ * seen doing on each first party, recently enough to count. Private and
+ * non-private sessions both count, unless told otherwise.
+ * @param {Object} storage holds originFrequency and originFrequencyPrivate
+ * @param {String} origin
+ * @param {Object} options {
+ *   threshold: Number,    // (optional) the score that gets an origin blocked
+ *   decayWindow: Integer, // (optional) see isExpired
+ *   now: Integer,         // (optional) timestamp to compare against
+ *   stores: Array         // (optional) which of PREVALENCE_STORES count
+ * }
+ * @return {Object} {
+ *   score: Number,         // the total
+ *   threshold: Number,     // the score that gets an origin blocked
+ *   firstParties: Integer, // how many first parties contributed
+ *   signals: Object        // how much of the score each signal contributed
+ * }
+ */
+function getTrackingScore(storage, origin, options) {
+  options = options || {};
+  let now = options.now || Date.now();
+  let result = {
+    score: 0,
+    threshold: options.threshold || DEFAULT_SCORE_THRESHOLD,
+    firstParties: 0,
+    signals: {}
+  };
+  (options.stores || PREVALENCE_STORES).forEach(function(store) {
+    let parents = storage[store] && storage[store][origin];
+    for (let parentOrigin in parents) {
+      if (!parents.hasOwnProperty(parentOrigin) ||
+          isExpired(parents[parentOrigin], now, options.decayWindow)) {
+        continue;
+      }
+      let observation = getObservationScore(parents[parentOrigin]);
+      result.score += observation.score;
+      result.firstParties++;
+      result.signals[observation.signal] =
+        (result.signals[observation.signal] || 0) + observation.score;
+    }
+  });
+  return result;
+}
+
+exports.SIGNAL_WEIGHTS = SIGNAL_WEIGHTS;
+exports.DEFAULT_SCORE_THRESHOLD = DEFAULT_SCORE_THRESHOLD;
+exports.PREVALENCE_STORES = PREVALENCE_STORES;
+exports.parseCookieString = parseCookieString;
+exports.hasCookieTracking = hasCookieTracking;
+exports.getEvidenceCookies = getEvidenceCookies;
+exports.getTrackingSignal = getTrackingSignal;
+exports.getAction = getAction;
+exports.isExpired = isExpired;
+exports.recordObservation = recordObservation;
+exports.getObservationScore = getObservationScore;
+exports.getTrackingScore = getTrackingScore;
@@ -19,6 +19,9 @@
 
 const { Cc, Ci } = require("chrome");
 const ContentPolicy = require("./contentPolicy");
+// After contentPolicy: bounceTracker -> heuristicBlocker -> ui would otherwise
+// load contentPolicy while ui is only partly loaded
+const bounceTracker = require("./bounceTracker");
 const cookieUtils = require("./cookieUtils");
 const { data } = require("sdk/self");
 const events = require("sdk/system/events");
@@ -34,6 +37,7 @@ const progressListener = require("./progressListener");
 const socialWidgetHandler = require("./socialWidgetHandler");
 const { storage } = require("sdk/simple-storage");
 const tabs = require("sdk/tabs");
+const trackerEvidence = require("./trackerEvidence");
 const userStorage = require("./userStorage");
 const utils = require("./utils");
 const windows = require('sdk/windows').browserWindows;
@@ -73,8 +77,9 @@ var httpResponseObserver =
 
 /**
  *  http-on-modify-request:
- *    updates heuristics, checks if cookieblock is needed, strips referers,
- *    checks if current page is disabled
+ *    updates heuristics (including cookie syncing found in the request URL or
+ *    body), checks if cookieblock is needed, strips referers, checks if
+ *    current page is disabled
  */
 function onModifyRequest(event) {
   let channel = event.subject.QueryInterface(Ci.nsIHttpChannel);
@@ -89,7 +94,14 @@ function onModifyRequest(event) {
   // have a nice way to get the top window from a channel.
   let aWin = utils.getTopWindowForChannel(channel);
 
+  // Check whether the site being navigated to posts a DNT policy before its
+  // third parties start loading.
+  if (bounceTracker.isTopLevelDocument(channel)) {
+    policyCheck.checkFirstPartyPolicy(channel.URI.host);
+  }
+
   let cookieblock = ContentPolicy.Policy.shouldCookieblockRequest(channel.URI, aWin);
+  onTopLevelDocument(channel, aWin, false);
   if ( ignoreRequest(channel, false)) { return; }
 
   // If pb is disabled on the current page or if the third-party request is
@@ -100,8 +112,10 @@ function onModifyRequest(event) {
     return;
   }
 
-  // Update the heuristic blocker
+  // Update the heuristic blocker. Cookie syncs show in what gets sent, so
+  // they're only looked for here.
   if (utils.isHeuristicEnabled()) {
+    heuristicBlocker.updateCookieSyncForChannel(channel, aWin);
     heuristicBlocker.updateHeuristicsForChannel(channel, aWin);
   }
 
@@ -111,6 +125,7 @@ function onModifyRequest(event) {
     // Clear referer for all requests where we would clobber cookies.
     channel.setRequestHeader("Referer", "", false);
     channel.setRequestHeader("Cookie", "", false);
+    stripCacheValidators(channel, false);
   }
 }
 
@@ -120,7 +135,9 @@ function onModifyRequest(event) {
  *  should show them the third party cookies that have been rejected in the UI
  *  and do heuristic accounting so that we can fully block requests to tracking
  *  domains. The only sane way to do this seems to be by watching set-cookie
- *  headers, although that misses cookies set by js.
+ *  headers. Cookies set by js are caught by onCookieChanged instead.
+ *  This is also where tracking pixels show up, since we need the response's
+ *  content type and length to recognize them.
  */
 function onExamineResponse(channel) {
   // Block cookies from all DNT policy checks
@@ -133,6 +150,7 @@ function onExamineResponse(channel) {
   let aWin = utils.getTopWindowForChannel(channel);
 
   let cookieblock = ContentPolicy.Policy.shouldCookieblockRequest(channel.URI, aWin);
+  onTopLevelDocument(channel, aWin, true);
   if ( ignoreRequest(channel, true)) { return; }
 
   let cookieString;
@@ -143,14 +161,107 @@ function onExamineResponse(channel) {
   }
 
   if (utils.isHeuristicEnabled()) {
+    heuristicBlocker.rememberHttpCookies(channel, cookieString);
     heuristicBlocker.updateHeuristicsForChannel(channel, aWin, cookieString);
   }
   if (cookieblock){
     // Clear cookie for all requests where we would clobber cookies.
     channel.setResponseHeader("Set-Cookie", "", false);
+    stripCacheValidators(channel, true);
+  }
+}
+
+/**
+ * Top-level document loads are first-party, so ignoreRequest skips them. Watch
+ * them for bounce tracking (see bounceTracker.js) instead, and strip cookies
+ * when a navigation passes through a known bounce tracker.
+ * @param {nsIHttpChannel} channel
+ * @param {nsIDOMWindow} aWin
+ * @param {Boolean} response Is this a response channel?
+ */
+function onTopLevelDocument(channel, aWin, response) {
+  if (!utils.isHeuristicEnabled() ||
+      !bounceTracker.isTopLevelDocument(channel) ||
+      ContentPolicy.Policy.isDisabledRequest(channel, aWin) ||
+      ContentPolicy.Policy.isUserGreenRequest(channel.URI)) {
+    return;
+  }
+
+  let stripCookies = bounceTracker.shouldStripCookies(channel, aWin);
+  if (!response) {
+    if (stripCookies) {
+      channel.setRequestHeader("Referer", "", false);
+      channel.setRequestHeader("Cookie", "", false);
+    }
+    return;
+  }
+
+  let cookieString;
+  try {
+    cookieString = channel.getResponseHeader("set-cookie");
+  } catch (e) {
+    cookieString = null;
+  }
+  bounceTracker.onResponse(channel, aWin, cookieString);
+  if (stripCookies) {
+    channel.setResponseHeader("Set-Cookie", "", false);
+  }
+}
+
+/**
+ * ETags and Last-Modified dates can stand in for cookies: the browser sends
+ * them back in If-None-Match and If-Modified-Since. Strip them wherever we
+ * would clobber cookies. The cost is that these resources don't get
+ * revalidated from the cache.
+ * @param {nsIHttpChannel} channel
+ * @param {Boolean} response Is this a response channel?
+ */
+function stripCacheValidators(channel, response) {
+  if (response) {
+    channel.setResponseHeader("ETag", "", false);
+    channel.setResponseHeader("Last-Modified", "", false);
+  } else {
+    channel.setRequestHeader("If-None-Match", "", false);
+    channel.setRequestHeader("If-Modified-Since", "", false);
   }
 }
 
+/**
+ * cookie-changed:
+ *  Cookies set from js by third-party frames. We find the frame that set the
+ *  cookie, and the script if it's still on the stack, and do the same
+ *  heuristic accounting as for set-cookie headers.
+ */
+function onCookieChanged(event) {
+  if (!utils.isHeuristicEnabled()) { return; }
+  let cookie = event.subject;
+  try {
+    cookie = cookie.QueryInterface(Ci.nsICookie2);
+  } catch (e) {
+    // "cleared" and "batch-deleted" don't come with a single cookie
+    return;
+  }
+  if (!heuristicBlocker.isScriptCookie(cookie, event.data)) { return; }
+
+  // Get this while the script that set the cookie is still running
+  let scriptUrl = utils.getCallingScriptURL();
+
+  let frame = heuristicBlocker.getFrameForScriptCookie(cookie);
+  if (!frame) { return; }
+
+  // Same exceptions as ignoreRequest, plus disabled sites
+  let location = utils.makeURI(frame.document.URL);
+  if (userStorage.isDisabledSite(frame.top.document.URL, frame.top) ||
+      ContentPolicy.Policy.isDomainException(location, frame.top) ||
+      ContentPolicy.Policy.isUserGreenRequest(location) ||
+      ContentPolicy.Policy.isUserYellowRequest(location) ||
+      ContentPolicy.Policy.isUserRedRequest(location)) {
+    return;
+  }
+
+  heuristicBlocker.updateHeuristicsForScriptCookie(cookie, frame, scriptUrl);
+}
+
 /**
  * Needed because Firefox treats domain-specific cookie behavior as exceptions
  * to the default cookie behavior. If the user's default cookie behavior is
@@ -196,6 +307,7 @@ var ignoreRequest = function(channel, response) {
       channel.setRequestHeader("Referer", "", false);
       channel.setRequestHeader("Cookie", "", false);
     }
+    stripCacheValidators(channel, response);
     return true;
   }
 
@@ -218,10 +330,11 @@ function enable() {
   userStorage.init();
   privateBrowsing.init();
 
+  // The preloaded whitelist and DNT policies apply with learning off too
+  userStorage.sync();
+  policyCheck.init();
   if (utils.isHeuristicEnabled()) {
     heuristicBlocker.init();
-    userStorage.sync();
-    policyCheck.init();
   }
 
   if (isSocialWidgetReplacementEnabled()) {
@@ -242,6 +355,7 @@ function enable() {
   events.on("http-on-modify-request", onModifyRequest, false);
   events.on("last-pb-context-exited", privateBrowsing.cleanup, false);
   events.on("content-document-global-created", onContentDocumentGlobalCreated, false);
+  events.on("cookie-changed", onCookieChanged, false);
   /* For some reason the sdk/events api doesn't work with the examine-response event
    * so we have to do things the old fashioned way.
    */
@@ -288,12 +402,14 @@ function enable() {
     });
   }
 
+  updateFingerprintingOptions();
   pageMod.PageMod({
     // attachTo: ["existing", "frame"], // TODO
     include: "*",
     // exclude: userStorage.disabledSitesArray(), // TODO: this only gets called when the addon gets loaded and doesn't respond to changes
     contentScriptFile: [data.url("supercookie.js"), data.url("fingerprinting.js")],
     contentScriptWhen: "start",
+    contentScriptOptions: fingerprintingOptions,
     onAttach: function (worker) {
       worker.port.on('fpReport', function (report) {
         if (Array.isArray(report)) {
@@ -322,6 +438,55 @@ function enable() {
   });
 }
 
+// Options for the fingerprinting content script. Page-mod workers get a copy
+// as they attach, so keeping this object up to date is how new documents
+// learn about canvas fingerprinters found since startup.
+let fingerprintingOptions = {};
+
+/**
+ * Refresh the fingerprinting content script options from prefs and from the
+ * canvas fingerprinters we know about.
+ */
+function updateFingerprintingOptions() {
+  fingerprintingOptions.enumerationThreshold = prefs.enumerationThreshold;
+  fingerprintingOptions.fontThreshold = prefs.fontThreshold;
+  fingerprintingOptions.canvasDefense = prefs.canvasDefense;
+  fingerprintingOptions.canvasFingerprinters = getCanvasFingerprinters();
+}
+
+/**
+ * Base domains of scripts caught canvas fingerprinting that should get fake
+ * data back when the canvas defense is on. Origins the user allowed are left
+ * alone. The list goes into every page, private or not, so only what was
+ * learned outside private windows is used.
+ * @return {Array}
+ */
+function getCanvasFingerprinters() {
+  if (prefs.canvasDefense === "off") { return []; }
+  return trackerEvidence.withSignal("canvas").filter(function(origin) {
+    return !(storage.userGreen && storage.userGreen.hasOwnProperty(origin));
+  });
+}
+
+/**
+ * Show an origin a content script caught tracking as tracking in the tab's
+ * popup, and count it on the badge.
+ * @param {Tab} tab tab object containing the script
+ * @param {String} origin base domain of the script
+ * @param {nsIURI} scriptURI
+ */
+function showTrackingInTab(tab, origin, scriptURI) {
+  let win = utils.getWindowForSdkTab(tab);
+  let settings = pbUI.settingsMap.get(win);
+  if (settings && settings[origin] == "notracking") {
+    settings[origin] = "noaction";
+  }
+  // Update page action badge with current count
+  if (prefs.displayCounter) {
+    pbUI.updateCountForChannel({URI: scriptURI}, win);
+  }
+}
+
 /**
  * Record supercookie reported by a content script
  * @param {Tab} tab tab object containing the scirpt
@@ -339,18 +504,10 @@ function recordSupercookie(tab, report){
       console.log('\n******', report.scriptUrl,'HAS SUPERCOOKIES ON', tab.url, '\n');
       pbUI.settingsMap.supercookies = pbUI.settingsMap.supercookies || {};
       pbUI.settingsMap.supercookies[origin] = true;
-      heuristicBlocker.recordPrevalence(origin, parentOrigin, parentURI.host, tab);
-      //TODO: this works but its hella dumb
-      let channel = utils.getWindowForSdkTab(tab);
-      let settings =  pbUI.settingsMap.get(channel);
-      if(settings[origin] == 'notracking'){
-        settings[origin] = "noaction";
-      }
-      // Update page action badge with current count
-      if(prefs.displayCounter){
-        pbUI.updateCountForChannel({URI: scriptURI}, channel);
-      }
-      heuristicBlocker.recordPrevalence(origin, parentOrigin, parentURI.host, tab);
+      heuristicBlocker.recordPrevalence(origin, parentOrigin, parentURI.host, tab,
+                                        { signal: "supercookie",
+                                          scriptUrl: report.scriptUrl });
+      showTrackingInTab(tab, origin, scriptURI);
   }
 }
 
@@ -368,80 +525,205 @@ function recordFingerprinting(tab, report){
   if (utils.isThirdPartyURI(report.scriptUrl, tab.url) &&
     !userStorage.isDisabledSite(tab.url, tab) &&
     !ContentPolicy.Policy.isDomainException(scriptURI, tab.window) &&
-    report.extra && report.extra.canvas) {
-      if(!testCanvasFingerprint(origin, report)){ return; }
-      console.log('\n******', report.scriptUrl,'FINGERPRINTING CANVAS ON', tab.url, '\n');
-      heuristicBlocker.recordPrevalence(origin, parentOrigin, parentURI.host, tab);
-      //TODO: this works but its hella dumb
-      let channel = utils.getWindowForSdkTab(tab);
-      let settings =  pbUI.settingsMap.get(channel);
-      if(settings[origin] == 'notracking'){
-        settings[origin] = "noaction";
+    report.extra) {
+      let signal = null;
+      for (let api in FINGERPRINT_WRITE_READ) {
+        if (report.extra[api] && testWriteReadFingerprint(origin, api, report)) {
+          signal = api;
+        }
       }
-      // Update page action badge with current count
-      if(prefs.displayCounter){
-        pbUI.updateCountForChannel({URI: scriptURI}, channel);
+      if (!signal && report.extra.enumeration &&
+          testEnumerationFingerprint(origin, report)) {
+        signal = "enumeration";
       }
+      if (!signal && report.extra.fonts &&
+          testFontFingerprint(origin, report)) {
+        signal = "fonts";
+      }
+      if (!signal) { return; }
+      console.log('\n******', report.scriptUrl,'FINGERPRINTING', signal.toUpperCase(), 'ON', tab.url, '\n');
+      heuristicBlocker.recordPrevalence(origin, parentOrigin, parentURI.host, tab,
+                                        { signal: signal,
+                                          scriptUrl: report.scriptUrl });
+      if (signal === "canvas") {
+        updateFingerprintingOptions();
+      }
+      showTrackingInTab(tab, origin, scriptURI);
   }
 }
 
-function testCanvasFingerprint(script_origin, msg){
-  var CANVAS_WRITE = {
-    fillText: true,
-    strokeText: true
-  };
-  var CANVAS_READ = {
-    getImageData: true,
-    toDataURL: true
-  };
+/**
+ * Fingerprinting APIs where a script draws or generates something, then reads
+ * the result back. For WebGL, asking for the unmasked renderer counts as the
+ * write and getting it as the read.
+ */
+const FINGERPRINT_WRITE_READ = {
+  canvas: {
+    write: { fillText: true, strokeText: true },
+    read: { getImageData: true, toDataURL: true }
+  },
+  webgl: {
+    write: { drawArrays: true, drawElements: true, getExtension: true },
+    read: { readPixels: true, getParameter: true }
+  },
+  audio: {
+    write: { createOscillator: true, startRendering: true },
+    read: { getChannelData: true, getFloatFrequencyData: true,
+            getByteFrequencyData: true }
+  }
+};
+
+/**
+ * Decide whether a script is fingerprinting the browser with one of the
+ * FINGERPRINT_WRITE_READ APIs: it has to write first, then read back enough
+ * data.
+ * @param {String} script_origin base domain of the script
+ * @param {String} api "canvas", "webgl" or "audio"
+ * @param {Object} msg report from the page script
+ * @return {Boolean}
+ */
+function testWriteReadFingerprint(script_origin, api, msg){
+  var WRITE = FINGERPRINT_WRITE_READ[api].write;
+  var READ = FINGERPRINT_WRITE_READ[api].read;
 
   pbUI.settingsMap.canvasTracking = pbUI.settingsMap.canvasTracking || {};
 
   // initialize script TLD-level data
   if (!pbUI.settingsMap.canvasTracking.hasOwnProperty(script_origin)) {
-    pbUI.settingsMap.canvasTracking[script_origin] = {
-      canvas: {
-        fingerprinting: false,
-        write: false
-      }
-    };
+    pbUI.settingsMap.canvasTracking[script_origin] = {};
   }
   var scriptData = pbUI.settingsMap.canvasTracking[script_origin];
+  if (!scriptData.hasOwnProperty(api)) {
+    scriptData[api] = {
+      fingerprinting: false,
+      write: false
+    };
+  }
 
-  if (msg.extra.hasOwnProperty('canvas')) {
-    if (scriptData.canvas.fingerprinting) {
-      return true;
-    }
+  if (scriptData[api].fingerprinting) {
+    return true;
+  }
 
-    // if this script already had a canvas write
-    if (scriptData.canvas.write) {
-      // and if this is a canvas read
-      if (CANVAS_READ.hasOwnProperty(msg.prop)) {
-        // and it got enough data
-        if (msg.extra.width > 16 && msg.extra.height > 16) {
-          // let's call it fingerprinting
-          scriptData.canvas.fingerprinting = true;
-          return true;
-        }
+  // if this script already had a write
+  if (scriptData[api].write) {
+    // and if this is a read
+    if (READ.hasOwnProperty(msg.prop)) {
+      // and it got enough data (not all reads are sized)
+      if (!msg.extra.hasOwnProperty('width') ||
+          (msg.extra.width > 16 && msg.extra.height > 16)) {
+        // let's call it fingerprinting
+        scriptData[api].fingerprinting = true;
+        return true;
       }
-      // this is a canvas write
-    } else if (CANVAS_WRITE.hasOwnProperty(msg.prop)) {
-      scriptData.canvas.write = true;
-      return false;
     }
-  } 
+    // this is a write
+  } else if (WRITE.hasOwnProperty(msg.prop)) {
+    scriptData[api].write = true;
+  }
+  return false;
+}
+
+/**
+ * Decide whether a script that read a lot of navigator, plugin, screen and
+ * timezone properties is fingerprinting the browser.
+ * @param {String} script_origin base domain of the script
+ * @param {Object} msg report from the page script, with extra.props listing
+ *   the distinct properties the script read
+ * @return {Boolean}
+ */
+function testEnumerationFingerprint(script_origin, msg){
+  if (!Array.isArray(msg.extra.props)) { return false; }
+
+  pbUI.settingsMap.enumerationTracking = pbUI.settingsMap.enumerationTracking || {};
+
+  // the page script only reports scripts past the threshold, but don't take
+  // its word for it
+  let props = [];
+  msg.extra.props.forEach(function(prop) {
+    if (typeof prop === "string" && props.indexOf(prop) === -1) {
+      props.push(prop);
+    }
+  });
+  if (props.length < prefs.enumerationThreshold) { return false; }
+
+  pbUI.settingsMap.enumerationTracking[script_origin] = {
+    fingerprinting: true,
+    props: props
+  };
+  return true;
+}
+
+/**
+ * Decide whether a script that measured text in a lot of font families is
+ * checking which fonts are installed.
+ * @param {String} script_origin base domain of the script
+ * @param {Object} msg report from the page script, with extra.count the
+ *   number of distinct font families measured
+ * @return {Boolean}
+ */
+function testFontFingerprint(script_origin, msg){
+  if (!(msg.extra.count >= prefs.fontThreshold)) { return false; }
+
+  pbUI.settingsMap.fontTracking = pbUI.settingsMap.fontTracking || {};
+  pbUI.settingsMap.fontTracking[script_origin] = {
+    fingerprinting: true,
+    families: msg.extra.count
+  };
+  return true;
+}
+
+// Maps frame elements to the host and cookieblock status of the last document
+// loaded in them
+let frameDocuments = new WeakMap();
+
+/**
+ * window.name survives a frame navigating to another site, so a cookieblocked
+ * tracker could use it to hand an identifier over. Reset it to the name the
+ * embedding page gave the frame whenever the frame navigates across origins
+ * into or out of a cookieblocked document.
+ * @param {nsIDOMWindow} aWin the frame's new window
+ * @param {String} host the host of the new document
+ * @param {Boolean} cookieblock whether the new document is cookieblocked
+ */
+function resetWindowName(aWin, host, cookieblock) {
+  let frame = aWin.frameElement;
+  if (!frame) { return; }
+  let previous = frameDocuments.get(frame);
+  frameDocuments.set(frame, { host: host, cookieblock: cookieblock });
+  if (previous && previous.host !== host &&
+      (previous.cookieblock || cookieblock) && aWin.name) {
+    console.log("Resetting window.name of frame navigating from", previous.host,
+                "to", host);
+    aWin.name = frame.getAttribute("name") || "";
+  }
+}
+
+// Windows that clobbercookie.js was loaded into
+let clobberedWindows = new WeakSet();
+
+function clobberWindow(aWin) {
+  var subScriptLoader = Cc["@mozilla.org/moz/jssubscript-loader;1"]
+                        .getService(Ci.mozIJSSubScriptLoader);
+  subScriptLoader.loadSubScript(data.url("clobbercookie.js"), aWin.document);
+  clobberedWindows.add(aWin);
 }
 
 function onContentDocumentGlobalCreated(event){
   let aWin = event.subject; //nsIDOMWindow
   let host = aWin.document.location.host;
-  if(!host || host === "") {return;}
+  if(!host || host === "") {
+    // about:blank frames share their parent's origin, and with it the real
+    // storage that was clobbered in the parent
+    if (aWin.parent !== aWin && clobberedWindows.has(aWin.parent)) {
+      clobberWindow(aWin);
+    }
+    return;
+  }
   let topHost = aWin.top.document.location.host;
   let cookieblock = ContentPolicy.Policy.shouldCookieblockRequest(aWin.document.location, aWin);
+  resetWindowName(aWin, host, cookieblock);
   if(host != topHost && cookieblock ){
-    var subScriptLoader = Cc["@mozilla.org/moz/jssubscript-loader;1"]
-                          .getService(Ci.mozIJSSubScriptLoader);
-    subScriptLoader.loadSubScript(data.url("clobbercookie.js"), aWin.document);
+    clobberWindow(aWin);
   }
 }
 
@@ -463,6 +745,7 @@ function disable() {
   events.off("http-on-modify-request", onModifyRequest, false);
   events.off("last-pb-context-exited", privateBrowsing.cleanup, false);
   events.off("content-document-global-created", onContentDocumentGlobalCreated, false);
+  events.off("cookie-changed", onCookieChanged, false);
   httpResponseObserver.unregister();
 }
 
@@ -504,8 +787,10 @@ function clearData(clearPrefs, clearStorage) {
   if (clearStorage) {
     // delete everything in localStorage - must init again to use later!
     heuristicBlocker.clear();
+    bounceTracker.clear();
     userStorage.clear();
     cookieUtils.resetAll();
+    policyCheck.clearFirstPartyPolicies();
   }
   if (clearPrefs) {
     const prefService = require('sdk/preferences/service');
@@ -543,3 +828,4 @@ exports.clearData = clearData;
 exports.emptyData = emptyData;
 exports.onExamineResponse = onExamineResponse;
 exports.onQuitApplicationGranted = onQuitApplicationGranted;
+exports.updateFingerprintingOptions = updateFingerprintingOptions;
@@ -3,48 +3,264 @@
 const Request = require('sdk/request').Request;
 const { storage } = require("sdk/simple-storage");
 const { setInterval } = require("sdk/timers");
+const { data } = require("sdk/self");
 
 const { SHA1 } = require("./sha1");
 const { WorkerQueue } = require("./WorkerQueue");
 const utils = require("./utils");
 const cookieUtils = require("./cookieUtils");
+const signatures = require("./signatures");
+const updateSources = require("./updateSources");
 const prefs = require('sdk/simple-prefs').prefs;
 
+/**
+ * policyHashes: acceptable DNT policies, by name, ex:
+ *   { "dnt-policy-1.0.txt": "<SHA1 hash of the policy text>" }
+ * policyHashesVersion: version of the list policyHashes came from. The list
+ * ships in data/dnt-policies.json and gets replaced by newer signed lists
+ * from eff.org, see applySignedPolicyList.
+ *
+ * policyWhitelist: hosts whitelisted because they post an acceptable DNT
+ * policy, ex:
+ *   { "example.com": { added: 1442000000000,
+ *                      lastVerified: 1443000000000,
+ *                      userGreen: true } }
+ * userGreen says whether whitelisting the host is what put it in userGreen,
+ * so revoking the whitelist only takes back what it gave. Entries from
+ * before this was tracked are just `true`, and are treated as if it did.
+ *
+ * policyRevocations: the most recent hosts that lost their place on the
+ * whitelist, newest first, for the options page:
+ *   [ { host: "example.com", time: 1444000000000, status: 404 } ]
+ */
+
+// Public key (base64 DER) the list is signed with: EFF's release signing key,
+// the updateKey in release-utils/install-template.rdf
+const gPolicyListKey = "MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA6MR8W/galdxnpGqBsYbqOzQb2eyW15YFjDDEMI0ZOzt8f504obNs920lDnpPD2/KqgsfjOgw2K7xWDJIj/18xUvWPk3LDkrnokNiRkA3KOx3W6fHycKL+zID7zy+xZYBuh2fLyQtWV1VGQ45iNRp9+Zo7rH86cdfgkdnWTlNSHyTLW9NbXvyv/E12bppPcEvgCTAQXgnDVJ0/sqmeiijn9tTFh03aM+R2V/21h8aTraAS24qiPCz6gkmYGC8yr6mglcnNoYbsLNYZ69zF1XHcXPduCPdPdfLlzVlKK1/U7hkA28eG3BIAMh6uJYBRJTpiGgaGdPd7YekUB8S6cy+CQIDAQAB";
+
+// Requests for DNT policies. Checks of the site the user is visiting go
+// first, then checks of newly blocked sites, then the periodic rechecks.
+let queue = new WorkerQueue("policyChecks");
+
+// Revocations kept for the options page
+const gMaxRevocations = 20;
+
+/**
+ * firstPartyPolicies: first party hosts checked for a DNT policy, ex:
+ *   { "news.com": { valid: true, checked: 1442000000000 } }
+ * valid is null while the check is in flight. Only kept in memory, since it
+ * amounts to a list of sites the user visited.
+ */
+let firstPartyPolicies = {};
+
+// How long a first party's policy check result is trusted for, in ms
+const gFirstPartyPolicyTTL = 1000 * 60 * 60 * 24;
+// A check still in flight after this long is given up on, in ms
+const gFirstPartyPolicyTimeout = 1000 * 60;
+
 function init() {
   console.log('init policy check');
-  // Initialize persistent storage
+  // Initialize persistent storage. Fall back on the bundled hashes until a
+  // newer signed list is downloaded, so this works offline too.
   if (!storage.policyHashes) {
     storage.policyHashes = {};
   }
+  loadBundledPolicyHashes();
   if (!storage.policyWhitelist) {
     storage.policyWhitelist = {};
   }
+  if (!storage.policyRevocations) {
+    storage.policyRevocations = [];
+  }
+
+  queue.setHandler("blockedSite", checkBlockedSitePolicy);
+  queue.setHandler("whitelistedSite", checkWhitelistedSitePolicy);
+  queue.setHandler("firstParty", function(data, done) {
+    checkPrivacyPolicy(data.host, function(success, status) {
+      done(null, { success: success, status: status });
+    });
+  });
 
   // refresh hashes on startup and every 24 hours
-  updatePrivacyPolicyHashes();
-  setInterval(updatePrivacyPolicyHashes, 1000*60*60*24);
+  updateSources.setFetcher("policyHashes", updatePrivacyPolicyHashes);
+  syncPolicyHashes();
+  setInterval(syncPolicyHashes, 1000*60*60*24);
 
   // Recheck heuristic-blocked sites on startup and every 24 hours.
   recheckBlockedSites();
   setInterval(recheckBlockedSites, 1000*60*60*24);
+
+  // Recheck whitelisted sites on startup and every 24 hours.
+  recheckWhitelistedSites();
+  setInterval(recheckWhitelistedSites, 1000*60*60*24);
+}
+
+/**
+ * Use the list of acceptable DNT policy hashes that ships with Privacy Badger,
+ * unless we already have a list at least as new. Lists stored before they
+ * were versioned weren't signed either, so they get replaced.
+ */
+function loadBundledPolicyHashes() {
+  let list;
+  try {
+    list = readPolicyList(data.load("dnt-policies.json"));
+  } catch (e) {
+    console.error("Couldn't load the bundled DNT policy hashes: " + e);
+    return;
+  }
+  if (list && isNewerPolicyList(list) && !isEmptyPolicyList(list)) {
+    storePolicyList(list);
+  }
+}
+
+/**
+ * Read a list of acceptable DNT policy hashes, ex:
+ *   { "version": 2, "hashes": { "dnt-policy-1.0.txt": "<SHA1 hash>" } }
+ * @param {String} text
+ * @return {Object} the list, or null if it isn't one
+ */
+function readPolicyList(text) {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (!list || typeof list.version !== "number" || list.version % 1 !== 0 ||
+      !list.hashes || typeof list.hashes !== "object") {
+    return null;
+  }
+  for (let name in list.hashes) {
+    if (list.hashes.hasOwnProperty(name) &&
+        !/^[0-9a-f]{40}$/.test(list.hashes[name])) {
+      return null;
+    }
+  }
+  return list;
+}
+
+/**
+ * Is this list newer than the one we have?
+ * @param {Object} list see readPolicyList
+ * @return {Boolean}
+ */
+function isNewerPolicyList(list) {
+  let version = storage.policyHashesVersion;
+  return typeof version !== "number" || list.version > version;
+}
+
+/**
+ * Would taking this list leave us with no acceptable policies, when we have
+ * some? Then it's broken, whatever its version.
+ * @param {Object} list see readPolicyList
+ * @return {Boolean}
+ */
+function isEmptyPolicyList(list) {
+  return Object.keys(list.hashes).length === 0 &&
+    Object.keys(storage.policyHashes || {}).length > 0;
+}
+
+function storePolicyList(list) {
+  storage.policyHashes = list.hashes;
+  storage.policyHashesVersion = list.version;
+}
+
+/**
+ * Read a signed list of acceptable DNT policy hashes. The list is signed as a
+ * string, so it gets verified byte for byte:
+ *   { "list": "{\"version\":2,\"hashes\":{...}}",
+ *     "signature": "<base64 RSA-SHA1 signature of list>" }
+ * @param {String} text the signed list
+ * @param {String} key (optional) base64 DER public key to verify it with,
+ *   instead of gPolicyListKey
+ * @return {Object} the list, see readPolicyList, or null if it doesn't check
+ *   out
+ */
+function readSignedPolicyList(text, key) {
+  let signed;
+  try {
+    signed = JSON.parse(text);
+  } catch (e) {
+    console.error("DNT policy hash list isn't JSON");
+    return null;
+  }
+  if (!signed || typeof signed.list !== "string" ||
+      !signatures.verifySignature(key || gPolicyListKey, signed.signature,
+                                  signed.list)) {
+    console.error("DNT policy hash list isn't properly signed, ignoring it");
+    return null;
+  }
+  let list = readPolicyList(signed.list);
+  if (!list) {
+    console.error("Signed DNT policy hash list is malformed, ignoring it");
+  }
+  return list;
+}
+
+/**
+ * Take a list of acceptable DNT policy hashes if it's newer than ours.
+ * @param {Object} list see readPolicyList
+ * @return {Boolean} whether the list was taken
+ */
+function applyPolicyList(list) {
+  if (!isNewerPolicyList(list)) {
+    console.debug("DNT policy hash list version " + list.version +
+                  " is not newer than what we have");
+    return false;
+  }
+  if (isEmptyPolicyList(list)) {
+    console.error("DNT policy hash list version " + list.version +
+                  " is empty, keeping the one we have");
+    return false;
+  }
+  storePolicyList(list);
+  console.debug("Updated set of privacy policy hashes to version " +
+                list.version);
+  return true;
+}
+
+/**
+ * Take a signed list of acceptable DNT policy hashes, if it checks out and is
+ * newer than the one we have.
+ * @param {String} text the signed list, see readSignedPolicyList
+ * @param {String} key (optional) base64 DER public key to verify it with,
+ *   instead of gPolicyListKey
+ * @return {Boolean} whether the list was taken
+ */
+function applySignedPolicyList(text, key) {
+  let list = readSignedPolicyList(text, key);
+  return !!list && applyPolicyList(list);
+}
+
+function syncPolicyHashes() {
+  updateSources.fetch("policyHashes",
+                      { priority: WorkerQueue.PRIORITY_BACKGROUND });
 }
 
 /**
  * Updates the list of acceptable DNT policy hashes.
+ * @param {Function} callback (optional) called with whether the fetch worked
  */
-function updatePrivacyPolicyHashes() {
-  let url = "https://www.eff.org/files/dnt-policies.json";
+function updatePrivacyPolicyHashes(callback) {
+  let url = updateSources.getUrl("policyHashes");
   let request = Request({
     url: url,
     contentType: "application/json",
     onComplete: function(response) {
-      let status = Number(response.status);
-      if (status >= 200 && status < 300) {
-        console.debug("Updated set of privacy policy hashes");
-        storage.policyHashes = response.json;
+      let list = null;
+      let error = null;
+      if (updateSources.isSuccess(url, response)) {
+        list = readSignedPolicyList(response.text);
+        error = list ? null : "not a properly signed list";
       } else {
-        console.error("Request for list of policy hashes returned with status code: " + status);
+        console.error("Request for list of policy hashes returned with status code: " + response.status);
+      }
+      let success = updateSources.recordFetch("policyHashes", url, response,
+                                              error);
+      if (list) {
+        applyPolicyList(list);
       }
+      if (typeof callback === "function") { callback(success); }
     },
     anonymous: true
   }).get();
@@ -71,24 +287,109 @@ function whitelistHostFromPrivacyPolicy(host) {
     cookieUtils.resetCookie(host);
   }
   console.debug(loggingVerb, host, "to user whitelist due to privacy policy");
-  if (!storage["userRed"][host] && !storage["userYellow"][host]) {
+  let addedUserGreen = false;
+  if (!storage["userRed"][host] && !storage["userYellow"][host] &&
+      !storage["userGreen"][host]) {
     storage["userGreen"][host] = true;
+    addedUserGreen = true;
   }
-  storage.policyWhitelist[host] = true;
+  let entry = storage.policyWhitelist[host];
+  if (entry) {
+    // Already whitelisted, just rechecked
+    if (typeof entry !== "object") {
+      entry = storage.policyWhitelist[host] = { added: null, userGreen: true };
+    }
+    entry.userGreen = entry.userGreen || addedUserGreen;
+  } else {
+    entry = storage.policyWhitelist[host] =
+      { added: Date.now(), userGreen: addedUserGreen };
+  }
+  entry.lastVerified = Date.now();
 }
 
 /**
- * Periodically checks whether sites have put up (TODO: also check removed)
- * acceptable DNT policies.
+ * Take a host off the policy whitelist because its DNT policy is gone or no
+ * longer acceptable, and put it back the way the heuristic would have it.
+ * User choices are left alone: the host only leaves userGreen if the
+ * whitelist put it there, and gets blocked again only if the user hasn't
+ * picked a setting for it since.
+ * @param {String} host
+ * @param {Integer} status HTTP status the policy check got, for the record
  */
-function recheckBlockedSite(host) {
-  console.log("Rechecking blocked site:", host);
-  checkPrivacyPolicy(host, function(success) {
+function revokeHostFromPrivacyPolicy(host, status) {
+  let entry = storage.policyWhitelist[host];
+  if (!entry) { return; }
+  console.log("Revoking", host, "from user whitelist, DNT policy check " +
+              "returned with status " + status);
+  delete storage.policyWhitelist[host];
+
+  if (entry === true || entry.userGreen) {
+    delete storage.userGreen[host];
+  }
+
+  // Required here to avoid a circular dependency
+  let heuristicBlocker = require("./heuristicBlocker");
+  let origin = utils.getBaseDomain(utils.makeURI("https://" + host + "/"));
+  let userSet = storage.userGreen[host] || storage.userYellow[host] ||
+    storage.userRed[host];
+  if (!userSet && origin === host && storage.blockedOrigins &&
+      utils.isHeuristicEnabled()) {
+    let score = heuristicBlocker.getTrackingScore(origin);
+    if (score.score >= score.threshold) {
+      console.log("Re-blocking", origin, "with tracking score", score.score);
+      storage.blockedOrigins[origin] = true;
+    }
+  }
+
+  storage.policyRevocations.unshift({
+    host: host,
+    time: Date.now(),
+    status: status
+  });
+  storage.policyRevocations.length =
+    Math.min(storage.policyRevocations.length, gMaxRevocations);
+}
+
+/**
+ * Did a policy check get an answer? Network and server errors, or not being
+ * able to check at all, are worth retrying later.
+ * @param {Integer} status see checkPrivacyPolicy
+ * @return {Boolean}
+ */
+function isDefinitive(status) {
+  return typeof status === "number" && status > 0 && status < 500;
+}
+
+/**
+ * Whitelist a blocked site if it has put up an acceptable DNT policy. Queue
+ * handler, see WorkerQueue.
+ */
+function checkBlockedSitePolicy(data, done) {
+  checkPrivacyPolicy(data.host, function(success, status) {
     if (success) {
-      whitelistHostFromPrivacyPolicy(host);
+      whitelistHostFromPrivacyPolicy(data.host);
     }
+    done(isDefinitive(status) ? null : "status " + status);
   });
 }
+
+/**
+ * Check whether a site the heuristic just blocked posts an acceptable DNT
+ * policy.
+ * @param {String} host
+ */
+function checkBlockedSite(host) {
+  queue.push("blockedSite", { host: host }, { host: host });
+}
+
+/**
+ * Periodically checks whether sites have put up acceptable DNT policies.
+ */
+function recheckBlockedSite(host) {
+  console.log("Rechecking blocked site:", host);
+  queue.push("blockedSite", { host: host },
+             { host: host, priority: WorkerQueue.PRIORITY_BACKGROUND });
+}
 function recheckBlockedSites() {
   var oneDay =  1000 * 60 * 60 * 24;
   var minInterval = oneDay * 7;
@@ -109,20 +410,116 @@ function recheckBlockedSites() {
   }
 
   storage.nextBlockedSitesCheck = Date.now() + utils.getRandomNumber(minInterval, maxInterval);
-  let q = new WorkerQueue(1000);
-  let blockedOrigins = Object.keys(storage.blockedOrigins);
-  for (let i = 0; i < blockedOrigins.length; i++) {
-    console.log("Pushing", blockedOrigins[i], "to recheck queue");
-    // Avoid common loop+closures gotcha!
-    let origin = blockedOrigins[i];
-    q.push(function () {
-      recheckBlockedSite(origin);
-      // WorkerQueue will repeatedly attempt to retry a job until it returns true.
-      // We just want to do one check every interval.
-      return true;
-    });
+  Object.keys(storage.blockedOrigins).forEach(recheckBlockedSite);
+}
+
+/**
+ * Periodically checks whether whitelisted sites still post an acceptable
+ * DNT policy. Only a policy that is gone (404, 410) or that doesn't match
+ * any of the acceptable hashes gets a site revoked; network errors and
+ * server errors are retried, see WorkerQueue. Queue handler.
+ */
+function checkWhitelistedSitePolicy(data, done) {
+  let host = data.host;
+  checkPrivacyPolicy(host, function(success, status) {
+    if (host in storage.policyWhitelist) {
+      if (success) {
+        let entry = storage.policyWhitelist[host];
+        if (typeof entry === "object") {
+          entry.lastVerified = Date.now();
+        }
+      } else if (status === 404 || status === 410 ||
+                 (status >= 200 && status < 300)) {
+        revokeHostFromPrivacyPolicy(host, status);
+      }
+    }
+    done(isDefinitive(status) ? null : "status " + status);
+  });
+}
+function recheckWhitelistedSite(host) {
+  console.log("Rechecking whitelisted site:", host);
+  queue.push("whitelistedSite", { host: host },
+             { host: host, priority: WorkerQueue.PRIORITY_BACKGROUND });
+}
+function recheckWhitelistedSites() {
+  var oneDay =  1000 * 60 * 60 * 24;
+  var minInterval = oneDay * 3;
+  var maxInterval = oneDay * 7;
+
+  if(!storage.nextWhitelistedSitesCheck){
+    storage.nextWhitelistedSitesCheck = Date.now() + utils.getRandomNumber(minInterval, maxInterval);
+  }
+  if(Date.now() < storage.nextWhitelistedSitesCheck){
+    return;
   }
 
+  storage.nextWhitelistedSitesCheck = Date.now() + utils.getRandomNumber(minInterval, maxInterval);
+  Object.keys(storage.policyWhitelist).forEach(recheckWhitelistedSite);
+}
+
+/**
+ * The design doc says: "If a first-party domain posts the policy, this
+ * applies to all third parties embedded on that domain". Check the policy of
+ * a site the user navigates to, unless we already know it. The result is
+ * only used once the check is done, so the first visit to a site with a
+ * policy still gets its third parties blocked.
+ * @param {String} host the first party's host
+ */
+function checkFirstPartyPolicy(host) {
+  if (!prefs.firstPartyDNTPolicy || !host) {
+    return;
+  }
+  let now = Date.now();
+  let cached = firstPartyPolicies[host];
+  if (cached) {
+    let maxAge = cached.valid === null ?
+      gFirstPartyPolicyTimeout : gFirstPartyPolicyTTL;
+    if (now - cached.checked < maxAge) {
+      return;
+    }
+  }
+
+  let entry = firstPartyPolicies[host] = { valid: null, checked: now };
+  // Not persisted: that would keep a list of the sites the user visited
+  queue.push("firstParty", { host: host }, {
+    host: host,
+    priority: WorkerQueue.PRIORITY_USER,
+    persist: false,
+    maxAttempts: 1,
+    callback: function(error, result) {
+      if (firstPartyPolicies[host] !== entry) {
+        return;
+      }
+      if (error || !isDefinitive(result.status)) {
+        // We couldn't check, try again next visit
+        delete firstPartyPolicies[host];
+        return;
+      }
+      console.debug("First party", host, result.success ? "has" :
+                    "doesn't have", "an acceptable DNT policy");
+      entry.valid = result.success;
+    }
+  });
+}
+
+/**
+ * Has this first party posted an acceptable DNT policy, as far as we know?
+ * @param {String} host the first party's host
+ * @return {Boolean}
+ */
+function hasFirstPartyPolicy(host) {
+  if (!prefs.firstPartyDNTPolicy || !host) {
+    return false;
+  }
+  let cached = firstPartyPolicies[host];
+  return !!(cached && cached.valid);
+}
+
+/**
+ * Forget all first party policy checks, ex: when clearing data.
+ */
+function clearFirstPartyPolicies() {
+  firstPartyPolicies = {};
 }
 
 function policyHashesExist() {
@@ -140,6 +537,12 @@ function isValidPolicy(policy) {
   return false;
 }
 
+/**
+ * Fetch a host's DNT policy and compare it against the acceptable hashes.
+ * @param {String} host
+ * @param {Function} callback called with whether the policy is acceptable,
+ *   and the HTTP status of the response (undefined if there was no request)
+ */
 function checkPrivacyPolicy(host, callback) {
   let success = false;
   let policyUrl = "https://" + host + "/.well-known/dnt-policy.txt";
@@ -157,12 +560,12 @@ function checkPrivacyPolicy(host, callback) {
       let status = Number(response.status);
       if (status >= 200 && status < 300) {
         success = isValidPolicy(response.text);
-        callback(success);
+        callback(success, status);
         return;
       } else {
         console.error("Policy document request to " + policyUrl +
                       " returned with status " + status);
-        callback(success);
+        callback(success, status);
       }
     },
     anonymous: true
@@ -171,4 +574,11 @@ function checkPrivacyPolicy(host, callback) {
 
 exports.init = init;
 exports.checkPrivacyPolicy = checkPrivacyPolicy;
+exports.applySignedPolicyList = applySignedPolicyList;
 exports.whitelistHostFromPrivacyPolicy = whitelistHostFromPrivacyPolicy;
+exports.revokeHostFromPrivacyPolicy = revokeHostFromPrivacyPolicy;
+exports.recheckWhitelistedSite = recheckWhitelistedSite;
+exports.checkBlockedSite = checkBlockedSite;
+exports.checkFirstPartyPolicy = checkFirstPartyPolicy;
+exports.hasFirstPartyPolicy = hasFirstPartyPolicy;
+exports.clearFirstPartyPolicies = clearFirstPartyPolicies;
@@ -9,9 +9,7 @@ const prefsService = require("sdk/preferences/service");
 const { PrefsTarget } = require("sdk/preferences/event-target");
 const { pbPanel } = require("./ui");
 const main = require("./main");
-const utils = require("./utils");
 const heuristicBlocker = require("./heuristicBlocker");
-const userStorage = require("./userStorage");
 const events = require("sdk/system/events");
 
 /*
@@ -139,19 +137,16 @@ function cleanupCookiePrefListener() {
 
 const prefs = require("sdk/simple-prefs");
 
-// To be used if we ever add an option to disable heuristic blocker
+// Turning learning off pauses it rather than forgetting anything: the learned
+// blocklist stays in storage but only user rules, the preloaded whitelist and
+// the bundled blocklist are used (see userStorage.getBlockedOrigins) until
+// learning is turned back on. Observations don't age while it's paused.
 function heuristicToggle() {
   if (prefs.prefs.heuristicEnabled) {
     heuristicBlocker.init();
-    userStorage.init();
-    userStorage.sync();
-    return;
+  } else {
+    heuristicBlocker.cleanup();
   }
-  let nb = utils.getMostRecentWindow().gBrowser.getNotificationBox();
-  nb.appendNotification("WARNING: This feature is not fully supported yet and will probably cause unexpected behavior!",
-                        "notify-id", require("sdk/self").data.url("icons/badger-32.png"),
-                         nb.PRIORITY_CRITICAL_HIGH);
-
 }
 let initHeuristicEnabledPrefListener = function() {
   prefs.on("heuristicEnabled", heuristicToggle);
@@ -160,12 +155,26 @@ let cleanupHeuristicEnabledPrefListener = function() {
   prefs.removeListener("heuristicEnabled", heuristicToggle);
 };
 
+// New documents pick up the canvas defense mode through the fingerprinting
+// content script options
+function canvasDefenseChanged() {
+  main.updateFingerprintingOptions();
+}
+let initCanvasDefensePrefListener = function() {
+  prefs.on("canvasDefense", canvasDefenseChanged);
+};
+let cleanupCanvasDefensePrefListener = function() {
+  prefs.removeListener("canvasDefense", canvasDefenseChanged);
+};
+
 // Events to be fired on global enable/disable from within main
 exports.init = function() {
   initCookiePrefListener();
   initHeuristicEnabledPrefListener();
+  initCanvasDefensePrefListener();
 };
 exports.cleanup = function() {
   cleanupCookiePrefListener();
   cleanupHeuristicEnabledPrefListener();
+  cleanupCanvasDefensePrefListener();
 };
@@ -11,7 +11,8 @@ let init = exports.init = function() {
 };
 
 let cleanup = exports.cleanup = function() {
-  ["disabledSitesPrivate", "originFrequencyPrivate"].
+  ["disabledSitesPrivate", "domainExceptionsPrivate", "originFrequencyPrivate",
+   "trackerEvidencePrivate", "blockedOriginsPrivate", "bounceHopsPrivate"].
     forEach(function(store) {
       storage[store] = {};
   });
@@ -20,11 +21,15 @@ let cleanup = exports.cleanup = function() {
 };
 
 
+// Is this window or tab private? False if there's no context.
+let isPrivateContext = exports.isPrivateContext = function(context) {
+  return context ? isPrivate(context) : false;
+};
+
 // Helper for modifying different storage items depending on Private Browsing
 let doDependingOnIsPrivate = exports.doDependingOnIsPrivate =
   function(storageName, action, context) {
-  let isPrivateContext = context ? isPrivate(context) : false;
-  if (isPrivateContext) {
+  if (isPrivateContext(context)) {
     storageName = storageName + "Private";
   }
   return action(storage[storageName]);
@@ -7,6 +7,7 @@
 const { Class } = require("sdk/core/heritage");
 const { Cc, Ci } = require("chrome");
 const { Unknown } = require("sdk/platform/xpcom");
+const bounceTracker = require("./bounceTracker");
 const socialWidgetHandler = require("./socialWidgetHandler");
 const pbUI = require("./ui");
 const utils = require("./utils");
@@ -18,12 +19,14 @@ const utils = require("./utils");
 let onLocationChange = function(win) {
   socialWidgetHandler.clearTemporaryUnblocksByWin(win);
   pbUI.clearSettingsMap(win);
+  bounceTracker.clearChain(win);
 };
 
 /**
  * nsIWebProgressListener implementation in order to track which cookies
- * were blocked for each DOM window. Resets settingsMap in ui and tempUnblockMap
- * in socialWidgetHandler on location change.
+ * were blocked for each DOM window. Resets settingsMap in ui, tempUnblockMap
+ * in socialWidgetHandler and redirect chains in bounceTracker on location
+ * change.
  */
 let PBListener = Class({
 
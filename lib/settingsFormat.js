@@ -0,0 +1,444 @@
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The settings file users export from one browser and import into another.
+ * Shared between the Firefox addon (loaded as a CommonJS module from
+ * lib/userStorage.js) and the Chrome extension (loaded as a background
+ * script, available as require("settingsFormat")), so it must not depend on
+ * any browser APIs. Each browser reads its own storage into "settings" and
+ * writes them back; this file only deals with the format:
+ *
+ *   {
+ *     "format": "privacybadger-settings",
+ *     "version": 1,
+ *     "exported": 1445000000000,         // ms since the epoch
+ *     "browser": "firefox",              // or "chrome", informational only
+ *     "userRed": [ "tracker.com" ],      // hosts the user blocked,
+ *     "userYellow": [ "cdn.com" ],       // cookieblocked
+ *     "userGreen": [ "widgets.com" ],    // and allowed
+ *     "disabledSites": [ "example.com" ],
+ *     "domainExceptions": { "www.example.com": { "disqus.com": "noaction" } },
+ *     "prefs": { "socialWidgetReplacementEnabled": true },
+ *     "learned": {                       // optional
+ *       "blockedOrigins": [ "tracker.com" ],
+ *       "originFrequency": {
+ *         "tracker.com": { "example.com": { "firstSeen": 1445000000000,
+ *                                           "lastSeen": 1445000000000 } }
+ *       }
+ *     }
+ *   }
+ *
+ * Prefs are named as in Firefox. A browser ignores the prefs it doesn't have.
+ * originFrequency observations may also be true, which is what the Chrome
+ * port's seenThirdParties stores.
+ */
+(function(exports) {
+"use strict";
+
+var FORMAT = "privacybadger-settings";
+
+// Bump when the format changes in a way older versions can't read, and
+// teach upgrade() about the old version
+var VERSION = 1;
+
+var HOST_LISTS = [ "userRed", "userYellow", "userGreen", "disabledSites" ];
+
+var HOST_RE = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*\.?$/i;
+
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Sorted, without duplicates.
+ * @param {Array} list of strings
+ * @return {Array}
+ */
+function uniq(list) {
+  var seen = {};
+  return list.filter(function(item) {
+    if (hasOwn(seen, item)) { return false; }
+    seen[item] = true;
+    return true;
+  }).sort();
+}
+
+/**
+ * Turn the settings a browser read from its storage into a settings file.
+ * @param {Object} settings { userRed, userYellow, userGreen, disabledSites,
+ *   domainExceptions, prefs, learned } as in the format. learned is left out
+ *   if it's missing.
+ * @param {String} browser "firefox" or "chrome"
+ * @return {String} JSON
+ */
+function serialize(settings, browser) {
+  var doc = {
+    format: FORMAT,
+    version: VERSION,
+    exported: Date.now(),
+    browser: browser
+  };
+  var normalized = normalize(settings);
+  for (var key in normalized) {
+    if (hasOwn(normalized, key)) {
+      doc[key] = normalized[key];
+    }
+  }
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * Fill in what's missing and sort host lists, so settings compare the same
+ * however they were read.
+ * @param {Object} settings
+ * @return {Object} a copy
+ */
+function normalize(settings) {
+  var result = {};
+  HOST_LISTS.forEach(function(list) {
+    result[list] = uniq((settings[list] || []).map(function(host) {
+      return host.toLowerCase();
+    }));
+  });
+  result.domainExceptions = copy(settings.domainExceptions || {});
+  result.prefs = copy(settings.prefs || {});
+  if (settings.learned) {
+    result.learned = {
+      blockedOrigins: uniq(settings.learned.blockedOrigins || []),
+      originFrequency: copy(settings.learned.originFrequency || {})
+    };
+  }
+  return result;
+}
+
+/**
+ * Bring a settings file from an older version of the format up to date.
+ * There's only been one version so far.
+ * @param {Object} doc
+ * @return {Object}
+ */
+function upgrade(doc) {
+  return doc;
+}
+
+function validateHostList(doc, list) {
+  if (!hasOwn(doc, list)) { return null; }
+  if (!Array.isArray(doc[list])) {
+    return list + " isn't a list";
+  }
+  for (var i = 0; i < doc[list].length; i++) {
+    if (typeof doc[list][i] !== "string" || !HOST_RE.test(doc[list][i])) {
+      return list + " has something that isn't a domain: " +
+        JSON.stringify(doc[list][i]);
+    }
+  }
+  return null;
+}
+
+function validateDomainExceptions(exceptions) {
+  if (!isObject(exceptions)) {
+    return "domainExceptions isn't an object";
+  }
+  for (var site in exceptions) {
+    if (!hasOwn(exceptions, site)) { continue; }
+    if (!HOST_RE.test(site) || !isObject(exceptions[site])) {
+      return "domainExceptions has a bad entry for " + JSON.stringify(site);
+    }
+    for (var tracker in exceptions[site]) {
+      if (hasOwn(exceptions[site], tracker) &&
+          (!HOST_RE.test(tracker) || exceptions[site][tracker] !== "noaction")) {
+        return "domainExceptions has a bad exception on " + site;
+      }
+    }
+  }
+  return null;
+}
+
+function validatePrefs(prefs) {
+  if (!isObject(prefs)) {
+    return "prefs isn't an object";
+  }
+  for (var name in prefs) {
+    if (hasOwn(prefs, name) &&
+        [ "boolean", "number", "string" ].indexOf(typeof prefs[name]) === -1) {
+      return "pref " + name + " has a bad value";
+    }
+  }
+  return null;
+}
+
+function validateLearned(learned) {
+  if (!isObject(learned)) {
+    return "learned isn't an object";
+  }
+  var error = validateHostList(learned, "blockedOrigins");
+  if (error) { return "learned " + error; }
+  var frequency = learned.originFrequency;
+  if (frequency === undefined) { return null; }
+  if (!isObject(frequency)) {
+    return "learned originFrequency isn't an object";
+  }
+  for (var origin in frequency) {
+    if (!hasOwn(frequency, origin)) { continue; }
+    if (!HOST_RE.test(origin) || !isObject(frequency[origin])) {
+      return "learned originFrequency has a bad entry for " +
+        JSON.stringify(origin);
+    }
+    for (var firstParty in frequency[origin]) {
+      if (!hasOwn(frequency[origin], firstParty)) { continue; }
+      var seen = frequency[origin][firstParty];
+      if (seen !== true && !(isObject(seen) &&
+          typeof seen.firstSeen === "number" &&
+          typeof seen.lastSeen === "number")) {
+        return "learned originFrequency has a bad observation of " + origin;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a settings file.
+ * @param {String} text
+ * @return {Object} { settings } or, if it isn't a settings file this version
+ *   can read, { error } saying why
+ */
+function parse(text) {
+  var doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return { error: "The file isn't JSON" };
+  }
+  if (!isObject(doc) || doc.format !== FORMAT) {
+    return { error: "The file isn't a Privacy Badger settings file" };
+  }
+  if (typeof doc.version !== "number" || doc.version < 1 ||
+      Math.floor(doc.version) !== doc.version) {
+    return { error: "The file has no valid version" };
+  }
+  if (doc.version > VERSION) {
+    return { error: "The file was exported by a newer Privacy Badger " +
+                    "(format version " + doc.version + ")" };
+  }
+  doc = upgrade(doc);
+
+  var error = null;
+  HOST_LISTS.forEach(function(list) {
+    error = error || validateHostList(doc, list);
+  });
+  error = error ||
+    (hasOwn(doc, "domainExceptions") &&
+     validateDomainExceptions(doc.domainExceptions)) ||
+    (hasOwn(doc, "prefs") && validatePrefs(doc.prefs)) ||
+    (hasOwn(doc, "learned") && validateLearned(doc.learned));
+  if (error) {
+    return { error: "The file is damaged: " + error };
+  }
+  return { settings: normalize(doc) };
+}
+
+/**
+ * Merge two originFrequency maps. An observation seen in both keeps the
+ * earliest firstSeen and the latest lastSeen.
+ */
+function mergeFrequency(current, incoming) {
+  var result = copy(current);
+  for (var origin in incoming) {
+    if (!hasOwn(incoming, origin)) { continue; }
+    result[origin] = result[origin] || {};
+    for (var firstParty in incoming[origin]) {
+      if (!hasOwn(incoming[origin], firstParty)) { continue; }
+      var ours = result[origin][firstParty];
+      var theirs = incoming[origin][firstParty];
+      if (isObject(ours) && isObject(theirs)) {
+        result[origin][firstParty] = {
+          firstSeen: Math.min(ours.firstSeen, theirs.firstSeen),
+          lastSeen: Math.max(ours.lastSeen, theirs.lastSeen)
+        };
+      } else if (!ours || isObject(theirs)) {
+        result[origin][firstParty] = copy(theirs);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * The settings an import would leave the browser with.
+ * @param {Object} current settings read from the browser
+ * @param {Object} incoming settings from parse()
+ * @param {String} mode "merge": keep what's there and add what's in the
+ *   file, the file winning where they disagree. "replace": take the file's
+ *   settings instead, except learned data, which is only replaced if the
+ *   file has some.
+ * @return {Object} settings
+ */
+function combine(current, incoming, mode) {
+  current = normalize(current);
+  incoming = normalize(incoming);
+  if (mode === "replace") {
+    if (!incoming.learned && current.learned) {
+      incoming.learned = current.learned;
+    }
+    // Prefs that aren't in the file keep their value
+    for (var name in current.prefs) {
+      if (hasOwn(current.prefs, name) && !hasOwn(incoming.prefs, name)) {
+        incoming.prefs[name] = current.prefs[name];
+      }
+    }
+    return incoming;
+  }
+
+  var result = normalize(current);
+  // A host gets the color the file gives it
+  var colored = {};
+  [ "userRed", "userYellow", "userGreen" ].forEach(function(list) {
+    incoming[list].forEach(function(host) { colored[host] = true; });
+  });
+  HOST_LISTS.forEach(function(list) {
+    var kept = result[list];
+    if (list !== "disabledSites") {
+      kept = kept.filter(function(host) { return !hasOwn(colored, host); });
+    }
+    result[list] = uniq(kept.concat(incoming[list]));
+  });
+  for (var site in incoming.domainExceptions) {
+    if (!hasOwn(incoming.domainExceptions, site)) { continue; }
+    result.domainExceptions[site] = result.domainExceptions[site] || {};
+    for (var tracker in incoming.domainExceptions[site]) {
+      if (hasOwn(incoming.domainExceptions[site], tracker)) {
+        result.domainExceptions[site][tracker] =
+          incoming.domainExceptions[site][tracker];
+      }
+    }
+  }
+  for (var pref in incoming.prefs) {
+    if (hasOwn(incoming.prefs, pref)) {
+      result.prefs[pref] = incoming.prefs[pref];
+    }
+  }
+  if (incoming.learned) {
+    var learned = result.learned ||
+      { blockedOrigins: [], originFrequency: {} };
+    result.learned = {
+      blockedOrigins: uniq(learned.blockedOrigins.
+        concat(incoming.learned.blockedOrigins)),
+      originFrequency: mergeFrequency(learned.originFrequency,
+                                      incoming.learned.originFrequency)
+    };
+  }
+  return result;
+}
+
+function diffLists(before, after) {
+  var inBefore = {};
+  var inAfter = {};
+  before.forEach(function(item) { inBefore[item] = true; });
+  after.forEach(function(item) { inAfter[item] = true; });
+  return {
+    added: after.filter(function(item) { return !hasOwn(inBefore, item); }),
+    removed: before.filter(function(item) { return !hasOwn(inAfter, item); })
+  };
+}
+
+function exceptionList(exceptions) {
+  var list = [];
+  for (var site in exceptions) {
+    if (!hasOwn(exceptions, site)) { continue; }
+    for (var tracker in exceptions[site]) {
+      if (hasOwn(exceptions[site], tracker)) {
+        list.push(tracker + " on " + site);
+      }
+    }
+  }
+  return list.sort();
+}
+
+function observationList(frequency) {
+  var list = [];
+  for (var origin in frequency) {
+    if (!hasOwn(frequency, origin)) { continue; }
+    for (var firstParty in frequency[origin]) {
+      if (hasOwn(frequency[origin], firstParty)) {
+        list.push(origin + " on " + firstParty);
+      }
+    }
+  }
+  return list.sort();
+}
+
+/**
+ * What an import would change, to show the user before they go ahead.
+ * @param {Object} before settings read from the browser
+ * @param {Object} after settings from combine()
+ * @return {Object} { userRed, userYellow, userGreen, disabledSites,
+ *   domainExceptions, blockedOrigins, originFrequency: { added, removed },
+ *   prefs: [ { name, from, to } ], changes: Integer }. Domain exceptions and
+ *   observations are listed as "tracker on site".
+ */
+function diff(before, after) {
+  before = normalize(before);
+  after = normalize(after);
+  var result = { changes: 0 };
+  HOST_LISTS.forEach(function(list) {
+    result[list] = diffLists(before[list], after[list]);
+  });
+  result.domainExceptions = diffLists(exceptionList(before.domainExceptions),
+                                      exceptionList(after.domainExceptions));
+  var learnedBefore = before.learned ||
+    { blockedOrigins: [], originFrequency: {} };
+  var learnedAfter = after.learned || learnedBefore;
+  result.blockedOrigins = diffLists(learnedBefore.blockedOrigins,
+                                    learnedAfter.blockedOrigins);
+  result.originFrequency = diffLists(
+    observationList(learnedBefore.originFrequency),
+    observationList(learnedAfter.originFrequency));
+  HOST_LISTS.concat([ "domainExceptions", "blockedOrigins",
+                      "originFrequency" ]).forEach(function(list) {
+    result.changes += result[list].added.length + result[list].removed.length;
+  });
+
+  result.prefs = [];
+  for (var name in after.prefs) {
+    if (hasOwn(after.prefs, name) && before.prefs[name] !== after.prefs[name]) {
+      result.prefs.push({ name: name, from: before.prefs[name],
+                          to: after.prefs[name] });
+    }
+  }
+  result.changes += result.prefs.length;
+  return result;
+}
+
+exports.FORMAT = FORMAT;
+exports.VERSION = VERSION;
+exports.serialize = serialize;
+exports.parse = parse;
+exports.combine = combine;
+exports.diff = diff;
+
+})(typeof exports !== "undefined" ? exports :
+   (require.scopes.settingsFormat = {}));
@@ -1,4 +1,3 @@
-<<<<<<< HEAD
 /**
  *
  *  Secure Hash Algorithm (SHA1)
@@ -172,32 +171,32 @@ function SHA1(msg) {
 
 	return temp.toLowerCase();
 }
-=======
-const { Cc, Ci } = require("chrome");
 
 /**
- *
- *  Secure Hash Algorithm (SHA1)
- *  See https://developer.mozilla.org/en-US/docs/Mozilla/Tech/XPCOM/Reference/Interface/nsICryptoHash
- *
- **/
+ * The Firefox addon loads this file as a CommonJS module, and hashes with
+ * nsICryptoHash instead: Utf8Encode above turns \r\n into \n first.
+ * See https://developer.mozilla.org/en-US/docs/Mozilla/Tech/XPCOM/Reference/Interface/nsICryptoHash
+ */
+if (typeof exports !== "undefined") {
+  exports.SHA1 = function(msg) {
+    var Cc = require("chrome").Cc, Ci = require("chrome").Ci;
+    var converter = Cc["@mozilla.org/intl/scriptableunicodeconverter"].createInstance(Ci.nsIScriptableUnicodeConverter);
+    converter.charset = "UTF-8";
+    var bytes = converter.convertToByteArray(msg, {});
 
-function SHA1(msg) {
-  let converter = Cc["@mozilla.org/intl/scriptableunicodeconverter"].createInstance(Ci.nsIScriptableUnicodeConverter);
-  converter.charset = "UTF-8";
-  let bytes = converter.convertToByteArray(msg, {});
+    var ch = Cc["@mozilla.org/security/hash;1"].createInstance(Ci.nsICryptoHash);
+    ch.init(ch.SHA1);
+    ch.update(bytes, bytes.length);
+    var hash = ch.finish(false);
 
-  let ch = Cc["@mozilla.org/security/hash;1"].createInstance(Ci.nsICryptoHash);
-  ch.init(ch.SHA1);
-  ch.update(bytes, bytes.length);
-  let hash = ch.finish(false);
+    function toHexString(charCode) {
+      return ("0" + charCode.toString(16)).slice(-2);
+    }
 
-  function toHexString(charCode) {
-    return ("0" + charCode.toString(16)).slice(-2);
-  }
-
-  return [toHexString(hash.charCodeAt(i)) for (i in hash)].join("");
+    var hex = [];
+    for (var i = 0; i < hash.length; i++) {
+      hex.push(toHexString(hash.charCodeAt(i)));
+    }
+    return hex.join("");
+  };
 }
-
-exports.SHA1 = SHA1;
->>>>>>> 062ef5088890cfa5967254a9732f81c4d9dcac00
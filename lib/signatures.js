@@ -0,0 +1,69 @@
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Verifies RSA-SHA1 signatures. lib/rsa.js and lib/jsbn.js are plain scripts
+// shared with the Chrome extension, so they get loaded into a sandbox of
+// their own, with the globals they expect.
+
+"use strict";
+
+const { sandbox, load } = require("sdk/loader/sandbox");
+const base64 = require("sdk/base64");
+const { SHA1 } = require("./sha1");
+
+let gVerifySignature = null;
+
+/**
+ * Load rsa.js the first time it's needed.
+ * @return {Function} verifySignature(key, signature, data) from rsa.js
+ */
+function getVerifier() {
+  if (!gVerifySignature) {
+    let sb = sandbox();
+    sb.SHA1 = SHA1;
+    sb.atob = function(data) { return base64.decode(data); };
+    // jsbn.js sniffs the browser to pick its multiplication routine
+    sb.navigator = { appName: "Netscape" };
+    [ "jsbn.js", "rsa.js" ].forEach(function(file) {
+      load(sb, module.uri.replace(/[^\/]*$/, file));
+    });
+    gVerifySignature = sb.verifySignature;
+  }
+  return gVerifySignature;
+}
+
+/**
+ * Is this a valid signature of the data?
+ * @param {String} key base64 DER encoded RSA public key
+ * @param {String} signature base64 RSA-SHA1 (PKCS #1 v1.5) signature
+ * @param {String} data what was signed
+ * @return {Boolean}
+ */
+function verifySignature(key, signature, data) {
+  if (!key || !signature || typeof data !== "string") {
+    return false;
+  }
+  try {
+    return getVerifier()(key, signature, data);
+  } catch (e) {
+    // Malformed base64 gets this far
+    console.error("Couldn't verify signature: " + e);
+    return false;
+  }
+}
+
+exports.verifySignature = verifySignature;
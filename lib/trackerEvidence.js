@@ -0,0 +1,234 @@
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Keeps a small record of why each third party was considered tracking, so
+// the panel and options page can answer "why was this blocked?"
+
+"use strict";
+
+const { storage } = require("sdk/simple-storage");
+const { doDependingOnIsPrivate } = require("./privateBrowsing");
+
+/**
+ * trackerEvidence: A map of third party base domains to a list of the most
+ * recent observations of tracking behavior, one per first party and signal.
+ * ex:
+ *   { "tracker.com": [ { firstParty: "example.com",
+ *                        signal: "cookie",
+ *                        firstSeen: 1439500000000,
+ *                        lastSeen: 1442000000000,
+ *                        cookies: [ "uid" ],
+ *                        scriptUrl: null } ] }
+ *
+ * Signals are "cookie", "supercookie", "canvas", "webgl", "audio",
+ * "cookiesync", "pixel", "etag", "bounce", "enumeration" and "fonts".
+ *
+ * Observations made in private windows go in trackerEvidencePrivate, which is
+ * cleared along with the other private stores.
+ */
+const stored = [ "trackerEvidence",
+                 "trackerEvidencePrivate" ];
+
+// Observations kept per third party. The least recently seen go first.
+const gMaxEvidence = 10;
+// Example cookie names kept per observation
+const gMaxCookieNames = 3;
+// Script URLs can be huge, don't store more than this
+const gMaxScriptUrlLength = 256;
+
+exports.init = function() {
+  stored.forEach(function(store) {
+    if (!storage[store]) { storage[store] = {}; }
+  });
+};
+
+exports.empty = function() {
+  stored.forEach(function(store) {
+    storage[store] = {};
+  });
+};
+
+/**
+ * Record why a third party origin looked like it was tracking the user on a
+ * first party.
+ *
+ * @param {String} origin base domain of the third party
+ * @param {String} firstParty base domain of the page it was seen on
+ * @param {Object} details {
+ *   signal: String,     // what gave it away, see above
+ *   cookies: Array,     // (optional) names of the identifying cookies
+ *   scriptUrl: String   // (optional) the script that did it
+ * }
+ * @param {Object} context window or tab, to tell if this was a private session
+ */
+function record(origin, firstParty, details, context) {
+  if (!origin || !details || !details.signal) { return; }
+  let now = Date.now();
+
+  doDependingOnIsPrivate("trackerEvidence", function(store) {
+    if (!store) { return; }
+    let entries = store[origin] = store[origin] || [];
+
+    let entry = null;
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].firstParty === firstParty &&
+          entries[i].signal === details.signal) {
+        entry = entries[i];
+        break;
+      }
+    }
+    if (!entry) {
+      entry = {
+        firstParty: firstParty,
+        signal: details.signal,
+        firstSeen: now,
+        lastSeen: now,
+        cookies: [],
+        scriptUrl: null
+      };
+      entries.push(entry);
+    }
+
+    entry.lastSeen = now;
+    (details.cookies || []).forEach(function(name) {
+      if (entry.cookies.length < gMaxCookieNames &&
+          entry.cookies.indexOf(name) === -1) {
+        entry.cookies.push(name);
+      }
+    });
+    if (details.scriptUrl) {
+      entry.scriptUrl = details.scriptUrl.substr(0, gMaxScriptUrlLength);
+    }
+
+    if (entries.length > gMaxEvidence) {
+      entries.sort(function(a, b) { return b.lastSeen - a.lastSeen; });
+      entries.length = gMaxEvidence;
+    }
+  }, context);
+}
+
+/**
+ * The stores to read for a session: private windows see what was learned in
+ * them on top of the rest, other windows never see private observations.
+ * @param {Boolean} forPrivateSession
+ * @return {Array} storage names
+ */
+function getStores(forPrivateSession) {
+  return forPrivateSession ? stored : [ "trackerEvidence" ];
+}
+
+/**
+ * All the evidence we have for a third party, most recent first.
+ * @param {String} origin base domain of the third party
+ * @param {Boolean} forPrivateSession include observations from private
+ *   windows
+ * @return {Array} observations, see trackerEvidence above
+ */
+function get(origin, forPrivateSession) {
+  let entries = [];
+  getStores(forPrivateSession).forEach(function(store) {
+    if (storage[store] && storage[store][origin]) {
+      entries = entries.concat(storage[store][origin]);
+    }
+  });
+  return entries.sort(function(a, b) { return b.lastSeen - a.lastSeen; });
+}
+
+/**
+ * Evidence for several third parties at once, for the UI.
+ * @param {Array} origins base domains
+ * @param {Boolean} forPrivateSession see get
+ * @return {Object} map of origin to observations, only for origins we have
+ *   evidence for
+ */
+function getAll(origins, forPrivateSession) {
+  let evidence = {};
+  origins.forEach(function(origin) {
+    let entries = get(origin, forPrivateSession);
+    if (entries.length > 0) {
+      evidence[origin] = entries;
+    }
+  });
+  return evidence;
+}
+
+/**
+ * Third parties we have seen giving off a given signal.
+ * @param {String} signal ex: "canvas"
+ * @param {Boolean} forPrivateSession see get
+ * @return {Array} base domains
+ */
+function withSignal(signal, forPrivateSession) {
+  let origins = [];
+  getStores(forPrivateSession).forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (!storage[store].hasOwnProperty(origin) ||
+          origins.indexOf(origin) !== -1) { continue; }
+      let found = storage[store][origin].some(function(entry) {
+        return entry.signal === signal;
+      });
+      if (found) { origins.push(origin); }
+    }
+  });
+  return origins;
+}
+
+/**
+ * Forget observations that haven't been repeated in maxAge ms.
+ * @param {Integer} maxAge in ms, 0 to keep everything
+ */
+function prune(maxAge) {
+  if (!maxAge) { return; }
+  let now = Date.now();
+  stored.forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (!storage[store].hasOwnProperty(origin)) { continue; }
+      let entries = storage[store][origin].filter(function(entry) {
+        return (now - entry.lastSeen) <= maxAge;
+      });
+      if (entries.length > 0) {
+        storage[store][origin] = entries;
+      } else {
+        delete storage[store][origin];
+      }
+    }
+  });
+}
+
+/**
+ * Move every observation forward in time, ex: by how long learning was
+ * paused, so they get pruned that much later.
+ * @param {Number} ms
+ */
+function postpone(ms) {
+  stored.forEach(function(store) {
+    for (let origin in storage[store]) {
+      if (storage[store].hasOwnProperty(origin)) {
+        storage[store][origin].forEach(function(entry) {
+          entry.lastSeen += ms;
+        });
+      }
+    }
+  });
+}
+
+exports.record = record;
+exports.get = get;
+exports.getAll = getAll;
+exports.withSignal = withSignal;
+exports.prune = prune;
+exports.postpone = postpone;
@@ -18,6 +18,10 @@ const tabs = require("sdk/tabs");
 const { getMostRecentBrowserWindow } = require("sdk/window/utils");
 const { id: addonID, data } = require("sdk/self");
 const contentPolicy = require('./contentPolicy');
+const trackerEvidence = require("./trackerEvidence");
+const policyCheck = require("./policyCheck");
+const updateSources = require("./updateSources");
+const privateBrowsing = require("./privateBrowsing");
 var version = require("./package.json").version;
 var preferences = require("sdk/simple-prefs").prefs;
 const { Ci } = require("chrome");
@@ -67,7 +71,80 @@ function emitRefresh() {
   let settings = getCurrentSettings();
   let seenComic = userStorage.getSeenComic();
   console.log("Showing panel with settings: "+JSON.stringify(settings));
-  pbPanel.port.emit("show-trackers", settings, storage, seenComic);
+  let isPrivate = privateBrowsing.isPrivateContext(tabs.activeTab);
+  let evidence = getEvidenceForHosts(Object.keys(settings), isPrivate);
+  let scores = getScoresForHosts(Object.keys(settings), isPrivate);
+  pbPanel.port.emit("show-trackers", settings, storage, seenComic, evidence,
+                    scores, hasFirstPartyPolicy(tabs.activeTab.url));
+}
+
+/**
+ * Does the site in this tab post a DNT policy, so its third parties aren't
+ * blocked? See policyCheck.checkFirstPartyPolicy.
+ * @param {String} url
+ * @return {Boolean}
+ */
+function hasFirstPartyPolicy(url) {
+  try {
+    return policyCheck.hasFirstPartyPolicy(utils.makeURI(url).host);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Base domain for a host from the settings, which is what the heuristic
+ * records things under.
+ * @param {String} host
+ * @return {String}
+ */
+function getBaseDomainForHost(host) {
+  try {
+    return utils.getBaseDomain(utils.makeURI("https://" + host + "/"));
+  } catch (e) {
+    return host;
+  }
+}
+
+/**
+ * Look up why each of these hosts was considered tracking, for the "why"
+ * view next to each slider. Evidence is recorded per base domain.
+ * @param {Array} hosts
+ * @param {Boolean} forPrivateSession whether this is for a private window
+ * @return {Object} map of host to observations (see lib/trackerEvidence.js),
+ *   only for hosts we have evidence for
+ */
+function getEvidenceForHosts(hosts, forPrivateSession) {
+  let evidence = {};
+  hosts.forEach(function(host) {
+    let entries = trackerEvidence.get(getBaseDomainForHost(host),
+                                      forPrivateSession);
+    if (entries.length > 0) {
+      evidence[host] = entries;
+    }
+  });
+  return evidence;
+}
+
+/**
+ * Look up the tracking score of each of these hosts, and what it's made of.
+ * @param {Array} hosts
+ * @param {Boolean} forPrivateSession whether this is for a private window
+ * @return {Object} map of host to score (see getTrackingScore in
+ *   lib/heuristicBlocker.js), only for hosts with a score
+ */
+function getScoresForHosts(hosts, forPrivateSession) {
+  // Required here to avoid a circular dependency
+  let heuristicBlocker = require("./heuristicBlocker");
+  let scores = {};
+  hosts.forEach(function(host) {
+    let score = heuristicBlocker.getTrackingScore(getBaseDomainForHost(host),
+                                                  forPrivateSession);
+    if (score.score > 0) {
+      scores[host] = score;
+    }
+  });
+  return scores;
 }
 
 // Called when user reports error
@@ -76,12 +153,13 @@ pbPanel.port.on("report", function(blob) {
   blob["url"] = url;
   blob["version"] = version;
   blob["fqdn"] = url.split("/",3)[2];
+  var reportUrl = updateSources.getUrl("bugReports");
   var report = Request({
-    url: "https://privacybadger.org/reporting",
+    url: reportUrl,
     content: JSON.stringify(blob),
     contentType: "application/json",
     onComplete: function(response) {
-        if(response.status == 200){
+        if(updateSources.recordFetch("bugReports", reportUrl, response)){
           pbPanel.port.emit("report-success");
         } else {
           pbPanel.port.emit("report-fail");
@@ -449,6 +527,34 @@ pageMod.PageMod({
       changedSettings = {};
       emitRcv(worker);
     });
+    worker.port.on("setUpdateSource", function(source) {
+      if (!updateSources.setUrl(source.name, source.url)) {
+        console.warn("Not a usable update source URL:", source.url);
+      }
+      emitRcv(worker);
+    });
+    worker.port.on("checkUpdateSources", function() {
+      updateSources.checkNow(function() {
+        emitRcv(worker);
+      });
+    });
+    worker.port.on("exportSettings", function(includeLearned) {
+      worker.port.emit("exportedSettings",
+                       userStorage.exportSettings(includeLearned));
+    });
+    worker.port.on("previewImport", function(file) {
+      worker.port.emit("importPreview",
+                       userStorage.previewImport(file.text, file.mode));
+    });
+    worker.port.on("importSettings", function(file) {
+      let error = userStorage.importSettings(file.text, file.mode);
+      if (!error) {
+        // Open pages show their old settings until they're reloaded
+        clearSettings();
+      }
+      worker.port.emit("importDone", error);
+      emitRcv(worker);
+    });
     worker.port.on("resetDomain", function(origin) {
       changedSettings[origin] = "reset";
       handleNewSettings(changedSettings, true);
@@ -461,10 +567,15 @@ pageMod.PageMod({
 
 function emitRcv(worker){
   var storage = userStorage.getAll();
+  var origins = loadOrigins(storage);
   worker.port.emit('recvSettings', {
     disabledSites: storage.disabledSites, 
     prefs: preferences, 
-    origins: loadOrigins(storage)
+    origins: origins,
+    evidence: getEvidenceForHosts(Object.keys(origins)),
+    scores: getScoresForHosts(Object.keys(origins)),
+    policyRevocations: storage.policyRevocations || [],
+    updateSources: updateSources.getAll()
   });
 }
 
@@ -474,16 +585,17 @@ function loadOrigins(storage){
   for(origin in storage.originFrequency){
     // If we have seen an origin it will at least be 'no action'
     origins[origin] = 'noaction';
-    // If it is in blockedOrigins it will at least be blocked
-    if(!!storage.blockedOrigins[origin]){
-      origins[origin] = 'block';
-    }
   } 
+  // If it is blocked (learned, or on the bundled list while learning is off)
+  // it will at least be blocked
+  userStorage.getBlockedOrigins().forEach(function(origin){
+    origins[origin] = 'block';
+  });
 
   for(origin in storage.preloads){
     let url = 'https://' + origin + '/';
     let baseDomain = utils.getBaseDomain(utils.makeURI(url));
-    if(!!storage.blockedOrigins[baseDomain]){
+    if(userStorage.isBlockedOrigin(baseDomain)){
       origins[origin] = 'cookieblock';
     }
   }
@@ -0,0 +1,256 @@
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Where Privacy Badger gets its remote lists from, and how the last fetch of
+// each went. Every URL can be pointed somewhere else from the options page,
+// ex: at a mirror, a local HTTP server or a file:// URL.
+
+"use strict";
+
+const { storage } = require("sdk/simple-storage");
+const prefs = require("sdk/simple-prefs").prefs;
+const { WorkerQueue } = require("./WorkerQueue");
+
+/**
+ * The remote sources. Each URL is kept in the pref named here, an empty pref
+ * meaning the default URL. Sources that get fetched register a fetcher (see
+ * setFetcher) so the options page can check them on demand.
+ */
+const SOURCES = {
+  preloads: {
+    title: "Yellowlist (domains to cookieblock instead of block)",
+    pref: "preloadURL",
+    defaultUrl: "https://www.eff.org/files/cookieblocklist.txt"
+  },
+  domainExceptions: {
+    title: "Domain exception list",
+    pref: "domainExceptionURL",
+    defaultUrl: "https://www.eff.org/files/domain_exception_list.json"
+  },
+  policyHashes: {
+    title: "DNT policy hashes",
+    pref: "policyHashesURL",
+    defaultUrl: "https://www.eff.org/files/dnt-policies-signed.json"
+  },
+  bugReports: {
+    title: "Bug reports",
+    pref: "reportURL",
+    defaultUrl: "https://privacybadger.org/reporting"
+  }
+};
+
+const gAllowedSchemes = [ "https:", "http:", "file:" ];
+
+/**
+ * updateSourceStatus: how the last fetch from each source went, ex:
+ *   { "preloads": { url: "https://www.eff.org/files/cookieblocklist.txt",
+ *                   lastAttempt: 1442000000000,
+ *                   lastSuccess: 1442000000000,
+ *                   status: 200,
+ *                   error: null } }
+ * error says why the last attempt failed, if it did.
+ */
+function init() {
+  if (!storage.updateSourceStatus) {
+    storage.updateSourceStatus = {};
+  }
+}
+
+// Sources that have a fetcher, see setFetcher
+let fetchers = {};
+
+// List downloads. A failed download is retried, a few minutes later at first.
+let queue = new WorkerQueue("listSyncs", {
+  maxAttempts: 20,
+  backoff: 1000 * 60 * 5,
+  maxBackoff: 1000 * 60 * 60
+});
+
+/**
+ * @param {String} name a key of SOURCES
+ * @return {String} the URL to use for the source
+ */
+function getUrl(name) {
+  let source = SOURCES[name];
+  return prefs[source.pref] || source.defaultUrl;
+}
+
+/**
+ * Point a source at a URL. An empty URL goes back to the default.
+ * @param {String} name a key of SOURCES
+ * @param {String} url
+ * @return {Boolean} false if the URL isn't an http(s) or file URL
+ */
+function setUrl(name, url) {
+  let source = SOURCES[name];
+  if (!source) { return false; }
+  url = (url || "").trim();
+  if (url === "" || url === source.defaultUrl) {
+    prefs[source.pref] = "";
+    return true;
+  }
+  let match = /^([a-z]+:)\/\/./i.exec(url);
+  if (!match || gAllowedSchemes.indexOf(match[1].toLowerCase()) === -1) {
+    return false;
+  }
+  prefs[source.pref] = url;
+  return true;
+}
+
+/**
+ * Did this request succeed? file:// requests report a status of 0 even when
+ * they do.
+ * @param {String} url what was requested
+ * @param {Object} response from sdk/request
+ * @return {Boolean}
+ */
+function isSuccess(url, response) {
+  let status = Number(response.status);
+  if (status === 0 && /^file:/i.test(url)) {
+    return !!response.text;
+  }
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Remember how a fetch from a source went, for the options page.
+ * @param {String} name a key of SOURCES
+ * @param {String} url what was requested
+ * @param {Object} response from sdk/request
+ * @param {String} error (optional) why the response was no good, even though
+ *   the request succeeded, ex: a bad signature
+ * @return {Boolean} whether the fetch succeeded
+ */
+function recordFetch(name, url, response, error) {
+  init();
+  let success = !error && isSuccess(url, response);
+  let previous = storage.updateSourceStatus[name] || {};
+  let now = Date.now();
+  storage.updateSourceStatus[name] = {
+    url: url,
+    lastAttempt: now,
+    lastSuccess: success ? now : (previous.lastSuccess || null),
+    status: Number(response.status),
+    error: success ? null : (error || "request failed")
+  };
+  return success;
+}
+
+/**
+ * Say how to fetch a source.
+ * @param {String} name a key of SOURCES
+ * @param {Function} fetcher called with a callback to call with whether the
+ *   fetch worked
+ */
+function setFetcher(name, fetcher) {
+  fetchers[name] = true;
+  queue.setHandler(name, function(data, done) {
+    fetcher(function(success) {
+      done(success ? null : "fetch failed");
+    });
+  });
+}
+
+/**
+ * Host of a URL, so fetches are rate limited by host.
+ * @param {String} url
+ * @return {String} or null for file URLs and the like
+ */
+function getHost(url) {
+  let match = /^https?:\/\/([^\/:?#]+)/i.exec(url);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Queue a fetch from a source. Failed fetches are retried.
+ * @param {String} name a key of SOURCES, with a fetcher
+ * @param {Object} options (optional) {
+ *   priority: Integer,    // WorkerQueue.PRIORITY_*
+ *   maxAttempts: Integer, // see WorkerQueue.push
+ *   callback: Function    // called with an error, if it didn't work out
+ * }
+ */
+function fetch(name, options) {
+  options = options || {};
+  queue.push(name, {}, {
+    key: name,
+    host: getHost(getUrl(name)),
+    priority: options.hasOwnProperty("priority") ?
+      options.priority : WorkerQueue.PRIORITY_NORMAL,
+    maxAttempts: options.maxAttempts,
+    callback: options.callback
+  });
+}
+
+/**
+ * Fetch every source that can be fetched, before anything else in the
+ * queue, and only try once: the user is waiting.
+ * @param {Function} callback (optional) called once they're all done
+ */
+function checkNow(callback) {
+  let names = Object.keys(fetchers);
+  let pending = names.length;
+  function done() {
+    pending--;
+    if (pending === 0 && callback) { callback(); }
+  }
+  if (pending === 0 && callback) {
+    callback();
+    return;
+  }
+  names.forEach(function(name) {
+    fetch(name, {
+      priority: WorkerQueue.PRIORITY_USER,
+      maxAttempts: 1,
+      callback: done
+    });
+  });
+}
+
+/**
+ * Everything the options page shows about the sources.
+ * @return {Array} { name, title, url, defaultUrl, fetchable, lastAttempt,
+ *   lastSuccess, status, error }
+ */
+function getAll() {
+  init();
+  return Object.keys(SOURCES).map(function(name) {
+    let source = SOURCES[name];
+    let status = storage.updateSourceStatus[name] || {};
+    return {
+      name: name,
+      title: source.title,
+      url: getUrl(name),
+      defaultUrl: source.defaultUrl,
+      fetchable: fetchers.hasOwnProperty(name),
+      lastAttempt: status.lastAttempt || null,
+      lastSuccess: status.lastSuccess || null,
+      status: status.status === undefined ? null : status.status,
+      error: status.error || null
+    };
+  });
+}
+
+exports.init = init;
+exports.getUrl = getUrl;
+exports.setUrl = setUrl;
+exports.isSuccess = isSuccess;
+exports.recordFetch = recordFetch;
+exports.setFetcher = setFetcher;
+exports.fetch = fetch;
+exports.checkNow = checkNow;
+exports.getAll = getAll;
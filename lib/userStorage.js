@@ -6,8 +6,13 @@ const { storage } = require("sdk/simple-storage");
 const { Request } = require("sdk/request");
 const cookieUtils = require("./cookieUtils");
 const utils = require("./utils");
-const timers = require("sdk/timers");
-const { doDependingOnIsPrivate } = require("./privateBrowsing");
+const {
+  doDependingOnIsPrivate,
+  isPrivateContext
+} = require("./privateBrowsing");
+const prefs = require("sdk/simple-prefs").prefs;
+const updateSources = require("./updateSources");
+const settingsFormat = require("./settingsFormat");
 
 /**
  * userRed: user chose to block requests to this domain entirely
@@ -22,11 +27,10 @@ const { doDependingOnIsPrivate } = require("./privateBrowsing");
  *   (for unblocking a tracker so that user can login to a site).
  */
 
-// TODO: Make preloadURL a pref.
-const preloadURL = "https://www.eff.org/files/cookieblocklist.txt";
+// Remote lists come from the URLs in updateSources
 const backupPreloadURL = require("sdk/self").data.url("cookieblocklist.txt");
-const domainExceptionURL =
-  "https://www.eff.org/files/domain_exception_list.json";
+// Pre-trained list of tracking base domains to block while learning is off
+const bundledBlocklistFile = "trackerblocklist.txt";
 
 const userStored = [ "userRed",
                      "userYellow",
@@ -37,11 +41,34 @@ const userStored = [ "userRed",
                      "domainExceptionsPrivate",
                      "seenComic" ];
 
+// Prefs that go into exported settings files, see settingsFormat.js. The
+// update source URLs (see updateSources.js) are left out: a shared settings
+// file shouldn't be able to point the blocklists somewhere else.
+const exportedPrefs = [ "heuristicEnabled",
+                        "bundledBlocklistEnabled",
+                        "socialWidgetReplacementEnabled",
+                        "displayCounter",
+                        "blockedDomainRecheckDNT",
+                        "firstPartyDNTPolicy",
+                        "prevalenceDecayDays",
+                        "trackingScoreThreshold",
+                        "canvasDefense",
+                        "privateLearning" ];
+
 storage.domainExceptionSites = {};
 
-function handleSyncFail() {
+// Base domains on the bundled blocklist, loaded on first use
+let bundledBlocklist = null;
+
+// Whether the bundled copy of the preloaded whitelist was loaded this session
+let loadedBackupPreloads = false;
+
+function loadBackupPreloads() {
   // We couldn't get a successful request to the cookie blocklist URL, so
-  // try loading it from a file included in the profile directory.
+  // try loading it from a file included in the profile directory. The
+  // remote one keeps being retried, see updateSources.
+  if (loadedBackupPreloads) { return; }
+  loadedBackupPreloads = true;
   console.log("Cookie blocklist sync failed. Trying to read from local copy.");
   Request({
     url: backupPreloadURL,
@@ -53,29 +80,6 @@ function handleSyncFail() {
       }
     }
   }).get();
-  // Keep trying 3 times to sync to the remote cookie blocklist.
-  let count = 0;
-  function resync() {
-    timers.setTimeout(function () {
-      count++;
-      if (count > 19) {
-        console.log("Gave up trying to sync cookie blocklist.");
-        return;
-      }
-      console.log("Resync attempt:", count);
-      Request({
-        url: preloadURL,
-        onComplete: function(response) {
-          if (response.status == 200) {
-            syncPreloads(response.text);
-          } else {
-            resync();
-          }
-        }
-      }).get();
-    }, 300000);
-  }
-  resync();
 }
 
 /**
@@ -102,6 +106,71 @@ var syncPreloads = exports.syncPreloads = function(text) {
     }
   }
 };
+/**
+ * Parse the bundled blocklist: one base domain per line, # for comments.
+ *
+ * @param {string} text
+ * @return {object} map of base domains
+ */
+var parseBundledBlocklist = exports.parseBundledBlocklist = function(text) {
+  let origins = {};
+  text.split('\n').forEach(function(line) {
+    line = line.trim();
+    if (line === "" || line.charAt(0) === "#") { return; }
+    origins[line] = true;
+  });
+  return origins;
+};
+
+function getBundledBlocklist() {
+  if (!bundledBlocklist) {
+    bundledBlocklist = parseBundledBlocklist(
+      require("sdk/self").data.load(bundledBlocklistFile));
+  }
+  return bundledBlocklist;
+}
+
+/**
+ * Base domains that get blocked (or cookieblocked, if they're on the
+ * preloaded whitelist) without the user having to do anything. While
+ * learning is on, that's what the heuristic learned. While it's off, learning
+ * is paused: blockedOrigins is kept as it is for when learning resumes, and
+ * only the bundled blocklist counts, if it's enabled.
+ *
+ * @return {object} map of base domains
+ */
+function getBlockedOriginsMap() {
+  if (utils.isHeuristicEnabled()) {
+    return storage.blockedOrigins || {};
+  }
+  return prefs.bundledBlocklistEnabled ? getBundledBlocklist() : {};
+}
+
+/**
+ * Is this base domain blocked, see getBlockedOriginsMap? Private windows
+ * also block what was learned in the private session, see
+ * blockedOriginsPrivate in heuristicBlocker.js.
+ *
+ * @param {string} origin
+ * @param {object} context (optional) window or tab of the request
+ * @return {boolean}
+ */
+exports.isBlockedOrigin = function(origin, context) {
+  if (getBlockedOriginsMap().hasOwnProperty(origin)) {
+    return true;
+  }
+  return utils.isHeuristicEnabled() && isPrivateContext(context) &&
+    !!storage.blockedOriginsPrivate &&
+    storage.blockedOriginsPrivate.hasOwnProperty(origin);
+};
+
+/**
+ * @return {array} the base domains that are blocked, see getBlockedOriginsMap
+ */
+exports.getBlockedOrigins = function() {
+  return Object.keys(getBlockedOriginsMap());
+};
+
 // Saves the list of URLs on which to prompt user to add a domain exception
 function syncExceptions(json) {
   storage.domainExceptionSites = json ||
@@ -135,28 +204,63 @@ exports.init = function()
   }
 };
 
-exports.sync = function()
-{
+/**
+ * Fetch the preloaded whitelist from its update source.
+ * @param {function} callback (optional) called with whether it worked
+ */
+function fetchPreloads(callback) {
+  let url = updateSources.getUrl("preloads");
   Request({
-    url: preloadURL,
+    url: url,
     onComplete: function(response) {
-      if (response.status == 200) {
+      let success = updateSources.recordFetch("preloads", url, response);
+      if (success) {
         syncPreloads(response.text);
       } else {
-        handleSyncFail();
+        loadBackupPreloads();
       }
+      if (callback) { callback(success); }
     }
   }).get();
+}
+
+/**
+ * Fetch the domain exception list from its update source.
+ * @param {function} callback (optional) called with whether it worked
+ */
+function fetchExceptions(callback) {
+  let url = updateSources.getUrl("domainExceptions");
   Request({
-    url: domainExceptionURL,
+    url: url,
     onComplete: function(response) {
-      if (response.status == 200) {
-        syncExceptions(response.json);
+      let json = null;
+      let error = null;
+      if (updateSources.isSuccess(url, response)) {
+        try {
+          json = JSON.parse(response.text);
+        } catch (e) {
+          error = "not JSON";
+        }
+      }
+      let success = updateSources.recordFetch("domainExceptions", url,
+                                              response, error);
+      if (success) {
+        syncExceptions(json);
       } else {
-        console.error("Error: could not get", domainExceptionURL);
+        console.error("Error: could not get", url);
       }
+      if (callback) { callback(success); }
     }
   }).get();
+}
+
+updateSources.setFetcher("preloads", fetchPreloads);
+updateSources.setFetcher("domainExceptions", fetchExceptions);
+
+exports.sync = function()
+{
+  updateSources.fetch("preloads");
+  updateSources.fetch("domainExceptions");
 };
 
 /**
@@ -392,3 +496,151 @@ exports.getSeenComic = function(){
 exports.getAll = function(){
   return storage;
 };
+
+/**
+ * The user's settings, as settingsFormat.js has them. Private browsing
+ * settings are left out.
+ * @param {boolean} includeLearned whether to add what the heuristic learned
+ * @return {object}
+ */
+function readSettings(includeLearned) {
+  let settings = {
+    userRed: Object.keys(storage.userRed),
+    userYellow: Object.keys(storage.userYellow),
+    userGreen: Object.keys(storage.userGreen),
+    disabledSites: Object.keys(storage.disabledSites),
+    domainExceptions: storage.domainExceptions,
+    prefs: {}
+  };
+  exportedPrefs.forEach(function(name) {
+    settings.prefs[name] = prefs[name];
+  });
+  if (includeLearned) {
+    settings.learned = {
+      blockedOrigins: Object.keys(storage.blockedOrigins || {}),
+      originFrequency: storage.originFrequency || {}
+    };
+  }
+  return settings;
+}
+
+/**
+ * Parse a settings file and work out what importing it would do.
+ * @param {string} text the file
+ * @param {string} mode "merge" or "replace", see settingsFormat.combine
+ * @return {object} { before, after } settings, or { error }
+ */
+function planImport(text, mode) {
+  let parsed = settingsFormat.parse(text);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  let incoming = parsed.settings;
+  // Only take prefs we have, with the type we expect
+  let filtered = {};
+  exportedPrefs.forEach(function(name) {
+    if (incoming.prefs.hasOwnProperty(name) &&
+        typeof incoming.prefs[name] === typeof prefs[name]) {
+      filtered[name] = incoming.prefs[name];
+    }
+  });
+  incoming.prefs = filtered;
+  let before = readSettings(!!incoming.learned);
+  return {
+    before: before,
+    after: settingsFormat.combine(before, incoming, mode)
+  };
+}
+
+/**
+ * Export the user's settings as a settings file.
+ * @param {boolean} includeLearned whether to add blockedOrigins and
+ *   originFrequency
+ * @return {string} JSON
+ */
+exports.exportSettings = function(includeLearned) {
+  return settingsFormat.serialize(readSettings(includeLearned), "firefox");
+};
+
+/**
+ * What importing a settings file would change, see settingsFormat.diff.
+ * @param {string} text the file
+ * @param {string} mode "merge" or "replace"
+ * @return {object} the diff, or { error } if the file can't be imported
+ */
+exports.previewImport = function(text, mode) {
+  let plan = planImport(text, mode);
+  if (plan.error) {
+    return { error: plan.error };
+  }
+  return settingsFormat.diff(plan.before, plan.after);
+};
+
+/**
+ * Import a settings file.
+ * @param {string} text the file
+ * @param {string} mode "merge" or "replace"
+ * @return {string} why the file couldn't be imported, or null if it was
+ */
+exports.importSettings = function(text, mode) {
+  let plan = planImport(text, mode);
+  if (plan.error) {
+    return plan.error;
+  }
+  let after = plan.after;
+
+  // Through add/remove, so cookie permissions follow
+  [ ["red", "userRed"], ["yellow", "userYellow"], ["green", "userGreen"] ].
+    forEach(function(color) {
+      Object.keys(storage[color[1]]).forEach(function(host) {
+        if (after[color[1]].indexOf(host) === -1) {
+          remove(color[0], host);
+        }
+      });
+    });
+  [ ["red", "userRed"], ["yellow", "userYellow"], ["green", "userGreen"] ].
+    forEach(function(color) {
+      after[color[1]].forEach(function(host) {
+        if (!storage[color[1]].hasOwnProperty(host)) {
+          add(color[0], host);
+        }
+      });
+    });
+
+  storage.disabledSites = {};
+  after.disabledSites.forEach(function(host) {
+    storage.disabledSites[host] = true;
+  });
+  storage.domainExceptions = after.domainExceptions;
+
+  for (let name in after.prefs) {
+    if (after.prefs.hasOwnProperty(name) && prefs[name] !== after.prefs[name]) {
+      prefs[name] = after.prefs[name];
+    }
+  }
+
+  if (after.learned) {
+    let blocked = {};
+    after.learned.blockedOrigins.forEach(function(origin) {
+      blocked[origin] = true;
+    });
+    Object.keys(storage.blockedOrigins || {}).forEach(function(origin) {
+      if (!blocked.hasOwnProperty(origin)) {
+        cookieUtils.resetCookie(origin);
+      }
+    });
+    storage.blockedOrigins = blocked;
+    // The Chrome port only stores that a third party was seen on a site
+    let now = Date.now();
+    let frequency = after.learned.originFrequency;
+    for (let origin in frequency) {
+      for (let firstParty in frequency[origin]) {
+        if (frequency[origin][firstParty] === true) {
+          frequency[origin][firstParty] = { firstSeen: now, lastSeen: now };
+        }
+      }
+    }
+    storage.originFrequency = frequency;
+  }
+  return null;
+};
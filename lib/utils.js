@@ -1,7 +1,7 @@
 // Utils for Privacy Badger
 "use strict";
 
-const { Cc, Ci, Cu } = require("chrome");
+const { Cc, Ci, Cu, components } = require("chrome");
 const ThirdPartyUtil = Cc["@mozilla.org/thirdpartyutil;1"]
                        .getService(Ci.mozIThirdPartyUtil);
 const ioService = Cc["@mozilla.org/network/io-service;1"]
@@ -333,6 +333,80 @@ function repeatAtRandom(callee, min, max, callLimit, callback, counter){
   }, callTime);
 }
 
+/**
+ * Reads the body of a request (ex: a POST) without consuming it, so it is
+ * still sent intact. Returns an empty string if the channel has no body or
+ * the body can't be rewound.
+ * @param {nsIHttpChannel} channel
+ * @param {Integer} maxLength don't read more than this many bytes
+ * @return {String}
+ */
+function getUploadData(channel, maxLength) {
+  let stream;
+  try {
+    stream = channel.QueryInterface(Ci.nsIUploadChannel).uploadStream;
+  } catch (e) {
+    return "";
+  }
+  if (!stream || !(stream instanceof Ci.nsISeekableStream)) { return ""; }
+
+  let data = "";
+  try {
+    let position = stream.tell();
+    let scriptableStream = Cc["@mozilla.org/scriptableinputstream;1"]
+                             .createInstance(Ci.nsIScriptableInputStream);
+    scriptableStream.init(stream);
+    data = scriptableStream.read(Math.min(scriptableStream.available(),
+                                          maxLength));
+    stream.seek(Ci.nsISeekableStream.NS_SEEK_SET, position);
+  } catch (e) {
+    console.log("Couldn't read upload data for", channel.URI.spec, e);
+  }
+  return data;
+}
+
+/**
+ * Finds the frames, in all open tabs, showing a document from this host or
+ * one of its subdomains.
+ * @param {String} host
+ * @return {Array} nsIDOMWindows
+ */
+function getFramesForHost(host) {
+  let frames = [];
+  let visit = function(win) {
+    try {
+      let hostname = win.document.location.hostname;
+      if (hostname === host || isSubdomain(hostname, host)) {
+        frames.push(win);
+      }
+    } catch (e) {
+      // about:blank and friends
+    }
+    for (let i = 0; i < win.frames.length; i++) {
+      visit(win.frames[i]);
+    }
+  };
+  getAllWindows().forEach(function(win) {
+    if (win) { visit(win); }
+  });
+  return frames;
+}
+
+/**
+ * The URL of the innermost web script on the current JavaScript stack, ex:
+ * the script that set document.cookie when called from a cookie-changed
+ * observer. Returns null if no web script is running.
+ * @return {String}
+ */
+function getCallingScriptURL() {
+  for (let frame = components.stack; frame; frame = frame.caller) {
+    if (frame.filename && (/^https?:/).test(frame.filename)) {
+      return frame.filename;
+    }
+  }
+  return null;
+}
+
 /**
  * In case we add an option to disable the heuristic blocker
  */
@@ -381,3 +455,6 @@ exports.repeatAtRandom = repeatAtRandom;
 exports.isSubdomain = isSubdomain;
 exports.isPreloadedWhitelistRequest = isPreloadedWhitelistRequest;
 exports.checkEachParentDomainString = checkEachParentDomainString;
+exports.getUploadData = getUploadData;
+exports.getFramesForHost = getFramesForHost;
+exports.getCallingScriptURL = getCallingScriptURL;
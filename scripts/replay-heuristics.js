@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Replays recorded traffic through the heuristic (lib/heuristicCore.js) with
+ * an in-memory storage, and prints which origins it would learn about, block
+ * or cookieblock. For evaluating heuristic changes against crawls without
+ * launching Firefox.
+ *
+ * Usage:
+ *   node scripts/replay-heuristics.js [options] <file> [<file> ...]
+ *
+ * Files are HAR (HTTP Archive) files or JSON lists of requests, either
+ *   { "firstParty": "https://news.com/", "url": "https://tracker.com/p.js",
+ *     "cookies": "uid=d93d4e842d10e12a", "setCookie": "sid=..." }
+ * or [ firstParty, url, cookies, setCookie ] tuples. Cookies can be cookie
+ * header strings or name-value objects.
+ *
+ * Options:
+ *   --threshold <score>  tracking score that gets an origin blocked
+ *   --preloads <file>    preloaded whitelist, defaults to
+ *                        data/cookieblocklist.txt
+ *   --json               print the results as JSON
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const cookieClassifier = require("../lib/cookieClassifier");
+const heuristicCore = require("../lib/heuristicCore");
+
+const LIB_DIR = path.join(__dirname, "..", "lib");
+const DEFAULT_PRELOADS = path.join(__dirname, "..", "data",
+                                   "cookieblocklist.txt");
+
+/**
+ * The Chrome extension's base domain code is plain scripts, so load it the
+ * same way tests/index.html does.
+ * @return {Function} getBaseDomain(host)
+ */
+function loadBaseDomain() {
+  let context = vm.createContext({});
+  let files = [ "punycode.js", "publicSuffixList.js", "basedomain.js" ];
+  files.forEach(function(file) {
+    let source = fs.readFileSync(path.join(LIB_DIR, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  });
+  return context.getBaseDomain;
+}
+
+const getBaseDomain = loadBaseDomain();
+
+/**
+ * Read a preloaded whitelist in the format of data/cookieblocklist.txt, see
+ * userStorage.syncPreloads.
+ * @param {String} file
+ * @return {Object} map of whitelisted hosts
+ */
+function loadPreloads(file) {
+  let preloads = {};
+  fs.readFileSync(file, "utf8").split("\n").forEach(function(line) {
+    let match = /^@@\|\|([^\/:]+)\^\$(.+)$/.exec(line.trim());
+    if (match) {
+      preloads[match[1]] = match[2];
+    }
+  });
+  return preloads;
+}
+
+/**
+ * Is this host or one of its parent domains on the preloaded whitelist? Same
+ * as utils.isPreloadedWhitelistRequest: only the base domain and the hosts
+ * under it are checked, never the public suffix.
+ * @param {String} host
+ * @param {Object} preloads
+ * @return {Boolean}
+ */
+function isPreloadedWhitelisted(host, preloads) {
+  let baseDomain = getBaseDomain(host);
+  let hostArray = host.split(".");
+  while (hostArray.length > 0) {
+    let currentAncestor = hostArray.join(".");
+    if (currentAncestor in preloads) { return true; }
+    if (currentAncestor === baseDomain) { break; }
+    hostArray.shift();
+  }
+  return false;
+}
+
+/**
+ * Host of a URL, or null if it isn't an http(s) URL.
+ * @param {String} url
+ * @return {String}
+ */
+function getHost(url) {
+  let match = /^https?:\/\/(?:[^\/@]*@)?(\[[^\]]*\]|[^\/:?#]+)/i.
+    exec(url || "");
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Cookies as name-value pairs, from a cookie string, a name-value object or
+ * a HAR cookie list.
+ * @param {String|Object|Array} cookies
+ * @return {Object}
+ */
+function toCookieObject(cookies) {
+  if (!cookies) { return {}; }
+  if (typeof cookies === "string") {
+    return heuristicCore.parseCookieString(cookies);
+  }
+  if (Array.isArray(cookies)) {
+    let result = {};
+    cookies.forEach(function(cookie) { result[cookie.name] = cookie.value; });
+    return result;
+  }
+  return cookies;
+}
+
+/**
+ * Value of a header in a HAR header list, multiple values joined by newlines
+ * like Firefox does for Set-Cookie.
+ * @param {Array} headers
+ * @param {String} name
+ * @return {String}
+ */
+function getHarHeader(headers, name) {
+  return (headers || []).filter(function(header) {
+    return header.name.toLowerCase() === name;
+  }).map(function(header) {
+    return header.value;
+  }).join("\n");
+}
+
+/**
+ * Turn a HAR file into requests. The first party of a request is the URL of
+ * the page it belongs to: the page title if it is a URL (Firefox and Chrome
+ * both do that), otherwise the first request made for the page.
+ * @param {Object} har
+ * @return {Array} requests, see replay
+ */
+function readHar(har) {
+  let pageUrls = {};
+  (har.log.pages || []).forEach(function(page) {
+    if (getHost(page.title)) { pageUrls[page.id] = page.title; }
+  });
+  return har.log.entries.map(function(entry) {
+    let url = entry.request.url;
+    if (entry.pageref && !pageUrls[entry.pageref]) {
+      pageUrls[entry.pageref] = url;
+    }
+    return {
+      firstParty: pageUrls[entry.pageref] ||
+        getHarHeader(entry.request.headers, "referer") || url,
+      url: url,
+      cookies: entry.request.cookies && entry.request.cookies.length ?
+        entry.request.cookies : getHarHeader(entry.request.headers, "cookie"),
+      setCookie: entry.response ?
+        getHarHeader(entry.response.headers, "set-cookie") : null
+    };
+  });
+}
+
+/**
+ * Turn a JSON list of requests into requests.
+ * @param {Array} list objects or tuples, see above
+ * @return {Array} requests, see replay
+ */
+function readRequestList(list) {
+  return list.map(function(item) {
+    if (Array.isArray(item)) {
+      return { firstParty: item[0], url: item[1],
+               cookies: item[2], setCookie: item[3] };
+    }
+    return item;
+  });
+}
+
+/**
+ * Read the requests in a HAR file or a JSON list of requests.
+ * @param {String} file
+ * @return {Array}
+ */
+function readRequests(file) {
+  let data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data && data.log && Array.isArray(data.log.entries)) {
+    return readHar(data);
+  }
+  if (Array.isArray(data)) {
+    return readRequestList(data);
+  }
+  throw new Error(file + " is neither a HAR file nor a list of requests");
+}
+
+/**
+ * Feed requests through the heuristic, the way
+ * heuristicBlocker.updateHeuristicsForChannel does: once when the request
+ * goes out, with the cookies it sends, and once when the response comes
+ * back, with the cookies it sets.
+ * @param {Array} requests { firstParty: String, url: String,
+ *                           cookies: String|Object, setCookie: String }
+ * @param {Object} options { threshold: Number, preloads: Object }
+ * @return {Object} the simulated storage { originFrequency, blockedOrigins,
+ *   cookieblockedHosts }, cookieblockedHosts mapping origins to the hosts
+ *   under them on the preloaded whitelist
+ */
+function replay(requests, options) {
+  let storage = { originFrequency: {}, blockedOrigins: {},
+                  cookieblockedHosts: {} };
+  let scoreOptions = { threshold: options.threshold };
+  let threshold = options.threshold || heuristicCore.DEFAULT_SCORE_THRESHOLD;
+
+  requests.forEach(function(request) {
+    let host = getHost(request.url);
+    let parentHost = getHost(request.firstParty);
+    if (!host || !parentHost) { return; }
+    let origin = getBaseDomain(host);
+    let parentOrigin = getBaseDomain(parentHost);
+    if (origin === parentOrigin) { return; }
+
+    [request.cookies, request.setCookie].forEach(function(cookieString) {
+      // Ignore things that have already been heuristic-blocked
+      if (origin in storage.blockedOrigins) { return; }
+      let cookies = toCookieObject(cookieString);
+      let signal = heuristicCore.getTrackingSignal(cookies);
+      let whitelisted = !!signal &&
+        isPreloadedWhitelisted(host, options.preloads);
+      if (heuristicCore.getAction(signal, whitelisted) === "notracking") {
+        return;
+      }
+      heuristicCore.recordObservation(storage.originFrequency, origin,
+        parentOrigin, {
+          signal: signal,
+          bits: cookieClassifier.classifyCookies(cookies).bits
+        }, Date.now());
+      if (whitelisted) {
+        storage.cookieblockedHosts[origin] =
+          storage.cookieblockedHosts[origin] || {};
+        storage.cookieblockedHosts[origin][host] = true;
+      }
+      if (heuristicCore.getTrackingScore(storage, origin, scoreOptions).
+          score >= threshold) {
+        storage.blockedOrigins[origin] = true;
+      }
+    });
+  });
+  return storage;
+}
+
+/**
+ * What the heuristic ended up doing about each origin it saw tracking:
+ * "blocked", "cookieblocked" (blocked, but its hosts are on the preloaded
+ * whitelist) or "learned" (seen tracking, not enough to block yet).
+ * @param {Object} storage see replay
+ * @param {Object} options see replay
+ * @return {Array} { origin, status, score, firstParties, signals,
+ *   cookieblockedHosts }
+ */
+function summarize(storage, options) {
+  return Object.keys(storage.originFrequency).map(function(origin) {
+    let score = heuristicCore.getTrackingScore(storage, origin, {
+      threshold: options.threshold
+    });
+    let cookieblockedHosts =
+      Object.keys(storage.cookieblockedHosts[origin] || {});
+    let status = "learned";
+    if (storage.blockedOrigins[origin]) {
+      status = cookieblockedHosts.length > 0 ? "cookieblocked" : "blocked";
+    }
+    return {
+      origin: origin,
+      status: status,
+      score: score.score,
+      firstParties: Object.keys(storage.originFrequency[origin]),
+      signals: score.signals,
+      cookieblockedHosts: cookieblockedHosts
+    };
+  }).sort(function(a, b) {
+    return b.score - a.score || (a.origin < b.origin ? -1 : 1);
+  });
+}
+
+function usage() {
+  console.error("usage: node scripts/replay-heuristics.js [--threshold " +
+                "<score>] [--preloads <file>] [--json] <file> [<file> ...]");
+  process.exit(2);
+}
+
+function main(argv) {
+  let files = [];
+  let options = { threshold: 0, preloads: null, json: false };
+  let preloadsFile = DEFAULT_PRELOADS;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--threshold") {
+      options.threshold = Number(argv[++i]);
+      if (!(options.threshold > 0)) { usage(); }
+    } else if (argv[i] === "--preloads") {
+      preloadsFile = argv[++i];
+      if (!preloadsFile) { usage(); }
+    } else if (argv[i] === "--json") {
+      options.json = true;
+    } else if (argv[i].indexOf("--") === 0) {
+      usage();
+    } else {
+      files.push(argv[i]);
+    }
+  }
+  if (files.length === 0) { usage(); }
+  options.preloads = loadPreloads(preloadsFile);
+
+  // The heuristic logs as it goes, keep that out of the results
+  let print = console.log.bind(console);
+  console.log = console.error.bind(console);
+
+  let requests = [];
+  files.forEach(function(file) {
+    requests = requests.concat(readRequests(file));
+  });
+  let results = summarize(replay(requests, options), options);
+
+  if (options.json) {
+    print(JSON.stringify(results, null, 2));
+    return;
+  }
+  results.forEach(function(result) {
+    print([
+      (result.status + "              ").substr(0, 14),
+      result.origin,
+      "score " + Math.round(result.score * 100) / 100,
+      "(" + result.firstParties.join(", ") + ")"
+    ].join(" "));
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+exports.readRequests = readRequests;
+exports.replay = replay;
+exports.summarize = summarize;
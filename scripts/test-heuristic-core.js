@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/*
+ * This file is part of Privacy Badger <https://www.eff.org/privacybadger>
+ * Copyright (C) 2015 Electronic Frontier Foundation
+ *
+ * Privacy Badger is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Privacy Badger is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Privacy Badger.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Tests for the parts of the heuristic that run outside the browser
+ * (lib/heuristicCore.js, and scripts/replay-heuristics.js on top of it).
+ * The heuristicCore cases live in test/heuristic-core-cases.js and run inside
+ * Firefox too, from test/test-heuristic-core.js; this runner only needs Node:
+ *
+ *   node scripts/test-heuristic-core.js   (or npm test)
+ */
+
+"use strict";
+
+const assert = require("assert");
+const cases = require("../test/heuristic-core-cases");
+const replayHeuristics = require("./replay-heuristics");
+
+let tests = {};
+Object.keys(cases).forEach(function(name) {
+  tests[name] = cases[name];
+});
+
+tests.testReplay = function(assert) {
+  let requests = [ "https://a.com/", "https://b.com/", "https://c.com/" ].
+    map(function(firstParty) {
+      return { firstParty: firstParty, url: "https://px.tracker.com/p.gif",
+               cookies: "uid=d93d4e842d10e12a" };
+    });
+  requests.push({ firstParty: "https://a.com/",
+                  url: "https://cdn.fonts.com/font.woff",
+                  cookies: "lang=en; theme=dark" });
+  requests.push({ firstParty: "https://a.com/", url: "https://www.a.com/app.js",
+                  cookies: "session=d93d4e842d10e12a" });
+
+  let options = { threshold: 0, preloads: {} };
+  let results = replayHeuristics.summarize(
+    replayHeuristics.replay(requests, options), options);
+  assert.deepEqual(results.map(function(result) {
+    return [ result.origin, result.status ];
+  }), [ [ "tracker.com", "blocked" ] ],
+  "trackers on enough sites get blocked, first parties and " +
+  "preference cookies are left alone");
+
+  options.preloads = { "px.tracker.com": "third-party" };
+  results = replayHeuristics.summarize(
+    replayHeuristics.replay(requests, options), options);
+  assert.equal(results[0].status, "cookieblocked",
+               "whitelisted hosts get cookieblocked instead");
+  assert.deepEqual(results[0].cookieblockedHosts, [ "px.tracker.com" ]);
+};
+
+let failures = 0;
+Object.keys(tests).forEach(function(name) {
+  try {
+    tests[name](assert);
+    console.log("ok " + name);
+  } catch (e) {
+    failures++;
+    console.log("not ok " + name + ": " + e.message);
+  }
+});
+console.log(failures ? failures + " failed" : "all passed");
+process.exit(failures ? 1 : 0);
@@ -29,6 +29,18 @@ function getPageScript() {
 
     var event_id = document.currentScript.getAttribute('data-event-id');
 
+    // how many different properties a script can read before it counts as
+    // enumeration fingerprinting, and how many of those have to be
+    // properties that only fingerprinters care about
+    var enumeration_threshold = parseInt(
+      document.currentScript.getAttribute('data-enumeration-threshold'), 10) || 15,
+      HIGH_SIGNAL_MIN = 2;
+
+    // how many different font families a script can measure text in
+    // before it counts as font fingerprinting
+    var font_threshold = parseInt(
+      document.currentScript.getAttribute('data-font-threshold'), 10) || 20;
+
     // from Underscore v1.6.0
     function debounce(func, wait, immediate) {
       var timeout, args, context, timestamp, result;
@@ -148,13 +160,19 @@ function getPageScript() {
     }
 
     /**
-     * Monitor the writes in a canvas instance
+     * Monitor calls to a canvas, WebGL or Web Audio method
      * @param item special item objects
      */
     function trapInstanceMethod(item) {
+      // not implemented by this browser
+      if (!item.obj || typeof item.obj[item.propName] != 'function') {
+        return;
+      }
+
       var is_canvas_write = (
         item.propName == 'fillText' || item.propName == 'strokeText'
       );
+      var report_once = is_canvas_write || !!item.once;
 
       item.obj[item.propName] = (function (orig) {
 
@@ -169,6 +187,11 @@ function getPageScript() {
             }
           }
 
+          // only some calls are interesting
+          if (item.hasOwnProperty('filter') && !item.filter.apply(this, args)) {
+            return orig.apply(this, args);
+          }
+
           var script_url = getOriginatingScriptUrl(),
             msg = {
               obj: item.objName,
@@ -182,10 +205,10 @@ function getPageScript() {
 
           send(msg);
 
-          if (is_canvas_write) {
+          if (report_once) {
             // optimization: one canvas write is enough,
             // restore original write method
-            // to this CanvasRenderingContext2D object instance
+            // to this CanvasRenderingContext2D (or other) object instance
             this[item.propName] = orig;
           }
 
@@ -248,8 +271,360 @@ function getPageScript() {
       }
     });
 
+    // WebGL: rendering a scene, or unmasking the graphics card,
+    // followed by reading the result back
+    var webgl_proto = window.WebGLRenderingContext &&
+        WebGLRenderingContext.prototype,
+      UNMASKED_VENDOR_WEBGL = 0x9245,
+      UNMASKED_RENDERER_WEBGL = 0x9246;
+
+    ['drawArrays', 'drawElements'].forEach(function (method) {
+      methods.push({
+        objName: 'WebGLRenderingContext.prototype',
+        propName: method,
+        obj: webgl_proto,
+        once: true,
+        extra: function () {
+          return {
+            webgl: true
+          };
+        }
+      });
+    });
+
+    methods.push({
+      objName: 'WebGLRenderingContext.prototype',
+      propName: 'getExtension',
+      obj: webgl_proto,
+      filter: function (name) {
+        return name == 'WEBGL_debug_renderer_info';
+      },
+      extra: function () {
+        return {
+          webgl: true
+        };
+      }
+    });
+
+    methods.push({
+      objName: 'WebGLRenderingContext.prototype',
+      propName: 'getParameter',
+      obj: webgl_proto,
+      // everything else gets queried all the time by regular WebGL code
+      filter: function (pname) {
+        return (
+          pname == UNMASKED_VENDOR_WEBGL || pname == UNMASKED_RENDERER_WEBGL
+        );
+      },
+      extra: function () {
+        return {
+          webgl: true
+        };
+      }
+    });
+
+    methods.push({
+      objName: 'WebGLRenderingContext.prototype',
+      propName: 'readPixels',
+      obj: webgl_proto,
+      extra: function (x, y, width, height) {
+        return {
+          webgl: true,
+          width: width,
+          height: height
+        };
+      }
+    });
+
+    // Web Audio: generating a signal, rendering it offline
+    // and reading back the samples or their frequency data
+    var audio_context = window.BaseAudioContext || window.AudioContext ||
+        window.webkitAudioContext,
+      offline_audio_context = window.OfflineAudioContext ||
+        window.webkitOfflineAudioContext;
+
+    [{
+      objName: 'AudioContext.prototype',
+      propName: 'createOscillator',
+      obj: audio_context && audio_context.prototype
+    }, {
+      objName: 'OfflineAudioContext.prototype',
+      propName: 'startRendering',
+      obj: offline_audio_context && offline_audio_context.prototype
+    }, {
+      objName: 'AudioBuffer.prototype',
+      propName: 'getChannelData',
+      obj: window.AudioBuffer && AudioBuffer.prototype
+    }, {
+      objName: 'AnalyserNode.prototype',
+      propName: 'getFloatFrequencyData',
+      obj: window.AnalyserNode && AnalyserNode.prototype
+    }, {
+      objName: 'AnalyserNode.prototype',
+      propName: 'getByteFrequencyData',
+      obj: window.AnalyserNode && AnalyserNode.prototype
+    }].forEach(function (item) {
+      // audio code calls these over and over,
+      // once per object instance is enough
+      item.once = true;
+      item.extra = function () {
+        return {
+          audio: true
+        };
+      };
+      methods.push(item);
+    });
+
     methods.forEach(trapInstanceMethod);
 
+    /**
+     * Enumeration fingerprinting: a script that reads a lot of different
+     * browser, plugin and screen properties is most likely building a
+     * fingerprint. Count the distinct properties read by each script and
+     * report it once it crosses the threshold. Analytics read plenty of
+     * properties too (user agent, language, screen size, time zone), so some
+     * of them have to be high signal ones, like the number of CPU cores.
+     */
+    var enumeration_reads = {};
+
+    /**
+     * Scripts read these properties over and over (date formatting, layout
+     * code), so the script URL found with one stack trace is kept until the
+     * running script hands back to the event loop.
+     */
+    var current_script_url = null,
+      resolved = Promise.resolve(),
+      then = Promise.prototype.then;
+
+    function rememberScriptUrl(script_url) {
+      if (current_script_url === null) {
+        then.call(resolved, function () {
+          current_script_url = null;
+        });
+      }
+      current_script_url = script_url;
+      return script_url;
+    }
+
+    function recordPropertyRead(item, script_url) {
+      if (!script_url) {
+        return;
+      }
+
+      if (!enumeration_reads.hasOwnProperty(script_url)) {
+        enumeration_reads[script_url] = {
+          props: {},
+          count: 0,
+          high_signal: 0,
+          reported: false
+        };
+      }
+      var reads = enumeration_reads[script_url],
+        prop = item.objName + '.' + item.propName;
+
+      if (reads.reported || reads.props.hasOwnProperty(prop)) {
+        return;
+      }
+
+      reads.props[prop] = true;
+      reads.count++;
+      if (item.high_signal) {
+        reads.high_signal++;
+      }
+
+      if (reads.count >= enumeration_threshold &&
+          reads.high_signal >= HIGH_SIGNAL_MIN) {
+        // one report per script is enough
+        reads.reported = true;
+
+        send({
+          obj: item.objName,
+          prop: item.propName,
+          scriptUrl: script_url,
+          extra: {
+            enumeration: true,
+            count: reads.count,
+            props: Object.keys(reads.props)
+          }
+        });
+      }
+    }
+
+    /**
+     * Monitor reads of a property defined by a getter on a prototype
+     * @param item special item objects
+     */
+    function trapPropertyGetter(item) {
+      var descriptor = Object.getOwnPropertyDescriptor(item.obj, item.propName);
+
+      // not implemented by this browser
+      if (!descriptor || !descriptor.get || !descriptor.configurable) {
+        return;
+      }
+
+      Object.defineProperty(item.obj, item.propName, {
+        get: (function (orig) {
+          return function () {
+            // only some reads are interesting
+            if (!item.hasOwnProperty('filter') || item.filter.call(this)) {
+              var script_url = current_script_url !== null ?
+                current_script_url : rememberScriptUrl(
+                  stripLineAndColumnNumbers(getOriginatingScriptUrl()));
+              (item.record || recordPropertyRead).call(this, item, script_url);
+            }
+            return orig.call(this);
+          };
+        }(descriptor.get)),
+        set: descriptor.set,
+        enumerable: descriptor.enumerable,
+        configurable: true
+      });
+    }
+
+    /**
+     * Monitor calls to a method, without reporting every call
+     * @param item special item objects
+     */
+    function trapEnumerationMethod(item) {
+      if (typeof item.obj[item.propName] != 'function') {
+        return;
+      }
+
+      item.obj[item.propName] = (function (orig) {
+        return function () {
+          var script_url = current_script_url !== null ?
+            current_script_url : rememberScriptUrl(
+              stripLineAndColumnNumbers(getOriginatingScriptUrl()));
+          (item.record || recordPropertyRead).call(
+            this, item, script_url, arguments);
+          return orig.apply(this, arguments);
+        };
+      }(item.obj[item.propName]));
+    }
+
+    var properties = [];
+
+    [
+      'mimeTypes', 'userAgent', 'platform', 'language', 'languages',
+      'doNotTrack', 'cookieEnabled', 'appVersion', 'vendor'
+    ].forEach(function (prop) {
+      properties.push({
+        objName: 'Navigator.prototype',
+        propName: prop,
+        obj: Navigator.prototype
+      });
+    });
+
+    // hardly anything but a fingerprinter needs these
+    [
+      'plugins', 'hardwareConcurrency', 'deviceMemory', 'oscpu', 'buildID'
+    ].forEach(function (prop) {
+      properties.push({
+        objName: 'Navigator.prototype',
+        propName: prop,
+        obj: Navigator.prototype,
+        high_signal: true
+      });
+    });
+
+    [
+      'width', 'height', 'availWidth', 'availHeight', 'colorDepth',
+      'pixelDepth'
+    ].forEach(function (prop) {
+      properties.push({
+        objName: 'Screen.prototype',
+        propName: prop,
+        obj: Screen.prototype
+      });
+    });
+
+    properties.forEach(trapPropertyGetter);
+
+    [{
+      objName: 'Date.prototype',
+      propName: 'getTimezoneOffset',
+      obj: Date.prototype
+    }, {
+      objName: 'Intl.DateTimeFormat.prototype',
+      propName: 'resolvedOptions',
+      obj: window.Intl && Intl.DateTimeFormat.prototype || {}
+    }].forEach(trapEnumerationMethod);
+
+    /**
+     * Font fingerprinting: a script measuring text in lots of different
+     * font families in a short time is checking which fonts are installed.
+     */
+    var font_probes = {},
+      FONT_PROBE_WINDOW = 2000; // ms
+
+    function recordFontProbe(item, script_url, family) {
+      if (!script_url || !family) {
+        return;
+      }
+
+      var now = Date.now(),
+        probes = font_probes[script_url];
+
+      // start over if the script is taking its time
+      if (!probes || (!probes.reported &&
+          now - probes.started > FONT_PROBE_WINDOW)) {
+        probes = font_probes[script_url] = {
+          families: {},
+          count: 0,
+          started: now,
+          reported: false
+        };
+      }
+
+      if (probes.reported || probes.families.hasOwnProperty(family)) {
+        return;
+      }
+
+      probes.families[family] = true;
+      probes.count++;
+
+      if (probes.count >= font_threshold) {
+        // one report per script is enough
+        probes.reported = true;
+
+        send({
+          obj: item.objName,
+          prop: item.propName,
+          scriptUrl: script_url,
+          extra: {
+            fonts: true,
+            count: probes.count
+          }
+        });
+      }
+    }
+
+    // text measured with an inline font-family
+    ['offsetWidth', 'offsetHeight'].forEach(function (prop) {
+      trapPropertyGetter({
+        objName: 'HTMLElement.prototype',
+        propName: prop,
+        obj: HTMLElement.prototype,
+        // layout code reads these all the time, keep it cheap
+        filter: function () {
+          return !!(this.style && this.style.fontFamily);
+        },
+        record: function (item, script_url) {
+          recordFontProbe(item, script_url, this.style.fontFamily);
+        }
+      });
+    });
+
+    // document.fonts.check('12px "Font Name"')
+    trapEnumerationMethod({
+      objName: 'FontFaceSet.prototype',
+      propName: 'check',
+      obj: window.FontFaceSet && FontFaceSet.prototype || {},
+      record: function (item, script_url, args) {
+        recordFontProbe(item, script_url, args[0] && String(args[0]));
+      }
+    });
+
   // save locally to keep from getting overwritten by site code
   } + "(Error));";
 
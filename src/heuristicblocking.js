@@ -39,6 +39,7 @@ var FilterNotifier = require("filterNotifier").FilterNotifier;
 var matcherStore = require("matcher").matcherStore;
 var Synchronizer = require("synchronizer").Synchronizer;
 var BlockedDomainList = require("blockedDomainList").BlockedDomainList;
+var CookieClassifier = require("cookieClassifier");
 var Utils = require("utils").Utils;
 var tabOrigins = { }; // TODO roll into tabData?
 var cookieSentOriginFrequency = { };
@@ -201,235 +202,6 @@ var blacklistOrigin = function(origin, fqdn) {
 };
 
 
-// This maps cookies to a rough estimate of how many bits of 
-// identifying info we might be letting past by allowing them.
-// (map values to lower case before using)
-// We need something better than this eventually, informed by more real world data!
-var lowEntropyCookieValues = {
- "":3,
- "nodata":3,
- "no_data":3,
- "yes":3,
- "no":3,
- "true":3,
- "false":3,
- "opt-out":3,
- "optout":3,
- "opt_out":3,
- "0":4,
- "1":4,
- "2":4,
- "3":4,
- "4":4,
- "5":4,
- "6":4,
- "7":4,
- "8":4,
- "9":4,
- // ISO 639-1 language codes
- "aa":8,
- "ab":8,
- "ae":8,
- "af":8,
- "af":8,
- "ak":8,
- "am":8,
- "an":8,
- "ar":8,
- "as":8,
- "as":8,
- "av":8,
- "ay":8,
- "az":8,
- "ba":8,
- "be":8,
- "bg":8,
- "bh":8,
- "bi":8,
- "bm":8,
- "bn":8,
- "bo":8,
- "br":8,
- "bs":8,
- "by":8,
- "by":8,
- "ca":8,
- "ce":8,
- "ch":8,
- "co":8,
- "cr":8,
- "cs":8,
- "cu":8,
- "cv":8,
- "cy":8,
- "da":8,
- "de":8,
- "de":8,
- "dv":8,
- "dz":8,
- "ee":8,
- "el":8,
- "en":8,
- "eo":8,
- "es":8,
- "et":8,
- "eu":8,
- "fa":8,
- "ff":8,
- "fi":8,
- "fj":8,
- "fo":8,
- "fr":8,
- "fy":8,
- "ga":8,
- "gd":8,
- "gl":8,
- "gn":8,
- "gu":8,
- "gv":8,
- "ha":8,
- "he":8,
- "hi":8,
- "ho":8,
- "hr":8,
- "ht":8,
- "hu":8,
- "hy":8,
- "hz":8,
- "ia":8,
- "id":8,
- "ie":8,
- "ig":8,
- "ii":8,
- "ik":8,
- "in":8,
- "in":8,
- "in":8,
- "io":8,
- "is":8,
- "is":8,
- "is":8,
- "is":8,
- "is":8,
- "is":8,
- "is":8,
- "is":8,
- "it":8,
- "iu":8,
- "ja":8,
- "jv":8,
- "ka":8,
- "kg":8,
- "ki":8,
- "kj":8,
- "kk":8,
- "kl":8,
- "km":8,
- "kn":8,
- "ko":8,
- "kr":8,
- "ks":8,
- "ku":8,
- "kv":8,
- "kw":8,
- "ky":8,
- "la":8,
- "lb":8,
- "lg":8,
- "li":8,
- "ln":8,
- "lo":8,
- "lt":8,
- "lu":8,
- "lv":8,
- "mg":8,
- "mh":8,
- "mi":8,
- "mk":8,
- "ml":8,
- "mn":8,
- "mr":8,
- "ms":8,
- "mt":8,
- "my":8,
- "na":8,
- "nb":8,
- "nd":8,
- "ne":8,
- "ng":8,
- "nl":8,
- "nn":8,
- "no":8,
- "nr":8,
- "nv":8,
- "ny":8,
- "oc":8,
- "of":8,
- "oj":8,
- "om":8,
- "or":8,
- "os":8,
- "pa":8,
- "pi":8,
- "pl":8,
- "ps":8,
- "pt":8,
- "qu":8,
- "rm":8,
- "rn":8,
- "ro":8,
- "ru":8,
- "rw":8,
- "sa":8,
- "sc":8,
- "sd":8,
- "se":8,
- "sg":8,
- "si":8,
- "sk":8,
- "sl":8,
- "sm":8,
- "sn":8,
- "so":8,
- "sq":8,
- "sr":8,
- "ss":8,
- "st":8,
- "su":8,
- "sv":8,
- "sw":8,
- "ta":8,
- "te":8,
- "te":8,
- "tg":8,
- "th":8,
- "ti":8,
- "tk":8,
- "tl":8,
- "tn":8,
- "to":8,
- "tr":8,
- "ts":8,
- "tt":8,
- "tw":8,
- "ty":8,
- "ug":8,
- "uk":8,
- "ur":8,
- "uz":8,
- "ve":8,
- "vi":8,
- "vo":8,
- "wa":8,
- "wo":8,
- "xh":8,
- "yi":8,
- "yo":8,
- "za":8,
- "zh":8,
- "zu":8
-};
-
 /**
  * Extract cookies from onBeforeSendHeaders
  *
@@ -476,7 +248,60 @@ var extractCookieString = function(details) {
  * @returns {Booolean} true if it has tracking
  */
 var hasTracking = function(details, origin) {
-  return (hasCookieTracking(details, origin) || hasSupercookieTracking(details, origin));
+  return (hasCookieTracking(details, origin) ||
+          hasSupercookieTracking(details, origin) ||
+          hasEtagTracking(details, origin));
+};
+
+// ETags that look like identifiers, see lib/heuristicBlocker.js in the
+// Firefox addon. A high entropy ETag can just as well be a content hash, the
+// same on every site for a file on a shared CDN. Only the same ETag coming
+// back for different resources of an origin gives it away. (Firefox also
+// compares what private windows get; webRequest doesn't say which requests
+// are incognito.) Maps "<origin> <etag>" to { paths: {path: true},
+// seen: timestamp }
+var recentEtags = { };
+const ETAG_MIN_BITS = 32;
+const ETAG_MIN_PATHS = 2;
+const ETAG_MAX_VALUES = 500;
+
+/**
+ * Check if an ETag sent back in If-None-Match is an identifier: high entropy,
+ * and coming back for several resources
+ *
+ * @param details onBeforeSendHeaders details
+ * @param origin The URL
+ * @returns {boolean} true if it has ETag tracking
+ */
+var hasEtagTracking = function(details, origin) {
+  if (!details.requestHeaders) {
+    return false;
+  }
+  var etag = null;
+  for (var i = 0; i < details.requestHeaders.length; i++) {
+    if (details.requestHeaders[i].name.toLowerCase() == "if-none-match") {
+      etag = details.requestHeaders[i].value.trim()
+        .replace(/^W\//, "").replace(/^"|"$/g, "");
+      break;
+    }
+  }
+  if (!etag || CookieClassifier.scoreValue(etag).bits < ETAG_MIN_BITS) {
+    return false;
+  }
+
+  var key = origin + " " + etag;
+  if (!(key in recentEtags)) {
+    var keys = Object.keys(recentEtags);
+    if (keys.length >= ETAG_MAX_VALUES) {
+      keys.sort(function(a, b) { return recentEtags[a].seen - recentEtags[b].seen; });
+      delete recentEtags[keys[0]];
+    }
+    recentEtags[key] = { paths: { }, seen: 0 };
+  }
+  // Without the query string, so cache busters don't count
+  recentEtags[key].paths[details.url.replace(/[?#].*$/, "")] = true;
+  recentEtags[key].seen = Date.now();
+  return Object.keys(recentEtags[key].paths).length >= ETAG_MIN_PATHS;
 };
 
 /**
@@ -505,7 +330,8 @@ var hasSupercookieTracking = function(details, origin) {
 
 const MAX_COOKIE_ENTROPY = 12;
 /**
- * Check if page is doing cookie tracking. Doing this by estimating the entropy of the cookies
+ * Check if page is doing cookie tracking. Doing this by estimating the entropy
+ * of the cookies with the classifier shared with Firefox (lib/cookieClassifier.js)
  *
  * @param details details onBeforeSendHeaders details
  * @param {String} origin URL
@@ -514,39 +340,29 @@ const MAX_COOKIE_ENTROPY = 12;
 var hasCookieTracking = function(details, origin) {
   // @details are those from onBeforeSendHeaders
 
-  var cookies = extractCookieString(details);
-  if (!cookies) {
+  var cookieString = extractCookieString(details);
+  if (!cookieString) {
     //console.log(details);
     return false;
   }
-  cookies = cookies.split(";");
-  var hasCookies = false;
-  var estimatedEntropy = 0;
-  for (var n = 0; n < cookies.length; n++) {
-    // XXX urgh I can't believe we're parsing cookies.  Probably wrong
-    // what if the value has spaces in it?
-    hasCookies = true;
-    var c = cookies[n].trim();
+  var cookies = {};
+  var pairs = cookieString.split(";");
+  for (var n = 0; n < pairs.length; n++) {
+    var c = pairs[n].trim();
     var cut = c.indexOf("=");
-    var name = c.slice(0,cut);
-    var value = c.slice(cut+1);
-    var lvalue = value.toLowerCase();
-    if (!(lvalue in lowEntropyCookieValues)) {
-      return true;
-    }
-    if(lvalue in lowEntropyCookieValues){
-      estimatedEntropy += lowEntropyCookieValues[lvalue];
+    if (cut === -1) {
+      continue;
     }
+    cookies[c.slice(0, cut)] = c.slice(cut + 1);
+  }
+  var classification = CookieClassifier.classifyCookies(cookies,
+                                                        MAX_COOKIE_ENTROPY);
+  if (classification.tracking) {
+    return true;
   }
-  if (hasCookies) {
-     console.log("All cookies for " + origin + " deemed low entropy...");
-     for (var n = 0; n < cookies.length; n++) {
-        console.log("    " + cookies[n]);
-     }
-     if (estimatedEntropy > MAX_COOKIE_ENTROPY) {
-       console.log("But total estimated entropy is " + estimatedEntropy + " bits, so blocking");
-       return true;
-     }
+  if (classification.cookies.length) {
+    console.log("All cookies for " + origin + " deemed low entropy (" +
+                classification.bits.toFixed(1) + " bits)...");
   } else {
     console.log(origin, "has no cookies!");
   }
@@ -69,25 +69,205 @@ function getPageScript() {
      * Read the local storage and returns content
      * @returns {{}}
      */
-    var getLocalStorageItems = function(){
+    var getStorageItems = function(storageName){
       var lsItems = {};
       var lsKey = "";
       try{
-        for (var i = 0; i < localStorage.length; i++) {
-          lsKey = localStorage.key(i);
-          lsItems[lsKey] = localStorage.getItem(lsKey);
+        var storage = window[storageName];
+        for (var i = 0; i < storage.length; i++) {
+          lsKey = storage.key(i);
+          lsItems[lsKey] = storage.getItem(lsKey);
         }
       } catch(err){
         // We get a SecurityError when our injected script runs in a 3rd party frame and
         // the user has disabled 3rd party cookies and site data. See, http://git.io/vLwff
         return {};
       }
-      // console.log("getLocalStorageItems will return", lsItems);
+      // console.log("getStorageItems will return", lsItems);
       return lsItems;
     };
 
-    var getIndexedDBItems = function(){
-      return {};
+    /**
+     * Read the local storage and returns content
+     * @returns {{}}
+     */
+    var getLocalStorageItems = function(){
+      return getStorageItems("localStorage");
+    };
+
+    /**
+     * Read the session storage and returns content
+     * @returns {{}}
+     */
+    var getSessionStorageItems = function(){
+      return getStorageItems("sessionStorage");
+    };
+
+    /**
+     * window.name survives navigating to another site. Watch for the frame
+     * stashing something identifying in it.
+     * @param callback called with the new name, for the first few names set
+     */
+    var watchWindowName = function (callback) {
+      var MAX_WINDOW_NAME_REPORTS = 5,
+        descriptor = Object.getOwnPropertyDescriptor(window, 'name'),
+        reports = 0;
+
+      if (!descriptor || !descriptor.set || !descriptor.configurable) {
+        return;
+      }
+
+      Object.defineProperty(window, 'name', {
+        get: descriptor.get,
+        set: function (value) {
+          descriptor.set.call(this, value);
+          if (value && reports < MAX_WINDOW_NAME_REPORTS) {
+            reports++;
+            callback(String(value));
+          }
+        },
+        enumerable: descriptor.enumerable,
+        configurable: true
+      });
+    };
+
+    // keep the cost of reading IndexedDB down
+    var IDB_MAX_DATABASES = 5,
+      IDB_MAX_STORES = 5, // per database
+      IDB_MAX_RECORDS = 10, // per object store
+      IDB_MAX_LEN = 256;
+
+    var stringifyIDBValue = function (value) {
+      var str;
+      try {
+        str = (typeof value == 'string' ? value : JSON.stringify(value));
+      } catch (err) {
+        // cyclic or otherwise unserializable
+        return '';
+      }
+      return String(str).substr(0, IDB_MAX_LEN);
+    };
+
+    /**
+     * Get the names of the IndexedDB databases this frame can see
+     * @param callback called with an array of database names
+     */
+    var listIndexedDBs = function (callback) {
+      try {
+        if (typeof indexedDB.databases == 'function') {
+          indexedDB.databases().then(function (dbs) {
+            callback(dbs.map(function (db) {
+              return db.name;
+            }));
+          }, function () {
+            callback([]);
+          });
+        } else if (typeof indexedDB.webkitGetDatabaseNames == 'function') {
+          var req = indexedDB.webkitGetDatabaseNames();
+          req.onsuccess = function () {
+            callback(Array.prototype.slice.call(req.result));
+          };
+          req.onerror = function () {
+            callback([]);
+          };
+        } else {
+          // no way to list databases in this browser
+          callback([]);
+        }
+      } catch (err) {
+        // We get a SecurityError when our injected script runs in a 3rd party frame and
+        // the user has disabled 3rd party cookies and site data.
+        callback([]);
+      }
+    };
+
+    /**
+     * Read the first few records of the first few object stores in a database
+     * @param name database name
+     * @param items key to value map to add the records to
+     * @param done called when finished, whether or not it worked
+     */
+    var readIndexedDB = function (name, items, done) {
+      var req;
+      try {
+        req = indexedDB.open(name);
+      } catch (err) {
+        return done();
+      }
+
+      req.onerror = function () {
+        done();
+      };
+      req.onupgradeneeded = function () {
+        // the database went away since we listed it,
+        // don't leave an empty one behind
+        req.transaction.abort();
+      };
+      req.onsuccess = function () {
+        var db = req.result,
+          stores = Array.prototype.slice.call(
+            db.objectStoreNames, 0, IDB_MAX_STORES),
+          finished = false,
+          tx;
+
+        // don't get in the way of the page upgrading its database
+        db.onversionchange = function () {
+          db.close();
+        };
+
+        var finish = function () {
+          if (!finished) {
+            finished = true;
+            db.close();
+            done();
+          }
+        };
+
+        try {
+          tx = db.transaction(stores, 'readonly');
+        } catch (err) {
+          // no object stores
+          return finish();
+        }
+        tx.oncomplete = tx.onabort = finish;
+
+        stores.forEach(function (store_name) {
+          var count = 0,
+            cursor_req = tx.objectStore(store_name).openCursor();
+
+          cursor_req.onsuccess = function () {
+            var cursor = cursor_req.result;
+            if (!cursor || count++ >= IDB_MAX_RECORDS) {
+              return;
+            }
+            items[stringifyIDBValue(cursor.key)] = stringifyIDBValue(cursor.value);
+            cursor.continue();
+          };
+        });
+      };
+    };
+
+    /**
+     * Read a bounded sample of the IndexedDB records this frame can see
+     * @param callback called with a key to value map of records
+     */
+    var getIndexedDBItems = function (callback) {
+      var items = {};
+
+      listIndexedDBs(function (names) {
+        var pending = Math.min(names.length, IDB_MAX_DATABASES);
+        if (!pending) {
+          return callback(items);
+        }
+
+        names.slice(0, IDB_MAX_DATABASES).forEach(function (name) {
+          readIndexedDB(name, items, function () {
+            if (--pending === 0) {
+              callback(items);
+            }
+          });
+        });
+      });
     };
 
     var getFileSystemAPIItems = function(){
@@ -101,9 +281,33 @@ function getPageScript() {
       send(
         { docUrl: document.location.href,
           localStorageItems: getLocalStorageItems(),
-          indexedDBItems: getIndexedDBItems(),
+          sessionStorageItems: getSessionStorageItems(),
+          indexedDBItems: {},
           fileSystemAPIItems: getFileSystemAPIItems()
         });
+
+      // entropy gets estimated in the background page
+      watchWindowName(function (name) {
+        send(
+          { docUrl: document.location.href,
+            localStorageItems: {},
+            indexedDBItems: {},
+            fileSystemAPIItems: {},
+            windowName: name
+          });
+      });
+
+      // IndexedDB can only be read asynchronously, report it separately
+      getIndexedDBItems(function (items) {
+        if (Object.keys(items).length) {
+          send(
+            { docUrl: document.location.href,
+              localStorageItems: {},
+              indexedDBItems: items,
+              fileSystemAPIItems: {}
+            });
+        }
+      });
     }
 
   // save locally to keep from getting overwritten by site code
@@ -327,7 +327,10 @@ var Utils = exports.Utils = {
   hasSuperCookie: function(storageItems) {
     return (
       Utils.hasLocalStorageSuperCookie(storageItems.localStorageItems)
-      // || Utils.hasLocalStorageSuperCookie(storageItems.indexedDBItems)
+      || Utils.hasLocalStorageSuperCookie(storageItems.sessionStorageItems)
+      || Utils.hasLocalStorageSuperCookie(storageItems.indexedDBItems)
+      || (!!storageItems.windowName &&
+        Utils.hasLocalStorageSuperCookie({"": storageItems.windowName}))
       // || Utils.hasLocalStorageSuperCookie(storageItems.fileSystemAPIItems)
       // TODO: Do we need separate functions for other supercookie vectors?
       // Let's wait until we implement them in the content script
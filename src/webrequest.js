@@ -54,7 +54,11 @@ var FilterStorage = require("filterStorage").FilterStorage;
         canvas: {
           fingerprinting: boolean,
           write: boolean
-        }
+        },
+        webgl: { ... same as canvas ... },
+        audio: { ... same as canvas ... },
+        enumeration: boolean,
+        fonts: boolean
       },
       ...
     },
@@ -244,7 +248,14 @@ function getHostForTab(tabId){
 }
 
 /**
- * Filters outgoing cookies
+ * Cache validators can stand in for cookies, see lib/main.js in the Firefox
+ * addon. These get stripped along with cookies.
+ */
+var cacheValidatorRequestHeaders = ["if-none-match", "if-modified-since"];
+var cacheValidatorResponseHeaders = ["etag", "last-modified"];
+
+/**
+ * Filters outgoing cookies and cache validators
  * Injects DNT
  *
  * @param details Event details
@@ -264,7 +275,9 @@ function onBeforeSendHeaders(details) {
     
     if (requestAction == "cookieblock" || requestAction == "usercookieblock") {
       var newHeaders = details.requestHeaders.filter(function(header) {
-        return (header.name.toLowerCase() != "cookie" && header.name.toLowerCase() != "referer");
+        var name = header.name.toLowerCase();
+        return (name != "cookie" && name != "referer" &&
+                cacheValidatorRequestHeaders.indexOf(name) == -1);
       });
       newHeaders.push({name: "DNT", value: "1"});
       return {requestHeaders: newHeaders};
@@ -277,7 +290,7 @@ function onBeforeSendHeaders(details) {
 }
 
 /**
- * Filters incoming cookies out of the response header
+ * Filters incoming cookies and cache validators out of the response header
  *
  * @param details The event details
  * @returns {*} The new response header
@@ -291,7 +304,9 @@ function onHeadersReceived(details){
   if (requestAction && Utils.isPrivacyBadgerEnabled(getHostForTab(details.tabId))) {
     if (requestAction == "cookieblock" || requestAction == "usercookieblock") {
       var newHeaders = details.responseHeaders.filter(function(header) {
-        return (header.name.toLowerCase() != "set-cookie");
+        var name = header.name.toLowerCase();
+        return (name != "set-cookie" &&
+                cacheValidatorResponseHeaders.indexOf(name) == -1);
       });
       newHeaders.push({name:'x-marks-the-spot', value:'foo'});
       //TODO don't return this unless we modified headers
@@ -363,7 +378,7 @@ function recordSuperCookie(sender, msg) {
 }
 
 /**
- * Record canvas fingerprinting
+ * Record canvas, WebGL, audio, enumeration and font fingerprinting
  *
  * @param {Integer} tabId
  * @param msg specific fingerprinting data
@@ -382,13 +397,26 @@ function recordFingerprinting(tabId, msg) {
     return;
   }
 
-  var CANVAS_WRITE = {
-    fillText: true,
-    strokeText: true
-  };
-  var CANVAS_READ = {
-    getImageData: true,
-    toDataURL: true
+  // write-then-read fingerprinting APIs
+  // for WebGL, asking for the unmasked renderer counts as the write
+  // and getting it as the read
+  var WRITE_READ = {
+    canvas: {
+      write: { fillText: true, strokeText: true },
+      read: { getImageData: true, toDataURL: true }
+    },
+    webgl: {
+      write: { drawArrays: true, drawElements: true, getExtension: true },
+      read: { readPixels: true, getParameter: true }
+    },
+    audio: {
+      write: { createOscillator: true, startRendering: true },
+      read: {
+        getChannelData: true,
+        getFloatFrequencyData: true,
+        getByteFrequencyData: true
+      }
+    }
   };
 
   if (!tabData[tabId].hasOwnProperty('fpData')) {
@@ -400,41 +428,63 @@ function recordFingerprinting(tabId, msg) {
   // initialize script TLD-level data
   if (!tabData[tabId].fpData.hasOwnProperty(script_origin)) {
     tabData[tabId].fpData[script_origin] = {
-      canvas: {
+      enumeration: false,
+      fonts: false
+    };
+    Object.keys(WRITE_READ).forEach(function (api) {
+      tabData[tabId].fpData[script_origin][api] = {
         fingerprinting: false,
         write: false
-      }
-    };
+      };
+    });
   }
   var scriptData = tabData[tabId].fpData[script_origin];
 
-  if (msg.extra.hasOwnProperty('canvas')) {
-    if (scriptData.canvas.fingerprinting) {
+  var api = Object.keys(WRITE_READ).filter(function (api) {
+    return msg.extra.hasOwnProperty(api);
+  })[0];
+
+  if (api) {
+    if (scriptData[api].fingerprinting) {
       return;
     }
 
-    // if this script already had a canvas write
-    if (scriptData.canvas.write) {
-      // and if this is a canvas read
-      if (CANVAS_READ.hasOwnProperty(msg.prop)) {
-        // and it got enough data
-        if (msg.extra.width > 16 && msg.extra.height > 16) {
+    // if this script already had a write
+    if (scriptData[api].write) {
+      // and if this is a read
+      if (WRITE_READ[api].read.hasOwnProperty(msg.prop)) {
+        // and it got enough data (not all reads are sized)
+        if (!msg.extra.hasOwnProperty('width') ||
+            (msg.extra.width > 16 && msg.extra.height > 16)) {
           // let's call it fingerprinting
-          scriptData.canvas.fingerprinting = true;
+          scriptData[api].fingerprinting = true;
 
           // mark this is a strike
           recordPrevalence(
             script_host, script_origin, getBaseDomain(document_host));
         }
       }
-      // this is a canvas write
-    } else if (CANVAS_WRITE.hasOwnProperty(msg.prop)) {
-      scriptData.canvas.write = true;
+      // this is a write
+    } else if (WRITE_READ[api].write.hasOwnProperty(msg.prop)) {
+      scriptData[api].write = true;
     }
+
+  // the page script only reports scripts that read enough
+  // navigator, plugin, screen and timezone properties,
+  // or that measured text in enough font families
+  } else if (msg.extra.hasOwnProperty('enumeration') ||
+      msg.extra.hasOwnProperty('fonts')) {
+    var kind = msg.extra.hasOwnProperty('fonts') ? 'fonts' : 'enumeration';
+    if (scriptData[kind]) {
+      return;
+    }
+    scriptData[kind] = true;
+
+    recordPrevalence(
+      script_host, script_origin, getBaseDomain(document_host));
   }
 }
 
-
 /**
  * read the url data from localStorage
  *
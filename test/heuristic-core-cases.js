@@ -0,0 +1,55 @@
+// Cases for lib/heuristicCore.js, shared by test/test-heuristic-core.js
+// (inside Firefox) and scripts/test-heuristic-core.js (in Node). They only
+// use assert.equal, assert.deepEqual and assert.ok, which both have.
+
+const heuristicCore = require("../lib/heuristicCore");
+
+exports.testParseCookieString = function(assert) {
+  assert.deepEqual(
+    heuristicCore.parseCookieString("uid=d93d4e842d10e12a; lang=en"),
+    { uid: "d93d4e842d10e12a", lang: "en" });
+  assert.deepEqual(heuristicCore.parseCookieString(""), {});
+};
+
+exports.testTrackingSignal = function(assert) {
+  assert.equal(heuristicCore.getTrackingSignal({ uid: "d93d4e842d10e12a" }),
+               "cookie", "high entropy cookies come first");
+  assert.equal(heuristicCore.getTrackingSignal({ dnt: "1" }), null);
+  assert.equal(heuristicCore.getTrackingSignal({ lang: "en", theme: "dark" }),
+               null, "preferences aren't tracking");
+  assert.equal(heuristicCore.getTrackingSignal({ dnt: "1" },
+                 { fingerprinting: "webgl", pixel: true }),
+               "webgl", "fingerprinting beats weaker signals");
+  assert.equal(heuristicCore.getTrackingSignal(null, { etag: true }), "etag");
+};
+
+exports.testAction = function(assert) {
+  assert.equal(heuristicCore.getAction(null, true), "notracking");
+  assert.equal(heuristicCore.getAction("cookie", false), "noaction");
+  assert.equal(heuristicCore.getAction("cookie", true), "cookieblock");
+};
+
+exports.testTrackingScore = function(assert) {
+  let now = Date.now();
+  let storage = { originFrequency: {} };
+  let store = storage.originFrequency;
+  heuristicCore.recordObservation(store, "tracker.com", "a.com",
+                                  { signal: "cookie", bits: 40 }, now);
+  heuristicCore.recordObservation(store, "tracker.com", "b.com",
+                                  { signal: "canvas" }, now - 1000);
+  heuristicCore.recordObservation(store, "tracker.com", "b.com",
+                                  { signal: "cookie", bits: 8 }, now);
+
+  let score = heuristicCore.getTrackingScore(storage, "tracker.com",
+                                             { now: now });
+  assert.equal(score.firstParties, 2);
+  assert.equal(score.score, 2.75,
+               "each first party counts for its strongest signal");
+  assert.deepEqual(score.signals, { cookie: 1.25, canvas: 1.5 });
+  assert.equal(score.threshold, heuristicCore.DEFAULT_SCORE_THRESHOLD);
+
+  store["tracker.com"]["a.com"].lastSeen = now - 5000;
+  score = heuristicCore.getTrackingScore(storage, "tracker.com",
+                                         { now: now, decayWindow: 1000 });
+  assert.equal(score.firstParties, 1, "expired observations don't count");
+};
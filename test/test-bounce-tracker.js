@@ -0,0 +1,184 @@
+const { Ci } = require("chrome");
+const { newURI } = require('sdk/url/utils');
+const { storage } = require("sdk/simple-storage");
+const bounceTracker = require("../lib/bounceTracker");
+const hb = require("../lib/heuristicBlocker");
+
+// Fake top-level document channel
+function documentChannel(url, status, headers, referrer) {
+  return {
+    URI: newURI(url),
+    referrer: referrer ? newURI(referrer) : null,
+    loadInfo: { contentPolicyType: Ci.nsIContentPolicy.TYPE_DOCUMENT },
+    responseStatus: status,
+    getResponseHeader: function(name) {
+      if (headers.hasOwnProperty(name)) { return headers[name]; }
+      throw new Error("no header");
+    }
+  };
+}
+
+exports.testBounce = function(assert) {
+  hb.init();
+  let win = {};
+  let hop = documentChannel("http://click.bouncer.com/r?u=shop.com", 302,
+                            { "Location": "http://shop.com/",
+                              "set-cookie": "uid=d93d4e842d10e12a" },
+                            "http://news.com/story");
+  assert.deepEqual(bounceTracker.onResponse(hop, win, "uid=d93d4e842d10e12a"),
+                   [], "nothing to report until the chain is done");
+
+  let destination = documentChannel("http://shop.com/", 200, {},
+                                    "http://news.com/story");
+  assert.deepEqual(bounceTracker.onResponse(destination, win, null),
+                   ["bouncer.com"], "the hop is a bounce tracker");
+  assert.ok(storage.originFrequency["bouncer.com"]["news.com"],
+            "the bounce counts as tracking on the source site");
+  delete storage.originFrequency["bouncer.com"];
+};
+
+exports.testRedirectWithinSite = function(assert) {
+  let win = {};
+  let hop = documentChannel("http://www.shop.com/", 301,
+                            { "Location": "http://shop.com/" },
+                            "http://news.com/story");
+  bounceTracker.onResponse(hop, win, "session=d93d4e842d10e12a");
+  let destination = documentChannel("http://shop.com/", 200, {},
+                                    "http://news.com/story");
+  assert.deepEqual(bounceTracker.onResponse(destination, win, null), [],
+                   "redirects within the destination site are not bounces");
+};
+
+exports.testCookielessRedirect = function(assert) {
+  let win = {};
+  let hop = documentChannel("http://short.link/abc", 301,
+                            { "Location": "http://shop.com/" },
+                            "http://news.com/story");
+  bounceTracker.onResponse(hop, win, null);
+  let destination = documentChannel("http://shop.com/", 200, {},
+                                    "http://news.com/story");
+  assert.deepEqual(bounceTracker.onResponse(destination, win, null), [],
+                   "hops that don't use cookies are not bounce trackers");
+};
+
+exports.testSingleSignOn = function(assert) {
+  let win = {};
+  let login = documentChannel("https://accounts.idp.com/login?next=news.com",
+                              302, { "Location": "https://news.com/callback" },
+                              "https://news.com/story");
+  bounceTracker.onResponse(login, win, "login=d93d4e842d10e12a");
+  let callback = documentChannel("https://news.com/callback", 200, {},
+                                 "https://accounts.idp.com/login");
+  assert.deepEqual(bounceTracker.onResponse(callback, win, null), [],
+                   "round trips through an identity provider are not bounces");
+  assert.ok(!storage.originFrequency["idp.com"]);
+};
+
+exports.testVisitedHop = function(assert) {
+  let win = {};
+  let hop = documentChannel("https://pay.checkout.com/r", 302,
+                            { "Location": "https://shop.com/thanks" },
+                            "https://news.com/story");
+  bounceTracker.onResponse(hop, win, "session=d93d4e842d10e12a");
+  let destination = documentChannel("https://shop.com/thanks", 200, {},
+                                    "https://news.com/story");
+  assert.deepEqual(bounceTracker.onResponse(destination, win, null),
+                   ["checkout.com"]);
+  delete storage.originFrequency["checkout.com"];
+
+  // The user goes to the site itself
+  let visit = documentChannel("https://checkout.com/account", 200, {}, null);
+  bounceTracker.onResponse(visit, win, null);
+
+  hop = documentChannel("https://pay.checkout.com/r", 302,
+                        { "Location": "https://store.com/thanks" },
+                        "https://blog.com/post");
+  bounceTracker.onResponse(hop, win, "session=d93d4e842d10e12a");
+  destination = documentChannel("https://store.com/thanks", 200, {},
+                                "https://blog.com/post");
+  assert.deepEqual(bounceTracker.onResponse(destination, win, null), [],
+                   "hops the user also visits are not bounce trackers");
+  assert.ok(!storage.originFrequency["checkout.com"]);
+  bounceTracker.clear();
+};
+
+exports.testPrivateHops = function(assert) {
+  const prefs = require("sdk/simple-prefs").prefs;
+  hb.init();
+  bounceTracker.clear();
+  // The user went to the site in a private window
+  storage.bounceHopsPrivate = {
+    "checkout.com": { visited: true, lastSeen: Date.now() }
+  };
+
+  function bounce() {
+    let win = {};
+    let hop = documentChannel("https://pay.checkout.com/r", 302,
+                              { "Location": "https://shop.com/thanks" },
+                              "https://news.com/story");
+    bounceTracker.onResponse(hop, win, "session=d93d4e842d10e12a");
+    let destination = documentChannel("https://shop.com/thanks", 200, {},
+                                      "https://news.com/story");
+    let bouncers = bounceTracker.onResponse(destination, win, null);
+    delete storage.originFrequency["checkout.com"];
+    return bouncers;
+  }
+
+  assert.deepEqual(bounce(), [],
+                   "private visits count when private learning is global");
+  prefs.privateLearning = "session";
+  assert.deepEqual(bounce(), ["checkout.com"],
+                   "but not outside private windows otherwise");
+  prefs.privateLearning = "global";
+
+  require("../lib/privateBrowsing").cleanup();
+  assert.deepEqual(storage.bounceHopsPrivate, {},
+                   "private hops are wiped when the private session ends");
+  bounceTracker.clear();
+};
+
+exports.testPruneHops = function(assert) {
+  let longAgo = Date.now() - 1000 * 60 * 60 * 24 * 365;
+  hb.init();
+  bounceTracker.clear();
+  storage.bounceHops = {
+    "old-hop.com": { visited: false, lastSeen: longAgo },
+    "new-hop.com": { visited: false, lastSeen: Date.now() }
+  };
+  storage.bounceHopsPrivate = {
+    "old-private-hop.com": { visited: true, lastSeen: longAgo }
+  };
+  hb.compactPrevalence();
+  assert.deepEqual(Object.keys(storage.bounceHops), ["new-hop.com"],
+                   "hops expire along with originFrequency");
+  assert.deepEqual(storage.bounceHopsPrivate, {});
+  bounceTracker.clear();
+};
+
+exports.testUnidentifyingCookies = function(assert) {
+  let win = {};
+  let hop = documentChannel("http://go.redirector.com/r", 302,
+                            { "Location": "http://shop.com/" },
+                            "http://news.com/story");
+  bounceTracker.onResponse(hop, win, "lang=en");
+  let destination = documentChannel("http://shop.com/", 200, {},
+                                    "http://news.com/story");
+  assert.deepEqual(bounceTracker.onResponse(destination, win, null), [],
+                   "cookies that can't identify the user don't make a bounce");
+};
+
+exports.testStripCookies = function(assert) {
+  hb.init();
+  storage.blockedOrigins["bouncer.com"] = true;
+  let hop = documentChannel("http://click.bouncer.com/r", 302, {},
+                            "http://news.com/story");
+  assert.ok(bounceTracker.shouldStripCookies(hop, {}),
+            "cross-site navigations through known bounce trackers lose cookies");
+  let visit = documentChannel("http://bouncer.com/account", 200, {},
+                              "http://bouncer.com/");
+  assert.ok(!bounceTracker.shouldStripCookies(visit, {}),
+            "visiting the tracker's own site keeps cookies");
+  delete storage.blockedOrigins["bouncer.com"];
+};
+
+require("sdk/test").run(exports);
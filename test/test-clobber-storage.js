@@ -0,0 +1,129 @@
+const tabs = require("sdk/tabs");
+const testUtils = require("../lib/testUtils");
+const { startServerAsync } = require('./httpd');
+const main = require("../lib/main");
+const userStorage = require("../lib/userStorage");
+userStorage.init();
+
+function teardown() {
+  main.clearData(true, true);
+}
+
+function visit(url, callback) {
+  tabs.open({
+    url: url,
+    onLoad: function(tab) {
+      let title = tab.title;
+      tab.close(function() { callback(title); });
+    }
+  });
+}
+
+// Serves a page embedding a cookieblocked frame that runs frameScript, which
+// reports back to the page with parent.postMessage. The page puts what it got
+// in its title.
+function prepareFramePage(name, frameScript) {
+  let frameUrl = "http://127.0.0.1:" + testUtils.port + "/" + name + "-frame.html";
+  testUtils.prepareFile(name + "-frame.html",
+    '<html><body><script>' + frameScript + '</script></body></html>');
+  testUtils.prepareFile(name + "-page.html",
+    '<html><head><title>loading</title><script>' +
+    'window.addEventListener("message", function(e) {' +
+    '  document.title = e.data;' +
+    '});</script></head><body>' +
+    '<iframe src="' + frameUrl + '"></iframe></body></html>');
+
+  main.main();
+  userStorage.add("yellow", "127.0.0.1");
+  return "http://localhost:" + testUtils.port + "/" + name + "-page.html";
+}
+
+// The frame saves an ID in localStorage and reports what it found there
+exports.testLocalStorageDoesNotPersist = function(assert, done) {
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let pageUrl = prepareFramePage("test-clobber-storage",
+    'var uid = localStorage.getItem("uid");' +
+    'localStorage.setItem("uid", "d93d4e842d10e12a");' +
+    'parent.postMessage(String(uid), "*");');
+
+  visit(pageUrl, function(firstTitle) {
+    assert.equal(firstTitle, "null", "nothing stored on the first visit");
+    visit(pageUrl, function(secondTitle) {
+      assert.equal(secondTitle, "null",
+                   "the ID saved on the first visit is gone");
+      teardown();
+      srv.stop(done);
+    });
+  });
+};
+
+// The frame saves an ID in a database and reports what it found there
+exports.testIndexedDBDoesNotPersist = function(assert, done) {
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let pageUrl = prepareFramePage("test-clobber-indexeddb",
+    'var request = indexedDB.open("ids", 1);' +
+    'request.onupgradeneeded = function() {' +
+    '  request.result.createObjectStore("ids");' +
+    '};' +
+    'request.onsuccess = function() {' +
+    '  var store = request.result.transaction("ids", "readwrite")' +
+    '    .objectStore("ids");' +
+    '  var get = store.get("uid");' +
+    '  get.onsuccess = function() {' +
+    '    store.put("d93d4e842d10e12a", "uid");' +
+    '    parent.postMessage(String(get.result), "*");' +
+    '  };' +
+    '};');
+
+  visit(pageUrl, function(firstTitle) {
+    assert.equal(firstTitle, "undefined", "nothing stored on the first visit");
+    visit(pageUrl, function(secondTitle) {
+      assert.equal(secondTitle, "undefined",
+                   "the ID saved on the first visit is gone");
+      teardown();
+      srv.stop(done);
+    });
+  });
+};
+
+// The frame opens a database every way it has, and they all work
+exports.testIndexedDBEverywhere = function(assert, done) {
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let pageUrl = prepareFramePage("test-clobber-indexeddb-everywhere",
+    'var results = [ "detected: " + !!window.indexedDB ];' +
+    'function report(result) {' +
+    '  results.push(result);' +
+    '  if (results.length === 5) {' +
+    '    parent.postMessage(results.sort().join(", "), "*");' +
+    '  }' +
+    '}' +
+    'function attempt(name, open) {' +
+    '  try { open().onsuccess = function() { report(name + ": opened"); }; }' +
+    '  catch (e) { report(name + ": " + e.name); }' +
+    '}' +
+    'attempt("window", function() { return indexedDB.open("uid"); });' +
+    'attempt("prototype", function() {' +
+    '  return IDBFactory.prototype.open.call(indexedDB, "uid");' +
+    '});' +
+    'var child = document.createElement("iframe");' +
+    'document.body.appendChild(child);' +
+    'attempt("child frame", function() {' +
+    '  return child.contentWindow.indexedDB.open("uid");' +
+    '});' +
+    'var worker = new Worker(URL.createObjectURL(new Blob([' +
+    '  "try { indexedDB.open(\'uid\').onsuccess = function() {" +' +
+    '  "  postMessage(\'opened\'); }; }" +' +
+    '  "catch (e) { postMessage(e.name); }"' +
+    '])));' +
+    'worker.onmessage = function(e) { report("worker: " + e.data); };');
+
+  visit(pageUrl, function(title) {
+    assert.equal(title, "child frame: opened, detected: true, " +
+                        "prototype: opened, window: opened, worker: opened",
+                 "cookieblocked frames get a working IndexedDB");
+    teardown();
+    srv.stop(done);
+  });
+};
+
+require("sdk/test").run(exports);
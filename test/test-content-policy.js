@@ -20,4 +20,14 @@ exports["test Policy hasWhitelistedScheme"] = function(assert) {
   }
 };
 
+exports["test Policy isFirstPartyPolicyRequest"] = function(assert) {
+  let location = utils.makeURI("https://tracker.example/");
+  let window = { top: { location: { hostname: "unchecked.example" } } };
+
+  assert.ok(!Policy._isFirstPartyPolicyRequest(location, null),
+            "requests without a window aren't covered by any policy");
+  assert.ok(!Policy._isFirstPartyPolicyRequest(location, window),
+            "nor are requests on a first party we haven't checked");
+};
+
 require("sdk/test").run(exports);
@@ -0,0 +1,86 @@
+const cookieClassifier = require("../lib/cookieClassifier");
+
+// Cookies seen in the wild, and whether one origin setting them all should
+// count as tracking with the default budget.
+let FIXTURES = [
+  { cookies: { theme: "dark" }, tracking: false },
+  { cookies: { consent: "accepted-2015" }, tracking: false },
+  { cookies: { lang: "en-US" }, tracking: false },
+  { cookies: { dnt: "1" }, tracking: false },
+  { cookies: { optout: "true" }, tracking: false },
+  { cookies: { optimizelyBuckets: "%7B%7D" }, tracking: false },
+  { cookies: { lang: "en", theme: "dark" }, tracking: false },
+  { cookies: { test: "1", test2: "2", test3: "3" }, tracking: true },
+  { cookies: { test: "foo", privacy: "badger" }, tracking: true },
+  { cookies: { sid: "hjdkauwqpzme" }, tracking: true },
+  { cookies: { sid: "qzxkvbta" }, tracking: true },
+  { cookies: { PUAS3: "3186efa7f8bca99c" }, tracking: true },
+  { cookies: { uid: "550e8400-e29b-41d4-a716-446655440000" }, tracking: true },
+  { cookies: { firstVisit: "1394241144653" }, tracking: true },
+  { cookies: { optimizelyEndUserId: "oeu1394241144653r0.5381617322055392" },
+    tracking: true },
+  { cookies: { NID: "67=VwhHOGQunRmNsm9WwJyK571OGqb3RtvUmH987K5DXFgKFAxFwa" +
+                    "fA_5VPF5_bsjhrCoM0BjyQdxyL2b-qs9b-fmYCQ_1UqjtqTeidAJBn" },
+    tracking: true },
+  { cookies: { "uid_8f3a9c2e17b4d0e5": "1" }, tracking: true }
+];
+
+// Known formats, and the format name the classifier should report.
+let FORMATS = {
+  "550e8400-e29b-41d4-a716-446655440000": "uuid",
+  "{550E8400-E29B-41D4-A716-446655440000}": "uuid",
+  "1394241144": "timestamp",
+  "1394241144653": "timestamp",
+  "3186efa7f8bca99c": "hex",
+  "dUT0ayZECO0g+hHtQnjrdEZivWA=": "base64",
+  "pt-BR": "language",
+  "no_data": "boolean",
+  "": "boolean"
+};
+
+exports.testFixtures = function(assert) {
+  FIXTURES.forEach(function(fixture) {
+    let result = cookieClassifier.classifyCookies(fixture.cookies);
+    assert.equal(result.tracking, fixture.tracking,
+                 JSON.stringify(fixture.cookies) + " scored " +
+                 result.bits.toFixed(1) + " bits");
+  });
+};
+
+exports.testFormats = function(assert) {
+  for (let value in FORMATS) {
+    if (FORMATS.hasOwnProperty(value)) {
+      assert.equal(cookieClassifier.scoreValue(value).format, FORMATS[value],
+                   "test that " + value + " is detected as " + FORMATS[value]);
+    }
+  }
+};
+
+exports.testBudget = function(assert) {
+  let cookies = { test: "1", test2: "2", test3: "3" };
+  assert.ok(cookieClassifier.classifyCookies(cookies, 8).tracking,
+            "three digits are over an 8 bit budget");
+  assert.ok(!cookieClassifier.classifyCookies(cookies, 12).tracking,
+            "three digits are under a 12 bit budget");
+  assert.ok(!cookieClassifier.classifyCookies({}, 0).tracking,
+            "no cookies is never tracking");
+};
+
+exports.testRegisterFormat = function(assert) {
+  let value = "session-a";
+  assert.equal(cookieClassifier.scoreValue(value).format, "tokens");
+  let format = {
+    name: "test-format",
+    test: function(value) { return value.indexOf("session-") === 0; },
+    bits: function() { return 0; }
+  };
+  cookieClassifier.registerFormat(format);
+  let score = cookieClassifier.scoreValue(value);
+  cookieClassifier.unregisterFormat(format);
+  assert.equal(score.format, "test-format", "registered formats are used");
+  assert.equal(score.bits, 0, "registered formats are scored");
+  assert.equal(cookieClassifier.scoreValue(value).format, "tokens",
+               "unregistered formats aren't");
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,154 @@
+const tabs = require("sdk/tabs");
+const { setTimeout } = require("sdk/timers");
+const { storage } = require("sdk/simple-storage");
+const { prefs } = require("sdk/simple-prefs");
+const testUtils = require("../lib/testUtils");
+const { startServerAsync } = require('./httpd');
+const main = require("../lib/main");
+const trackerEvidence = require("../lib/trackerEvidence");
+const userStorage = require("../lib/userStorage");
+userStorage.init();
+
+function teardown() {
+  main.clearData(true, true);
+}
+
+// Reports from the page script are debounced, give them time to arrive
+const gReportDelay = 1000;
+
+function testScript(name, code, assertion) {
+  return function(assert, done) {
+    let srv = startServerAsync(testUtils.port, testUtils.basePath);
+    let scriptUrl = "http://127.0.0.1:" + testUtils.port + "/" + name + ".js";
+    let pageUrl = "http://localhost:" + testUtils.port + "/" + name + ".html";
+
+    testUtils.prepareFile(name + ".js", code);
+    testUtils.prepareFile(name + ".html",
+      '<html><body><script src="' + scriptUrl + '"></script></body></html>');
+
+    main.main();
+
+    tabs.open({
+      url: pageUrl,
+      onLoad: function(tab) {
+        setTimeout(function() {
+          assertion(assert, storage.originFrequency["127.0.0.1"]);
+          tab.close(function() {
+            teardown();
+            srv.stop(done);
+          });
+        }, gReportDelay);
+      }
+    });
+  };
+}
+
+// Script source that reads all the given properties
+function readAll(props) {
+  return "var fp = [" + props.join(", ") + "].join('|');";
+}
+
+// A third party script that reads every property it can find
+exports.testEnumeration = testScript("test-enumeration", readAll([
+  "navigator.plugins.length", "navigator.mimeTypes.length",
+  "navigator.userAgent", "navigator.platform", "navigator.language",
+  "navigator.languages", "navigator.hardwareConcurrency",
+  "navigator.doNotTrack", "navigator.cookieEnabled", "navigator.oscpu",
+  "screen.width", "screen.height", "screen.availWidth", "screen.availHeight",
+  "screen.colorDepth", "new Date().getTimezoneOffset()"
+]), function(assert, seenOn) {
+  assert.ok(seenOn && seenOn.localhost,
+            "enumeration fingerprinting counts towards prevalence");
+});
+
+// A third party script that only reads a few properties, like analytics do
+exports.testFewProperties = testScript("test-few-properties", readAll([
+  "navigator.userAgent", "navigator.language",
+  "screen.width", "screen.height"
+]), function(assert, seenOn) {
+  assert.ok(!(seenOn && seenOn.localhost),
+            "reading a few properties is not fingerprinting");
+});
+
+// A third party script that reads lots of ordinary properties, but none of
+// the ones only fingerprinters need
+exports.testOrdinaryProperties = testScript("test-ordinary-properties", readAll([
+  "navigator.plugins.length", "navigator.mimeTypes.length",
+  "navigator.userAgent", "navigator.platform", "navigator.language",
+  "navigator.languages", "navigator.doNotTrack", "navigator.cookieEnabled",
+  "navigator.appVersion", "navigator.vendor",
+  "screen.width", "screen.height", "screen.availWidth", "screen.availHeight",
+  "screen.colorDepth", "screen.pixelDepth", "new Date().getTimezoneOffset()"
+]), function(assert, seenOn) {
+  assert.ok(!(seenOn && seenOn.localhost),
+            "analytics reading screen and browser settings is not fingerprinting");
+});
+
+// A third party script that renders a tone offline and reads back the samples
+exports.testAudio = testScript("test-audio", [
+  "var ctx = new OfflineAudioContext(1, 44100, 44100);",
+  "var oscillator = ctx.createOscillator();",
+  "oscillator.connect(ctx.destination);",
+  "oscillator.start(0);",
+  "ctx.oncomplete = function (e) {",
+  "  window.fp = e.renderedBuffer.getChannelData(0).slice(4500, 5000);",
+  "};",
+  "ctx.startRendering();"
+].join("\n"), function(assert, seenOn) {
+  assert.ok(seenOn && seenOn.localhost,
+            "audio fingerprinting counts towards prevalence");
+});
+
+// A third party script that measures a span in lots of font families
+exports.testFonts = testScript("test-fonts", [
+  "var fonts = [];",
+  "for (var i = 0; i < 30; i++) { fonts.push('Font' + i + ', monospace'); }",
+  "var span = document.createElement('span');",
+  "span.textContent = 'mmmmmmmmmmlli';",
+  "document.body.appendChild(span);",
+  "window.fp = fonts.map(function (font) {",
+  "  span.style.fontFamily = font;",
+  "  return span.offsetWidth + 'x' + span.offsetHeight;",
+  "});"
+].join("\n"), function(assert, seenOn) {
+  assert.ok(seenOn && seenOn.localhost,
+            "font fingerprinting counts towards prevalence");
+});
+
+// A known canvas fingerprinter gets a blank image back when the canvas
+// defense is on
+exports.testCanvasDefense = function(assert, done) {
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let scriptUrl = "http://127.0.0.1:" + testUtils.port + "/test-canvas-defense.js";
+  let pageUrl = "http://localhost:" + testUtils.port + "/test-canvas-defense.html";
+
+  testUtils.prepareFile("test-canvas-defense.js", [
+    "var canvas = document.createElement('canvas');",
+    "var blank = document.createElement('canvas');",
+    "canvas.width = blank.width = 200;",
+    "canvas.height = blank.height = 50;",
+    "canvas.getContext('2d').fillText('Cwm fjordbank glyphs vext quiz', 2, 20);",
+    "document.title = canvas.toDataURL() == blank.toDataURL() ? 'blank' : 'drawn';"
+  ].join("\n"));
+  testUtils.prepareFile("test-canvas-defense.html",
+    '<html><head><script src="' + scriptUrl + '"></script></head></html>');
+
+  main.main();
+  trackerEvidence.record("127.0.0.1", "localhost", { signal: "canvas" });
+  prefs.canvasDefense = "blank";
+
+  tabs.open({
+    url: pageUrl,
+    onLoad: function(tab) {
+      assert.equal(tab.title, "blank",
+                   "canvas fingerprinter reads back a blank canvas");
+      prefs.canvasDefense = "off";
+      tab.close(function() {
+        teardown();
+        srv.stop(done);
+      });
+    }
+  });
+};
+
+require("sdk/test").run(exports);
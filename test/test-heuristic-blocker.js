@@ -87,5 +87,298 @@ exports.testGetAction = function(assert){
 
 };
 
+exports.testCookieSync = function(assert){
+  let uid = "d93d4e842d10e12a";
+  hb.rememberCookieValues("tracker-a.com", { uid: uid, lang: "en" });
+
+  let channelInfo = {
+    origin: 'tracker-b.com',
+    parentOrigin: 'example.com'
+  };
+  let channel = {
+    URI: newURI("http://tracker-b.com/pixel?partner_uid=" + uid)
+  };
+  assert.equal(hb.findSyncedCookie(channel, channelInfo), "tracker-a.com",
+               "finds another origin's cookie value in the URL");
+
+  channel = {
+    URI: newURI("http://tracker-b.com/pixel?lang=en")
+  };
+  assert.equal(hb.findSyncedCookie(channel, channelInfo), null,
+               "ignores low entropy cookie values");
+
+  channelInfo.origin = "tracker-a.com";
+  channel = {
+    URI: newURI("http://tracker-a.com/pixel?uid=" + uid)
+  };
+  assert.equal(hb.findSyncedCookie(channel, channelInfo), null,
+               "an origin sending its own cookie value is not syncing");
+
+  hb.rememberCookieValues("example.com", { session: "8f3a9c2e17b4d0e5" });
+  channelInfo.origin = "tracker-b.com";
+  channel = {
+    URI: newURI("http://tracker-b.com/pixel?sid=8f3a9c2e17b4d0e5")
+  };
+  assert.equal(hb.findSyncedCookie(channel, channelInfo), null,
+               "the first party handing its own cookie value to a third " +
+               "party is not syncing");
+
+  hb.rememberCookieValues("tracker-c.com",
+                          { ID: "ID=3838eaea5cd40d37:T=1394241144" });
+  channel = {
+    URI: newURI("http://tracker-b.com/pixel?c_uid=3838eaea5cd40d37")
+  };
+  assert.equal(hb.findSyncedCookie(channel, channelInfo), "tracker-c.com",
+               "finds the ID in a compound cookie value");
+};
+
+exports.testTrackingPixel = function(assert){
+  let channel = {
+    URI: newURI("http://tracker.com/p.gif?uid=d93d4e842d10e12a&v=1"),
+    contentType: "image/gif",
+    contentLength: 43
+  };
+  assert.ok(hb.isTrackingPixel(channel),
+            "tiny image with an identifier in the URL is a pixel");
+
+  channel.URI = newURI("http://tracker.com/p.gif?v=1&lang=en&cb=" +
+                       "8f3a9c2e17b4d0e5&t=1394241144653");
+  assert.ok(!hb.isTrackingPixel(channel),
+            "cache busters and timestamps are not identifiers");
+
+  channel = {
+    URI: newURI("http://tracker.com/logo.png?uid=d93d4e842d10e12a"),
+    contentType: "image/png",
+    contentLength: 24000
+  };
+  assert.ok(!hb.isTrackingPixel(channel), "large images are not pixels");
+};
+
+function etagChannel(url, etag) {
+  return {
+    URI: newURI(url),
+    getRequestHeader: function(name) {
+      if (name === "If-None-Match") { return etag; }
+      throw new Error("no header");
+    }
+  };
+}
+
+exports.testEtagTracking = function(assert){
+  // A static file on a CDN, with a content hash ETag
+  let cdnFile = "https://cdn.example.net/jquery-1.11.min.js";
+  let cdnEtag = '"5d41402abc4b2a76b9719d911017c592"';
+  let channelInfo = { origin: "example.net", parentOrigin: "a.com" };
+  assert.ok(!hb.isEtagTracking(etagChannel(cdnFile, cdnEtag), channelInfo, false),
+            "a static file is not tracking");
+  channelInfo.parentOrigin = "b.com";
+  assert.ok(!hb.isEtagTracking(etagChannel(cdnFile, cdnEtag), channelInfo, false),
+            "nor is it when fetched from a second first party");
+  assert.ok(!hb.isEtagTracking(etagChannel(cdnFile + "?ver=2", cdnEtag),
+                               channelInfo, false),
+            "nor with a cache buster");
+  assert.ok(!hb.isEtagTracking(etagChannel(cdnFile, cdnEtag), channelInfo, true),
+            "nor when private windows get the same ETag");
+
+  // The same pixel gives each browser its own ETag
+  let pixel = "https://etag-tracker.com/p.gif";
+  channelInfo = { origin: "etag-tracker.com", parentOrigin: "a.com" };
+  assert.ok(!hb.isEtagTracking(etagChannel(pixel, '"d93d4e842d10e12a"'),
+                               channelInfo, false));
+  assert.ok(hb.isEtagTracking(etagChannel(pixel, '"0f7c2e9a41b35d86"'),
+                              channelInfo, true),
+            "a URL with a different ETag in private windows is tracking");
+
+  // The same identifier as the ETag of whatever the tracker serves
+  channelInfo = { origin: "etag-tracker2.com", parentOrigin: "a.com" };
+  assert.ok(!hb.isEtagTracking(
+    etagChannel("https://etag-tracker2.com/a.js", '"d93d4e842d10e12a"'),
+    channelInfo, false));
+  assert.ok(hb.isEtagTracking(
+    etagChannel("https://etag-tracker2.com/b.gif", '"d93d4e842d10e12a"'),
+    channelInfo, false),
+    "the same ETag for different resources is tracking");
+
+  assert.ok(!hb.isEtagTracking(
+    etagChannel("https://etag-tracker2.com/c.gif", '"v2"'), channelInfo, false),
+    "low entropy ETags are not identifiers");
+  assert.ok(!hb.isEtagTracking(
+    etagChannel("https://etag-tracker2.com/d.gif", '"v2"'), channelInfo, false));
+};
+
+exports.testPrevalenceDecay = function(assert){
+  let origin = "stale-tracker.com";
+  let now = Date.now();
+  let longAgo = now - 1000 * 60 * 60 * 24 * 365;
+  hb.init();
+  storage.originFrequency[origin] = {
+    "a.com": { firstSeen: longAgo, lastSeen: longAgo },
+    "b.com": { firstSeen: longAgo, lastSeen: longAgo },
+    "c.com": { firstSeen: longAgo, lastSeen: now }
+  };
+  hb.blockOrigin(origin);
+
+  assert.equal(hb.getTrackingScore(origin).firstParties, 1,
+               "observations outside the decay window don't count");
+
+  let unblocked = hb.compactPrevalence();
+  assert.ok(unblocked.indexOf(origin) !== -1, "stale origin gets unblocked");
+  assert.ok(!storage.blockedOrigins.hasOwnProperty(origin));
+  assert.deepEqual(Object.keys(storage.originFrequency[origin]), ["c.com"],
+                   "expired observations are pruned");
+
+  delete storage.originFrequency[origin];
+};
+
+exports.testLearningDisabled = function(assert){
+  const prefs = require("sdk/simple-prefs").prefs;
+  hb.init();
+  let learned = "learned-tracker.com";
+  hb.blockOrigin(learned);
+
+  prefs.heuristicEnabled = false;
+  hb.recordPrevalence("new-tracker.com", "a.com", "a.com", null,
+                      { signal: "canvas" });
+  assert.ok(!storage.originFrequency.hasOwnProperty("new-tracker.com"),
+            "nothing is learned while learning is off");
+  assert.ok(!userStorage.isBlockedOrigin(learned),
+            "learned blocks don't apply while learning is off");
+  assert.ok(userStorage.isBlockedOrigin("doubleclick.net"),
+            "the bundled blocklist does");
+  prefs.bundledBlocklistEnabled = false;
+  assert.ok(!userStorage.isBlockedOrigin("doubleclick.net"));
+  prefs.bundledBlocklistEnabled = true;
+
+  prefs.heuristicEnabled = true;
+  assert.ok(userStorage.isBlockedOrigin(learned),
+            "learned blocks are back when learning resumes");
+  assert.ok(!userStorage.isBlockedOrigin("doubleclick.net"));
+  hb.unblockOrigin(learned);
+};
+
+exports.testLearningPaused = function(assert){
+  const prefs = require("sdk/simple-prefs").prefs;
+  let origin = "paused-tracker.com";
+  let decayWindow = prefs.prevalenceDecayDays * 1000 * 60 * 60 * 24;
+  hb.init();
+  storage.originFrequency[origin] = {
+    "a.com": { firstSeen: Date.now(), lastSeen: Date.now() }
+  };
+
+  // Learning off, then back on (see heuristicToggle in prefsListener.js),
+  // longer ago than the decay window
+  hb.cleanup();
+  storage.learningPausedAt -= 2 * decayWindow;
+  storage.originFrequency[origin]["a.com"].lastSeen -= 2 * decayWindow;
+  hb.init();
+
+  assert.ok(storage.originFrequency[origin] &&
+            storage.originFrequency[origin]["a.com"],
+            "observations don't age while learning is off");
+  assert.ok(!storage.hasOwnProperty("learningPausedAt"));
+  delete storage.originFrequency[origin];
+};
+
+exports.testPrivateLearning = function(assert){
+  const prefs = require("sdk/simple-prefs").prefs;
+  hb.init();
+  let origin = "private-tracker.com";
+  storage.originFrequency[origin] = {
+    "a.com": { firstSeen: Date.now(), lastSeen: Date.now() }
+  };
+  storage.originFrequencyPrivate[origin] = {
+    "b.com": { firstSeen: Date.now(), lastSeen: Date.now() },
+    "c.com": { firstSeen: Date.now(), lastSeen: Date.now() }
+  };
+
+  assert.equal(hb.getTrackingScore(origin).score, 3,
+               "private observations count when learning is global");
+  prefs.privateLearning = "session";
+  assert.equal(hb.getTrackingScore(origin).score, 1,
+               "but not towards the global blocklist otherwise");
+  assert.equal(hb.getTrackingScore(origin, true).score, 3,
+               "they do count towards the private session blocklist");
+  prefs.privateLearning = "global";
+
+  storage.blockedOriginsPrivate[origin] = true;
+  storage.domainExceptionsPrivate["example.com"] = { "tracker.com": "noaction" };
+  require("../lib/privateBrowsing").cleanup();
+  assert.deepEqual(storage.blockedOriginsPrivate, {});
+  assert.deepEqual(storage.domainExceptionsPrivate, {},
+                   "private stores are wiped when the private session ends");
+  delete storage.originFrequency[origin];
+};
+
+exports.testTrackingScore = function(assert){
+  hb.init();
+  require("../lib/trackerEvidence").init();
+
+  let origin = "canvas-tracker.com";
+  hb.recordPrevalence(origin, "a.com", "a.com", null, { signal: "canvas" });
+  hb.recordPrevalence(origin, "b.com", "b.com", null, { signal: "canvas" });
+  assert.equal(hb.getTrackingScore(origin).score, 3);
+  assert.ok(storage.blockedOrigins.hasOwnProperty(origin),
+            "canvas fingerprinting on two first parties is enough to block");
+
+  origin = "cookie-tracker.com";
+  hb.recordPrevalence(origin, "a.com", "a.com", null,
+                      { signal: "cookie", bits: 8 });
+  hb.recordPrevalence(origin, "b.com", "b.com", null,
+                      { signal: "cookie", bits: 8 });
+  assert.ok(!storage.blockedOrigins.hasOwnProperty(origin),
+            "low entropy cookies on two first parties are not");
+  hb.recordPrevalence(origin, "c.com", "c.com", null,
+                      { signal: "cookie", bits: 8 });
+  assert.ok(storage.blockedOrigins.hasOwnProperty(origin),
+            "but on three first parties they are");
+
+  let score = hb.getTrackingScore(origin);
+  assert.equal(score.firstParties, 3);
+  assert.deepEqual(score.signals, { cookie: 3 });
+
+  ["canvas-tracker.com", "cookie-tracker.com"].forEach(function(origin) {
+    hb.unblockOrigin(origin);
+    delete storage.originFrequency[origin];
+  });
+};
+
+exports.testRevokePolicyWhitelist = function(assert){
+  const policyCheck = require("../lib/policyCheck");
+  hb.init();
+  storage.policyWhitelist = {};
+  storage.policyRevocations = [];
+
+  let origin = "policy-tracker.com";
+  ["a.com", "b.com", "c.com"].forEach(function(parentOrigin) {
+    storage.originFrequency[origin] = storage.originFrequency[origin] || {};
+    storage.originFrequency[origin][parentOrigin] =
+      { firstSeen: Date.now(), lastSeen: Date.now() };
+  });
+  policyCheck.whitelistHostFromPrivacyPolicy(origin);
+  assert.ok(storage.userGreen[origin], "whitelisting makes the host green");
+
+  policyCheck.revokeHostFromPrivacyPolicy(origin, 404);
+  assert.ok(!storage.policyWhitelist.hasOwnProperty(origin));
+  assert.ok(!storage.userGreen.hasOwnProperty(origin),
+            "revoking takes back what the whitelist gave");
+  assert.ok(storage.blockedOrigins.hasOwnProperty(origin),
+            "and the heuristic blocks the host again");
+  assert.equal(storage.policyRevocations[0].host, origin,
+               "the revocation is recorded for the options page");
+
+  // The user had already chosen to allow this one
+  let userOrigin = "user-allowed.com";
+  storage.userGreen[userOrigin] = true;
+  policyCheck.whitelistHostFromPrivacyPolicy(userOrigin);
+  policyCheck.revokeHostFromPrivacyPolicy(userOrigin, 200);
+  assert.ok(storage.userGreen[userOrigin],
+            "revoking leaves user choices alone");
+
+  hb.unblockOrigin(origin);
+  delete storage.originFrequency[origin];
+  delete storage.userGreen[userOrigin];
+  storage.policyRevocations = [];
+};
+
 require("sdk/test").run(exports);
 prefsService.set("network.cookie.lifetimePolicy", 0);
@@ -0,0 +1,7 @@
+const cases = require("./heuristic-core-cases");
+
+Object.keys(cases).forEach(function(name) {
+  exports[name] = cases[name];
+});
+
+require("sdk/test").run(exports);
@@ -0,0 +1,66 @@
+const { storage } = require("sdk/simple-storage");
+const policyCheck = require("../lib/policyCheck");
+const signatures = require("../lib/signatures");
+
+// The 512 bit test key from tests/tests/signatures.js
+const testKey = "MFwwDQYJKoZIhvcNAQEBBQADSwAwSAJBALZc50pEXnz9TSRozwM04rryuaXl/wgUFqV9FHq8HDlkdKvRU0hXhb/AKrSpCJ0NCxHtal1l/kHYlHG9e7Ev6+MCAwEAAQ==";
+
+// SHA1 of "test policy"
+const testHash = "f969a3ee273cfffd23c9d9166478da7568108006";
+
+function signedList(list, signature) {
+  return JSON.stringify({ list: list, signature: signature });
+}
+
+const listV1 = '{"version":1,"hashes":{"test-policy":"' + testHash + '"}}';
+const signatureV1 = "IxRSITZaE06nIdX+AGDtYBmwdRZUrB40ksIBFsQysSVysYAwdOySmfPryvCxx6DfjEpo1S5qE/iR2hKTjOPhww==";
+const listV2 = '{"version":2,"hashes":{"test-policy":"' + testHash + '"}}';
+const signatureV2 = "o7PyEFj46KPVU6kAta6IdHIL1OlYt+hSPEhVCb7DG+m+kkfzCqBsE5Dh9agF2BkVptiemXE0ty5KdJV8HjPd+g==";
+const emptyListV3 = '{"version":3,"hashes":{}}';
+const signatureV3 = "qwNk+Myt8OR/BQs7IKOOKPrravwuqTGqE1MflfoqeDQAL7NUPe/bhOpoBURgrZNATFLEbmupAWExoOLkkgHT2g==";
+
+exports.testVerifySignature = function(assert) {
+  let signature = "LzKJE1BOsZDfwD/hncHq+MN5ZygIemb1Pyzx40rm3CoTL4CVPAicS1mOiTv6s9Li9Vw1ds9HwFWVMFVEwHwfIw==";
+  assert.ok(signatures.verifySignature(testKey, signature, "test"),
+            "correct signature");
+  assert.ok(!signatures.verifySignature(testKey, signature, "test1"),
+            "wrong data");
+  assert.ok(!signatures.verifySignature(testKey, "not base64!", "test"),
+            "malformed signature");
+};
+
+exports.testSignedPolicyList = function(assert) {
+  storage.policyHashes = {};
+  storage.policyHashesVersion = 1;
+
+  let tampered = listV2.replace(testHash, "0" + testHash.substr(1));
+  assert.ok(!policyCheck.applySignedPolicyList(
+    signedList(tampered, signatureV2), testKey), "tampered list is rejected");
+  assert.ok(!policyCheck.applySignedPolicyList(
+    JSON.stringify(JSON.parse(listV2)), testKey), "unsigned list is rejected");
+  assert.ok(!policyCheck.applySignedPolicyList(
+    signedList(listV2, signatureV2)),
+    "lists downloaded from eff.org must be signed with the release key");
+  assert.deepEqual(storage.policyHashes, {});
+
+  assert.ok(policyCheck.applySignedPolicyList(
+    signedList(listV2, signatureV2), testKey), "valid newer list is taken");
+  assert.equal(storage.policyHashesVersion, 2);
+  assert.equal(storage.policyHashes["test-policy"], testHash);
+
+  assert.ok(!policyCheck.applySignedPolicyList(
+    signedList(listV1, signatureV1), testKey), "stale list is rejected");
+  assert.ok(!policyCheck.applySignedPolicyList(
+    signedList(listV2, signatureV2), testKey), "so is the same list again");
+  assert.equal(storage.policyHashesVersion, 2);
+
+  assert.ok(!policyCheck.applySignedPolicyList(
+    signedList(emptyListV3, signatureV3), testKey),
+    "an empty list doesn't replace the one we have");
+  assert.equal(storage.policyHashes["test-policy"], testHash);
+
+  storage.policyHashes = {};
+  delete storage.policyHashesVersion;
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,72 @@
+const tabs = require("sdk/tabs");
+const { storage } = require("sdk/simple-storage");
+const testUtils = require("../lib/testUtils");
+const { startServerAsync } = require('./httpd');
+const cookieUtils = require("../lib/cookieUtils");
+const main = require("../lib/main");
+const userStorage = require("../lib/userStorage");
+userStorage.init();
+
+function teardown() {
+  main.clearData(true, true);
+}
+
+// A page on localhost embeds a frame from 127.0.0.1, whose script sets a
+// high entropy cookie. No Set-Cookie header is involved.
+exports.testThirdPartyScriptCookie = function(assert, done) {
+  cookieUtils.clearCookies();
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let frameUrl = "http://127.0.0.1:" + testUtils.port +
+                 "/test-script-cookie-frame.html";
+  let pageUrl = "http://localhost:" + testUtils.port +
+                "/test-script-cookie-page.html";
+
+  testUtils.prepareFile("test-script-cookie-frame.html",
+    '<html><body><script>document.cookie = "uid=d93d4e842d10e12a";' +
+    '</script></body></html>');
+  testUtils.prepareFile("test-script-cookie-page.html",
+    '<html><body><iframe src="' + frameUrl + '"></iframe></body></html>');
+
+  main.main();
+
+  tabs.open({
+    url: pageUrl,
+    onLoad: function(tab) {
+      let seenOn = storage.originFrequency["127.0.0.1"];
+      assert.ok(seenOn && seenOn.localhost,
+                "script cookie from a third-party frame counts towards prevalence");
+      tab.close(function() {
+        teardown();
+        srv.stop(done);
+      });
+    }
+  });
+};
+
+// Same page, but the cookie is set by the first party itself
+exports.testFirstPartyScriptCookie = function(assert, done) {
+  cookieUtils.clearCookies();
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let pageUrl = "http://localhost:" + testUtils.port +
+                "/test-script-cookie-first-party.html";
+
+  testUtils.prepareFile("test-script-cookie-first-party.html",
+    '<html><body><script>document.cookie = "uid=d93d4e842d10e12a";' +
+    '</script></body></html>');
+
+  main.main();
+
+  tabs.open({
+    url: pageUrl,
+    onLoad: function(tab) {
+      assert.ok(!storage.originFrequency.localhost,
+                "first party script cookies are ignored");
+      tab.close(function() {
+        teardown();
+        srv.stop(done);
+      });
+    }
+  });
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,154 @@
+const { storage } = require("sdk/simple-storage");
+const prefs = require("sdk/simple-prefs").prefs;
+const settingsFormat = require("../lib/settingsFormat");
+const userStorage = require("../lib/userStorage");
+
+function settings(overrides) {
+  let result = {
+    userRed: [],
+    userYellow: [],
+    userGreen: [],
+    disabledSites: [],
+    domainExceptions: {},
+    prefs: {}
+  };
+  for (let key in overrides) {
+    result[key] = overrides[key];
+  }
+  return result;
+}
+
+exports.testParse = function(assert) {
+  let text = settingsFormat.serialize(settings({
+    userRed: [ "Tracker.com", "tracker.com" ],
+    prefs: { displayCounter: false }
+  }), "chrome");
+  let parsed = settingsFormat.parse(text);
+  assert.ok(!parsed.error, "serialized settings can be read back");
+  assert.deepEqual(parsed.settings.userRed, [ "tracker.com" ],
+                   "hosts are lowercased and deduplicated");
+  assert.equal(parsed.settings.prefs.displayCounter, false);
+  assert.ok(!parsed.settings.learned, "learned data is optional");
+
+  assert.ok(settingsFormat.parse("{").error, "not JSON");
+  assert.ok(settingsFormat.parse('{"userRed":[]}').error, "not a settings file");
+  let doc = JSON.parse(text);
+  doc.version = settingsFormat.VERSION + 1;
+  assert.ok(/newer/.test(settingsFormat.parse(JSON.stringify(doc)).error),
+            "files from a newer version are refused");
+  doc = JSON.parse(text);
+  doc.userGreen = [ "<script>" ];
+  assert.ok(settingsFormat.parse(JSON.stringify(doc)).error, "bad host");
+  doc = JSON.parse(text);
+  doc.domainExceptions = { "example.com": { "disqus.com": "block" } };
+  assert.ok(settingsFormat.parse(JSON.stringify(doc)).error, "bad exception");
+  doc = JSON.parse(text);
+  doc.learned = { originFrequency: { "tracker.com": { "example.com": 1 } } };
+  assert.ok(settingsFormat.parse(JSON.stringify(doc)).error,
+            "bad observation");
+};
+
+exports.testCombine = function(assert) {
+  let current = settings({
+    userRed: [ "a.com" ],
+    userYellow: [ "b.com" ],
+    disabledSites: [ "site.com" ],
+    prefs: { displayCounter: true, heuristicEnabled: true },
+    learned: { blockedOrigins: [ "x.com" ], originFrequency: {} }
+  });
+  let incoming = settings({
+    userGreen: [ "b.com" ],
+    disabledSites: [ "other.com" ],
+    prefs: { displayCounter: false }
+  });
+
+  let merged = settingsFormat.combine(current, incoming, "merge");
+  assert.deepEqual(merged.userRed, [ "a.com" ], "merging keeps our rules");
+  assert.deepEqual(merged.userYellow, [], "the file wins where they disagree");
+  assert.deepEqual(merged.userGreen, [ "b.com" ]);
+  assert.deepEqual(merged.disabledSites, [ "other.com", "site.com" ]);
+  assert.equal(merged.prefs.displayCounter, false);
+  assert.equal(merged.prefs.heuristicEnabled, true);
+
+  let replaced = settingsFormat.combine(current, incoming, "replace");
+  assert.deepEqual(replaced.userRed, [], "replacing drops our rules");
+  assert.deepEqual(replaced.disabledSites, [ "other.com" ]);
+  assert.equal(replaced.prefs.heuristicEnabled, true,
+               "prefs missing from the file are kept");
+  assert.deepEqual(replaced.learned.blockedOrigins, [ "x.com" ],
+                   "so is learned data");
+
+  let diff = settingsFormat.diff(current, merged);
+  assert.deepEqual(diff.userYellow.removed, [ "b.com" ]);
+  assert.deepEqual(diff.userGreen.added, [ "b.com" ]);
+  assert.deepEqual(diff.disabledSites, { added: [ "other.com" ], removed: [] });
+  assert.deepEqual(diff.prefs,
+                   [ { name: "displayCounter", from: true, to: false } ]);
+  assert.equal(diff.changes, 4);
+  assert.equal(settingsFormat.diff(current, current).changes, 0);
+};
+
+exports.testMergeLearned = function(assert) {
+  let current = settings({ learned: {
+    blockedOrigins: [ "x.com" ],
+    originFrequency: {
+      "x.com": { "a.com": { firstSeen: 10, lastSeen: 20 } }
+    }
+  }});
+  let incoming = settings({ learned: {
+    blockedOrigins: [ "y.com" ],
+    originFrequency: {
+      "x.com": { "a.com": { firstSeen: 5, lastSeen: 15 }, "b.com": true }
+    }
+  }});
+  let merged = settingsFormat.combine(current, incoming, "merge");
+  assert.deepEqual(merged.learned.blockedOrigins, [ "x.com", "y.com" ]);
+  assert.deepEqual(merged.learned.originFrequency["x.com"], {
+    "a.com": { firstSeen: 5, lastSeen: 20 },
+    "b.com": true
+  }, "observations are merged");
+};
+
+exports.testExportImport = function(assert) {
+  userStorage.init();
+  let saved = {
+    userRed: storage.userRed,
+    userGreen: storage.userGreen,
+    disabledSites: storage.disabledSites,
+    displayCounter: prefs.displayCounter
+  };
+  storage.userRed = { "tracker.com": true };
+  storage.userGreen = {};
+  storage.disabledSites = { "example.com": true };
+
+  let text = userStorage.exportSettings(false);
+  assert.ok(!JSON.parse(text).learned, "learned data is left out");
+  assert.ok(!JSON.parse(text).prefs.hasOwnProperty("preloadURL"),
+            "so are update source URLs");
+
+  storage.userRed = {};
+  storage.disabledSites = {};
+  prefs.displayCounter = !saved.displayCounter;
+  let preview = userStorage.previewImport(text, "merge");
+  assert.deepEqual(preview.userRed.added, [ "tracker.com" ]);
+  assert.deepEqual(preview.disabledSites.added, [ "example.com" ]);
+  assert.equal(preview.prefs.length, 1);
+
+  assert.equal(userStorage.importSettings(text, "merge"), null);
+  assert.ok(storage.userRed["tracker.com"]);
+  assert.ok(storage.disabledSites["example.com"]);
+  assert.equal(prefs.displayCounter, saved.displayCounter);
+  assert.ok(userStorage.importSettings("nope", "merge"),
+            "bad files aren't imported");
+
+  let doc = JSON.parse(text);
+  doc.prefs.preloadURL = "http://attacker.com/yellowlist.txt";
+  assert.equal(userStorage.previewImport(JSON.stringify(doc), "merge").prefs.length,
+               0, "update source URLs in a file are ignored");
+
+  storage.userRed = saved.userRed;
+  storage.userGreen = saved.userGreen;
+  storage.disabledSites = saved.disabledSites;
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,57 @@
+const tabs = require("sdk/tabs");
+const { setTimeout } = require("sdk/timers");
+const { storage } = require("sdk/simple-storage");
+const testUtils = require("../lib/testUtils");
+const { startServerAsync } = require('./httpd');
+const main = require("../lib/main");
+const userStorage = require("../lib/userStorage");
+userStorage.init();
+
+function teardown() {
+  main.clearData(true, true);
+}
+
+// Databases are read a little after the page opens them, give the report
+// time to arrive
+const gReportDelay = 2000;
+
+// A third party frame that keeps an ID in IndexedDB. Firefox can't list
+// databases, so it only gets noticed by opening its database.
+exports.testIndexedDB = function(assert, done) {
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let frameUrl = "http://127.0.0.1:" + testUtils.port + "/test-supercookie-frame.html";
+  let pageUrl = "http://localhost:" + testUtils.port + "/test-supercookie.html";
+
+  testUtils.prepareFile("test-supercookie-frame.html",
+    '<html><body><script>' +
+    'var request = indexedDB.open("ids", 1);' +
+    'request.onupgradeneeded = function() {' +
+    '  request.result.createObjectStore("ids");' +
+    '};' +
+    'request.onsuccess = function() {' +
+    '  request.result.transaction("ids", "readwrite").objectStore("ids")' +
+    '    .put("d93d4e842d10e12a8f3a9c2e17b4d0e5", "uid");' +
+    '};' +
+    '</script></body></html>');
+  testUtils.prepareFile("test-supercookie.html",
+    '<html><body><iframe src="' + frameUrl + '"></iframe></body></html>');
+
+  main.main();
+
+  tabs.open({
+    url: pageUrl,
+    onLoad: function(tab) {
+      setTimeout(function() {
+        let seenOn = storage.originFrequency["127.0.0.1"];
+        assert.ok(seenOn && seenOn.localhost,
+                  "an ID kept in IndexedDB counts towards prevalence");
+        tab.close(function() {
+          teardown();
+          srv.stop(done);
+        });
+      }, gReportDelay);
+    }
+  });
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,72 @@
+const { storage } = require("sdk/simple-storage");
+const trackerEvidence = require("../lib/trackerEvidence");
+
+exports.testRecord = function(assert) {
+  let origin = "tracker.com";
+  trackerEvidence.empty();
+  trackerEvidence.record(origin, "example.com",
+                         { signal: "cookie", cookies: ["uid", "sid"] });
+  trackerEvidence.record(origin, "example.com",
+                         { signal: "cookie", cookies: ["uid", "id", "other"] });
+  trackerEvidence.record(origin, "example.com",
+                         { signal: "canvas",
+                           scriptUrl: "https://tracker.com/fp.js" });
+
+  let entries = trackerEvidence.get(origin);
+  assert.equal(entries.length, 2, "one observation per first party and signal");
+  let cookieEntry = entries.filter(function(entry) {
+    return entry.signal === "cookie";
+  })[0];
+  assert.deepEqual(cookieEntry.cookies, ["uid", "sid", "id"],
+                   "cookie names are merged and capped");
+  assert.ok(cookieEntry.firstSeen <= cookieEntry.lastSeen);
+
+  trackerEvidence.record(origin, "example.com", null);
+  assert.equal(trackerEvidence.get(origin).length, 2,
+               "nothing is recorded without a signal");
+};
+
+exports.testBounded = function(assert) {
+  let origin = "tracker.com";
+  trackerEvidence.empty();
+  for (let i = 0; i < 25; i++) {
+    trackerEvidence.record(origin, "site" + i + ".com", { signal: "cookie" });
+  }
+  assert.ok(trackerEvidence.get(origin).length <= 10,
+            "observations per origin are bounded");
+};
+
+exports.testPrune = function(assert) {
+  let origin = "tracker.com";
+  let longAgo = Date.now() - 1000 * 60 * 60 * 24 * 365;
+  trackerEvidence.empty();
+  storage.trackerEvidence[origin] = [
+    { firstParty: "a.com", signal: "cookie", firstSeen: longAgo,
+      lastSeen: longAgo, cookies: [], scriptUrl: null }
+  ];
+  trackerEvidence.prune(0);
+  assert.equal(trackerEvidence.get(origin).length, 1,
+               "a max age of 0 keeps everything");
+  trackerEvidence.prune(1000 * 60 * 60 * 24);
+  assert.ok(!storage.trackerEvidence.hasOwnProperty(origin),
+            "stale evidence is pruned");
+};
+
+exports.testPrivate = function(assert) {
+  let origin = "tracker.com";
+  let now = Date.now();
+  trackerEvidence.empty();
+  storage.trackerEvidencePrivate[origin] = [
+    { firstParty: "private.com", signal: "canvas", firstSeen: now,
+      lastSeen: now, cookies: [], scriptUrl: null }
+  ];
+  assert.equal(trackerEvidence.get(origin).length, 0,
+               "private observations stay out of non-private windows");
+  assert.deepEqual(trackerEvidence.withSignal("canvas"), []);
+  assert.equal(trackerEvidence.get(origin, true).length, 1,
+               "private windows see them");
+  assert.deepEqual(trackerEvidence.withSignal("canvas", true), [ origin ]);
+  trackerEvidence.empty();
+};
+
+require("sdk/test").run(exports);
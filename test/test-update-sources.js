@@ -0,0 +1,60 @@
+const { storage } = require("sdk/simple-storage");
+const updateSources = require("../lib/updateSources");
+updateSources.init();
+
+exports.testUpdateSourceUrls = function(assert) {
+  let defaultUrl = "https://www.eff.org/files/cookieblocklist.txt";
+  assert.equal(updateSources.getUrl("preloads"), defaultUrl);
+
+  assert.ok(updateSources.setUrl("preloads", "file:///srv/mirror/yellow.txt"));
+  assert.equal(updateSources.getUrl("preloads"), "file:///srv/mirror/yellow.txt",
+               "file URLs can be used for mirrors");
+  assert.ok(updateSources.setUrl("preloads", "http://localhost:8080/y.txt"));
+
+  assert.ok(!updateSources.setUrl("preloads", "javascript:alert(1)"),
+            "other schemes are refused");
+  assert.ok(!updateSources.setUrl("nosuchsource", "https://example.com/"));
+  assert.equal(updateSources.getUrl("preloads"), "http://localhost:8080/y.txt");
+
+  assert.ok(updateSources.setUrl("preloads", ""));
+  assert.equal(updateSources.getUrl("preloads"), defaultUrl,
+               "an empty URL goes back to the default");
+};
+
+exports.testRecordFetch = function(assert) {
+  let url = "https://www.eff.org/files/cookieblocklist.txt";
+  assert.ok(updateSources.recordFetch("preloads", url,
+                                      { status: 200, text: "list" }));
+  let status = storage.updateSourceStatus.preloads;
+  assert.ok(status.lastSuccess, "success is recorded");
+  assert.equal(status.error, null);
+
+  assert.ok(!updateSources.recordFetch("preloads", url,
+                                       { status: 404, text: "" }));
+  status = storage.updateSourceStatus.preloads;
+  assert.equal(status.status, 404);
+  assert.ok(status.lastSuccess, "the last success is kept after a failure");
+
+  assert.ok(!updateSources.recordFetch("policyHashes", url,
+    { status: 200, text: "{}" }, "not a properly signed list"),
+    "a response can be rejected even if the request worked");
+  assert.ok(updateSources.isSuccess("file:///srv/mirror/yellow.txt",
+                                    { status: 0, text: "list" }),
+            "file URLs succeed with a status of 0");
+
+  storage.updateSourceStatus = {};
+};
+
+exports.testListedSources = function(assert) {
+  let names = updateSources.getAll().map(function(source) {
+    return source.name;
+  });
+  [ "preloads", "domainExceptions", "policyHashes", "bugReports" ].
+    forEach(function(name) {
+      assert.ok(names.indexOf(name) !== -1, name + " is on the options page");
+    });
+  assert.equal(updateSources.getUrl("policyHashes"),
+               "https://www.eff.org/files/dnt-policies-signed.json");
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,55 @@
+const tabs = require("sdk/tabs");
+const { setTimeout } = require("sdk/timers");
+const testUtils = require("../lib/testUtils");
+const { startServerAsync } = require('./httpd');
+const main = require("../lib/main");
+const userStorage = require("../lib/userStorage");
+userStorage.init();
+
+function teardown() {
+  main.clearData(true, true);
+}
+
+// Give the frame time to navigate
+const gNavigationDelay = 1000;
+
+// A cookieblocked frame stashes an ID in window.name, then navigates to the
+// first party, which shouldn't be able to read it
+exports.testCookieblockedFrameNavigation = function(assert, done) {
+  let srv = startServerAsync(testUtils.port, testUtils.basePath);
+  let frameUrl = "http://127.0.0.1:" + testUtils.port +
+                 "/test-window-name-frame.html";
+  let nextUrl = "http://localhost:" + testUtils.port +
+                "/test-window-name-next.html";
+  let pageUrl = "http://localhost:" + testUtils.port +
+                "/test-window-name-page.html";
+
+  testUtils.prepareFile("test-window-name-frame.html",
+    '<html><body><script>window.name = "uid=d93d4e842d10e12a";' +
+    'location.href = "' + nextUrl + '";</script></body></html>');
+  testUtils.prepareFile("test-window-name-next.html",
+    '<html><body><script>parent.document.title = window.name;' +
+    '</script></body></html>');
+  testUtils.prepareFile("test-window-name-page.html",
+    '<html><head><title>loading</title></head><body>' +
+    '<iframe name="widget" src="' + frameUrl + '"></iframe></body></html>');
+
+  main.main();
+  userStorage.add("yellow", "127.0.0.1");
+
+  tabs.open({
+    url: pageUrl,
+    onLoad: function(tab) {
+      setTimeout(function() {
+        assert.equal(tab.title, "widget",
+                     "window.name is back to the frame's own name");
+        tab.close(function() {
+          teardown();
+          srv.stop(done);
+        });
+      }, gNavigationDelay);
+    }
+  });
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,120 @@
+const { storage } = require("sdk/simple-storage");
+const { setTimeout } = require("sdk/timers");
+const { WorkerQueue } = require("../lib/WorkerQueue");
+
+exports.testPriorityAndDuplicates = function(assert, done) {
+  let name = "test-priority";
+  let q = new WorkerQueue(name, { frequency: 10, concurrency: 1 });
+  let ran = [];
+  q.setHandler("check", function(data, finished) {
+    ran.push(data.host);
+    finished(null, data.host);
+  });
+
+  q.push("check", { host: "a.com" },
+         { host: "a.com", priority: WorkerQueue.PRIORITY_BACKGROUND });
+  q.push("check", { host: "b.com" },
+         { host: "b.com", priority: WorkerQueue.PRIORITY_BACKGROUND });
+  q.push("check", { host: "user.com" }, {
+    host: "user.com",
+    priority: WorkerQueue.PRIORITY_USER,
+    callback: function(error, result) {
+      assert.equal(error, null);
+      assert.equal(result, "user.com", "callers get the job's result");
+    }
+  });
+  q.push("check", { host: "a.com" }, { host: "a.com" });
+  assert.equal(q.size(), 3, "duplicate jobs are merged");
+
+  q.whenIdle(function() {
+    assert.deepEqual(ran, [ "user.com", "a.com", "b.com" ],
+                     "user-triggered jobs go first");
+    q.clear();
+    done();
+  });
+};
+
+exports.testBackoff = function(assert, done) {
+  let name = "test-backoff";
+  let q = new WorkerQueue(name,
+    { frequency: 10, backoff: 50, maxAttempts: 2 });
+  let attempts = [];
+  q.setHandler("check", function(data, finished) {
+    attempts.push(Date.now());
+    finished("server error");
+  });
+  q.push("check", { host: "down.com" }, {
+    host: "down.com",
+    callback: function(error) {
+      assert.equal(attempts.length, 2, "failed jobs are retried");
+      assert.ok(attempts[1] - attempts[0] >= 50,
+                "after backing off from the host");
+      assert.equal(error, "server error", "then given up on");
+      assert.equal(q.size(), 0);
+      q.clear();
+      done();
+    }
+  });
+};
+
+exports.testUserPushAfterFailure = function(assert, done) {
+  let name = "test-user-push";
+  let q = new WorkerQueue(name,
+    { frequency: 10, backoff: 1000 * 60 * 60, maxAttempts: 5 });
+  let attempts = 0;
+  q.setHandler("check", function(data, finished) {
+    attempts++;
+    finished(attempts === 1 ? "server error" : null);
+  });
+  q.push("check", {}, { host: "down.com", key: "list" });
+  q.whenIdle(function() {
+    assert.equal(attempts, 2, "the user's push ran");
+    q.clear();
+    done();
+  });
+
+  // Once the first attempt failed, the job waits an hour for the host
+  let started = Date.now();
+  (function waitForFailure() {
+    if (attempts === 0) {
+      setTimeout(waitForFailure, 10);
+      return;
+    }
+    q.push("check", {}, {
+      host: "down.com",
+      key: "list",
+      priority: WorkerQueue.PRIORITY_USER,
+      callback: function(error) {
+        assert.equal(error, null);
+        assert.ok(Date.now() - started < 1000 * 60,
+                  "without waiting out the backoff");
+      }
+    });
+  })();
+};
+
+exports.testPersistence = function(assert, done) {
+  let name = "test-persistence";
+  let q = new WorkerQueue(name, { frequency: 10 });
+  q.push("check", { host: "stored.com" }, { host: "stored.com" });
+  q.push("check", { host: "private.com" },
+         { host: "private.com", persist: false });
+  assert.equal(storage.workerQueues[name].length, 1,
+               "pending jobs are stored, unless asked not to");
+
+  // As if the browser restarted before the queue got to the job
+  let restarted = new WorkerQueue(name, { frequency: 10 });
+  restarted.setHandler("check", function(data, finished) {
+    assert.equal(data.host, "stored.com", "stored jobs run after a restart");
+    finished();
+  });
+  restarted.whenIdle(function() {
+    assert.equal(storage.workerQueues[name].length, 0);
+    // Don't leave the first queue's transient job behind either
+    q.clear();
+    restarted.clear();
+    done();
+  });
+};
+
+require("sdk/test").run(exports);
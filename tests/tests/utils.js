@@ -62,6 +62,22 @@
     ok(parsed().length == origLength, "one less disabled site");
   });
 
+  test("hasSuperCookie", function(){
+    var noItems = {
+      localStorageItems: {},
+      indexedDBItems: {},
+      fileSystemAPIItems: {}
+    };
+    ok(!Utils.hasSuperCookie(noItems), "no storage, no supercookie");
+
+    var idbItems = {
+      localStorageItems: {},
+      indexedDBItems: {"uid": "\"5a3c7b1e9f0d42c8a6b3\""},
+      fileSystemAPIItems: {}
+    };
+    ok(Utils.hasSuperCookie(idbItems), "high entropy IndexedDB record");
+  });
+
   test("getRandom", function(){
     var min = 1,
         max = 10,